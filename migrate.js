@@ -0,0 +1,40 @@
+/**
+ * 数据库迁移命令行
+ *   node migrate.js status   查看当前版本、已执行和待执行的迁移（默认）
+ *   node migrate.js up       执行待执行的迁移
+ * 使用与服务相同的 DATABASE_PATH。服务启动时会自动执行迁移；服务运行期间请勿执行 up，
+ * 服务内存中的数据会在下次保存时覆盖这里的修改。
+ */
+
+const { initDatabase, getMigrationStatus } = require('./src/database');
+
+function printStatus(status) {
+    console.log(`当前版本: ${status.currentVersion}，程序支持的最新版本: ${status.latestVersion}`);
+    if (status.newerThanProgram) {
+        console.log('数据库版本高于当前程序，请升级程序');
+    }
+
+    console.log(`\n已执行 (${status.applied.length}):`);
+    status.applied.forEach(item => console.log(`  ${item.name}  ${item.applied_at}`));
+
+    console.log(`\n待执行 (${status.pending.length}):`);
+    status.pending.forEach(item => console.log(`  ${item.name}  ${item.description}`));
+}
+
+async function main() {
+    const command = process.argv[2] || 'status';
+    if (!['status', 'up'].includes(command)) {
+        console.error(`未知命令: ${command}，可用命令: status、up`);
+        return 1;
+    }
+
+    await initDatabase({ migrate: command === 'up' });
+    const status = getMigrationStatus();
+    printStatus(status);
+    return status.newerThanProgram ? 2 : 0;
+}
+
+main().then(code => process.exit(code), error => {
+    console.error('执行失败:', error.message);
+    process.exit(1);
+});
@@ -7,26 +7,57 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 
-const { initDatabase } = require('./database');
+const { initDatabase, flushDatabase } = require('./database');
 const messageHandler = require('./messageHandler');
 const routes = require('./routes');
 const config = require('./config');
 const { decryptData, encryptData } = require('./aesDecrypt');
 const recordingService = require('./recordingService');
 const tcpGateway = require('./tcpGateway');
+const authService = require('./authService');
+const deviceKeyService = require('./deviceKeyService');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const { verifyPushSignature } = require('./pushSignature');
+const spoolService = require('./spoolService');
+const replayService = require('./replayService');
+const ingressGuard = require('./ingressGuard');
+const backupService = require('./backupService');
+const retentionService = require('./retentionService');
+const threadService = require('./threadService');
+const otpService = require('./otpService');
+const outboxService = require('./outboxService');
+const smsDelivery = require('./smsDelivery');
+const campaignService = require('./campaignService');
+const autoReplyService = require('./autoReplyService');
+const forwardService = require('./forwardService');
+const smsConcat = require('./smsConcat');
 
 const app = express();
 const PORT = config.port;
 
+// 反向代理之后需要信任 X-Forwarded-For，限流和白名单才能拿到真实客户端地址
+if (config.trustProxy) {
+    const value = config.trustProxy;
+    app.set('trust proxy', value === 'true' ? true : /^\d+$/.test(value) ? parseInt(value, 10) : value);
+}
+
 // ==================== 中间件配置 ====================
 
 // 1. 基础中间件
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// 保留原始请求体，供推送接口校验 HMAC 签名
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // 开发板录音文件上传接口使用独立密钥，不受管理端 Basic Auth 影响。
-app.post('/recordings/upload', recordingService.uploadAuth, recordingService.receiveUpload);
+// 密钥校验前按 IP 限流，校验通过后再按 devId 检查白名单和限流。
+app.post('/recordings/upload',
+    ingressLimit(uploadRejection),
+    recordingService.uploadAuth,
+    ingressLimit(uploadRejection, req => req.query.devId),
+    recordingService.receiveUpload);
 
 // 2. 静态文件服务 (公开访问，无需鉴权)
 // 放在鉴权中间件之前，提高性能并避免鉴权逻辑干扰
@@ -34,13 +65,50 @@ app.use(express.static(path.join(__dirname, '../public')));
 
 // ==================== 鉴权中间件定义 ====================
 
+/**
+ * 开发板接入接口限流。未传 getDevId 时按来源 IP 计数，否则按设备检查白名单和限流
+ * @param {function} respond - (res, rejection) 按接口自身的格式返回错误
+ */
+function ingressLimit(respond, getDevId) {
+    return (req, res, next) => {
+        const rejection = getDevId ? ingressGuard.checkDevice(req, getDevId(req)) : ingressGuard.checkIp(req);
+        if (!rejection) return next();
+        sendRejection(res, rejection, respond);
+    };
+}
+
+function sendRejection(res, rejection, respond) {
+    if (rejection.retryAfter) res.set('Retry-After', String(rejection.retryAfter));
+    respond(res.status(rejection.status), rejection);
+}
+
+function pushRejection(res, rejection) {
+    res.json({ code: -1, error: rejection.error, message: rejection.message });
+}
+
+function uploadRejection(res, rejection) {
+    res.json({ errcode: rejection.status, errmsg: rejection.message, type: '', media_id: '', created_at: 0 });
+}
+
 /**
  * 验证 API Key（用于开发板推送接口）
+ * 优先匹配设备独立密钥，其次是全局密钥；结果挂到 req.pushAuth，解密后再核对 devId
  */
 function apiKeyAuth(req, res, next) {
     if (!config.apiKey.enabled) return next();
+
+    // 带 X-Signature 的请求按 HMAC 签名校验，不再需要 API Key
+    if (req.headers['x-signature']) {
+        const error = verifyPushSignature(req);
+        if (error) {
+            console.warn(`[Auth] 推送签名无效 - IP: ${req.ip}, Path: ${req.path}, ${error}`);
+            return res.status(401).json({ code: -1, error: '签名无效', message: error });
+        }
+        // 共享密钥与全局 API Key 一样不绑定设备，已启用独立密钥的设备同样拒绝
+        req.pushAuth = { devId: null, legacy: true, signed: true };
+        return next();
+    }
     
-    const configuredKey = config.apiKey.key;
     let providedKey = req.headers['x-api-key'] || 
                       (req.headers.authorization && req.headers.authorization.startsWith('Bearer ') ? req.headers.authorization.substring(7) : null) ||
                       req.query.apiKey || 
@@ -51,7 +119,8 @@ function apiKeyAuth(req, res, next) {
         return res.status(401).json({ code: -1, error: 'API Key 缺失', message: '请提供有效的 API Key' });
     }
     
-    if (providedKey !== configuredKey) {
+    req.pushAuth = deviceKeyService.verifyKey(providedKey);
+    if (!req.pushAuth) {
         console.warn(`[Auth] API Key 无效 - IP: ${req.ip}, Path: ${req.path}`);
         return res.status(403).json({ code: -1, error: 'API Key 无效', message: 'API Key 验证失败' });
     }
@@ -59,34 +128,6 @@ function apiKeyAuth(req, res, next) {
     next();
 }
 
-/**
- * 验证HTTP Basic Auth (用于管理API)
- */
-function basicAuth(req, res, next) {
-    if (!config.auth.enabled) return next();
-    
-    // 检查排除路径 (保留配置兼容性)
-    const excludePaths = config.auth.excludePaths || [];
-    if (excludePaths.some(p => req.path === p || req.path.startsWith(p + '/'))) {
-        return next();
-    }
-    
-    let authHeader = req.headers.authorization || req.query._auth;
-    
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-        return res.status(401).json({ error: '需要登录认证' });
-    }
-    
-    const credentials = Buffer.from(authHeader.split(' ')[1], 'base64').toString('utf-8');
-    const [username, password] = credentials.split(':');
-    
-    if (username === config.auth.username && password === config.auth.password) {
-        return next();
-    }
-    
-    return res.status(401).json({ error: '用户名或密码错误' });
-}
-
 // ==================== 辅助函数 ====================
 
 function tryDecrypt(value) {
@@ -114,12 +155,21 @@ function normalizePushData(data, metadata = {}) {
     };
 }
 
-function handlePushMessage(data, res) {
+async function handlePushMessage(data, req, res) {
+    const mismatch = deviceKeyService.checkPushDevice(req.pushAuth, data && data.devId);
+    if (mismatch) {
+        console.warn(`[Auth] 推送被拒绝 - IP: ${req.ip}, ${mismatch}`);
+        return res.status(403).json({ code: -1, error: 'API Key 与设备不匹配', message: mismatch });
+    }
+    const rejection = ingressGuard.checkDevice(req, data && data.devId);
+    if (rejection) return sendRejection(res, rejection, pushRejection);
+
+    // 先持久化到入站队列再应答，处理在应答之后异步进行
     try {
-        messageHandler.handleMessage(normalizePushData(data, { _transport: 'http' }));
+        await spoolService.enqueue(normalizePushData(data, { _transport: 'http' }));
         res.json({ code: 0, message: 'OK' });
     } catch (error) {
-        console.error('[Push] 处理消息失败:', error);
+        console.error('[Push] 写入入站队列失败:', error);
         res.status(500).json({ code: -1, message: error.message });
     }
 }
@@ -128,31 +178,31 @@ function handlePushMessage(data, res) {
 
 // --- 开发板推送接口 (使用 apiKeyAuth) ---
 
-app.post('/push', apiKeyAuth, (req, res) => {
+app.post('/push', ingressLimit(pushRejection), apiKeyAuth, (req, res) => {
     console.log('[Push] 收到JSON推送:', req.body);
     try {
         const { apiKey, ...bodyData } = req.body;
         const data = decryptData(bodyData, config.aes);
-        handlePushMessage(data, res);
+        handlePushMessage(data, req, res);
     } catch (error) {
         console.error('[Push] 解密失败:', error);
         res.status(500).json({ code: -1, message: error.message });
     }
 });
 
-app.post('/push-form', apiKeyAuth, (req, res) => {
+app.post('/push-form', ingressLimit(pushRejection), apiKeyAuth, (req, res) => {
     console.log('[Push] 收到FORM推送:', req.body);
     try {
         const { apiKey, ...bodyData } = req.body;
         const data = decryptData(bodyData, config.aes);
-        handlePushMessage(data, res);
+        handlePushMessage(data, req, res);
     } catch (error) {
         console.error('[Push] 解密失败:', error);
         res.status(500).json({ code: -1, message: error.message });
     }
 });
 
-app.get('/push', apiKeyAuth, (req, res) => {
+app.get('/push', ingressLimit(pushRejection), apiKeyAuth, (req, res) => {
     console.log('[Push] 收到GET推送:', req.query);
     try {
         const { apiKey, ...queryData } = req.query;
@@ -166,23 +216,54 @@ app.get('/push', apiKeyAuth, (req, res) => {
                 data = tryDecrypt(queryData);
             }
         }
-        handlePushMessage(data, res);
+        handlePushMessage(data, req, res);
     } catch (error) {
         console.error('[Push] 处理失败:', error);
         res.status(500).json({ code: -1, message: error.message });
     }
 });
 
-// --- 管理API (使用 basicAuth) ---
-// 直接挂载鉴权中间件到 /api 路径
-app.use('/api/recordings', basicAuth, recordingService.router);
-app.use('/api', basicAuth, routes);
+// --- 管理API (账号鉴权 + 角色权限) ---
+// 直接挂载鉴权中间件到 /api 路径，各角色可访问的接口见 authService.requiredRole
+app.use('/api', authService.authenticate, authService.authorize);
+app.use('/api/recordings', recordingService.router);
+app.use('/api', authService.router);
+app.use('/api', deviceKeyService.router);
+app.use('/api', auditService.router);
+app.use('/api', eventService.router);
+app.use('/api', spoolService.router);
+app.use('/api', replayService.router);
+app.use('/api', ingressGuard.router);
+app.use('/api', backupService.router);
+app.use('/api', retentionService.router);
+// 需在 routes 之前挂载，否则 /sms/threads 会被 /sms/:devId 匹配
+app.use('/api', threadService.router);
+app.use('/api', otpService.router);
+app.use('/api', outboxService.router);
+app.use('/api', campaignService.router);
+app.use('/api', autoReplyService.router);
+app.use('/api', forwardService.router);
+app.use('/api', routes);
 
 // ==================== 启动服务 ====================
 async function startServer() {
     // 初始化数据库
     await initDatabase();
-    recordingService.cleanupExpired();
+    // 退出前把尚未落盘的写入保存到文件
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            console.log(`[System] 收到 ${signal}，保存数据库后退出`);
+            flushDatabase();
+            process.exit(0);
+        });
+    }
+    authService.ensureDefaultAdmin();
+    spoolService.start();
+    smsConcat.start((data, context) => messageHandler.handleSmsMessage(501, data, context));
+    smsDelivery.start();
+    outboxService.start();
+    campaignService.start();
+    backupService.start();
 
     if (config.tcp.enabled) {
         tcpGateway.configure({
@@ -193,16 +274,18 @@ async function startServer() {
                     _transport: 'tcp',
                     _remoteAddress: connection.remoteAddress
                 });
-                messageHandler.handleMessage(parsed);
+                await spoolService.enqueue(parsed);
                 return parsed;
             },
             encodeMessage: message => encryptData(message, config.aes)
         });
         tcpGateway.on('connected', connection => {
             console.log(`[TCP] 设备已注册: ${connection.devId} (${connection.remoteAddress}:${connection.remotePort})`);
+            eventService.publish('tcp', { devId: connection.devId, status: 'connected', remoteAddress: connection.remoteAddress });
         });
         tcpGateway.on('disconnected', connection => {
             console.log(`[TCP] 设备已断开: ${connection.devId}`);
+            eventService.publish('tcp', { devId: connection.devId, status: 'disconnected' });
         });
         tcpGateway.on('clientError', (error, connection) => {
             console.warn(`[TCP] 客户端异常 ${connection.devId || connection.remoteAddress || 'unknown'}: ${error.message}`);
@@ -215,7 +298,6 @@ async function startServer() {
     setInterval(() => {
         messageHandler.checkOfflineDevices(300);
     }, 5 * 60 * 1000);
-    setInterval(() => recordingService.cleanupExpired(), 6 * 60 * 60 * 1000);
     
     app.listen(PORT, () => {
         console.log('');
@@ -0,0 +1,122 @@
+/**
+ * 控制指令审计
+ * 记录每条下发到开发板的命令：操作账号、设备、命令、参数（已脱敏）、通道、tid、结果和耗时。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const { redactParams } = require('./boardProtocol');
+
+/**
+ * 写入一条审计记录，失败只打印日志，不影响命令本身
+ * @param {object} entry
+ * @param {object} [entry.actor] - 发起命令的账号（req.user）
+ */
+function recordCommand(entry) {
+    try {
+        const actor = entry.actor || {};
+        db.prepare(`
+            INSERT INTO command_audit
+                (user_id, username, dev_id, target, command, params, transport, tid, success, result_code, error, elapsed_ms)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            actor.id ?? null,
+            actor.username || 'system',
+            entry.devId || null,
+            entry.target || null,
+            entry.command,
+            JSON.stringify(redactParams(entry.command, entry.params)),
+            entry.transport || null,
+            entry.tid || null,
+            entry.success ? 1 : 0,
+            Number.isFinite(entry.resultCode) ? entry.resultCode : null,
+            entry.error || null,
+            entry.elapsedMs ?? null
+        );
+    } catch (error) {
+        console.error('[Audit] 写入审计记录失败:', error.message);
+    }
+}
+
+function buildFilter(query) {
+    const clauses = [];
+    const params = [];
+    if (query.devId) {
+        clauses.push('dev_id = ?');
+        params.push(query.devId);
+    }
+    if (query.username) {
+        clauses.push('username = ?');
+        params.push(query.username);
+    }
+    if (query.command) {
+        clauses.push('command = ?');
+        params.push(query.command);
+    }
+    if (query.success === '1' || query.success === '0') {
+        clauses.push('success = ?');
+        params.push(parseInt(query.success, 10));
+    }
+    if (query.dateStart) {
+        clauses.push('DATE(created_at) >= ?');
+        params.push(query.dateStart);
+    }
+    if (query.dateEnd) {
+        clauses.push('DATE(created_at) <= ?');
+        params.push(query.dateEnd);
+    }
+    return { where: clauses.length ? ' WHERE ' + clauses.join(' AND ') : '', params };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * 控制指令审计查询，支持 devId、username、command、success、dateStart、dateEnd 筛选，
+ * export=csv 时导出全部匹配记录
+ */
+router.get('/audit', (req, res) => {
+    try {
+        const { page = 1, limit = 50, export: exportType } = req.query;
+        const { where, params } = buildFilter(req.query);
+        let sql = `SELECT * FROM command_audit${where} ORDER BY id DESC`;
+
+        if (exportType === 'csv') {
+            const rows = db.prepare(sql).all(...params);
+            const headers = ['ID', '时间', '账号', '设备ID', '目标', '命令', '参数', '通道', 'tid', '结果', '返回码', '错误', '耗时(ms)'];
+            const csvContent = [
+                headers.join(','),
+                ...rows.map(r => [
+                    r.id, r.created_at, r.username, r.dev_id, r.target, r.command, r.params,
+                    r.transport, r.tid, r.success ? '成功' : '失败', r.result_code, r.error, r.elapsed_ms
+                ].map(csvCell).join(','))
+            ].join('\n');
+
+            res.header('Content-Type', 'text/csv');
+            res.header('Content-Disposition', `attachment; filename="audit_export_${new Date().getTime()}.csv"`);
+            return res.send('\uFEFF' + csvContent); // 添加BOM以支持Excel中文
+        }
+
+        sql += ' LIMIT ? OFFSET ?';
+        const rows = db.prepare(sql).all(...params, parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
+        const { total } = db.prepare(`SELECT COUNT(*) as total FROM command_audit${where}`).get(...params);
+        res.json({
+            success: true,
+            data: rows.map(row => ({ ...row, params: JSON.parse(row.params || '{}'), success: !!row.success })),
+            pagination: { page: parseInt(page), limit: parseInt(limit), total }
+        });
+    } catch (error) {
+        console.error('[API] 获取审计记录失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = {
+    recordCommand,
+    router
+};
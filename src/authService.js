@@ -0,0 +1,451 @@
+/**
+ * 管理端账号、登录会话与角色权限
+ * viewer 只读短信/通话/录音；operator 额外允许远程控制；admin 拥有全部权限。
+ * 管理界面通过 /api/auth/login 换取会话 token；录音下载和 CSV 导出使用短期签名链接。
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('./config');
+const { dbWrapper: db } = require('./database');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const ROLE_LEVEL = { viewer: 1, operator: 2, admin: 3 };
+const SIGNATURE_PARAMS = ['_uid', '_sid', '_exp', '_sig'];
+const linkSecret = config.auth.linkSecret || crypto.randomBytes(32).toString('hex');
+const revokeListeners = [];
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function hasRole(user, role) {
+    return Boolean(user && ROLE_LEVEL[user.role] >= ROLE_LEVEL[role]);
+}
+
+/**
+ * 返回访问 /api 下某个路径所需的最低角色。
+ * 未列出的接口（推送配置、删除设备、批量删除、账号管理等）仅限 admin。
+ * @param {string} method - HTTP 方法
+ * @param {string} apiPath - 相对 /api 的路径，如 /sms、/control/restart
+ */
+function requiredRole(method, apiPath) {
+    const isRead = method === 'GET' || method === 'HEAD';
+    const matches = prefix => apiPath === prefix || apiPath.startsWith(prefix + '/');
+
+    if (apiPath === '/auth' || apiPath.startsWith('/auth/')) return 'viewer';
+    if (isRead && ['/sms', '/calls', '/recordings', '/events'].some(matches)) return 'viewer';
+    if (method === 'POST' && (apiPath === '/sms/batch-read' || /^\/sms\/threads\/[^/]+\/[^/]+\/[^/]+\/read$/.test(apiPath))) return 'viewer';
+    if (method === 'POST' && ['/sms/batch-star', '/sms/batch-archive'].includes(apiPath)) return 'operator';
+    if (method === 'POST' && matches('/sms/outbox')) return 'operator';
+    if (/^\/devices\/[^/]+\/(api-keys|ip-allowlist)(\/|$)/.test(apiPath)) return 'admin';
+    if (['/control', '/campaigns', '/auto-replies', '/forward-rules'].some(matches) || ['/devices/refresh', '/devices/refresh-all'].includes(apiPath)) return 'operator';
+    if (isRead && ['/devices', '/stats', '/messages', '/message-types'].some(matches)) return 'operator';
+    return 'admin';
+}
+
+function publicUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        enabled: !!row.enabled,
+        last_login_at: row.last_login_at,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+function findUserByName(username) {
+    return db.prepare('SELECT * FROM users WHERE username = ?').get(String(username || ''));
+}
+
+/**
+ * 首次启动时用 AUTH_USERNAME/AUTH_PASSWORD 创建管理员。
+ * 之后账号以数据库为准，修改环境变量不会覆盖已存在的账号。
+ */
+function ensureDefaultAdmin() {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM users').get() || { count: 0 };
+    if (count > 0) return;
+    db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)')
+        .run(config.auth.username, hashPassword(config.auth.password), 'admin');
+    console.log(`[Auth] 已创建初始管理员账号: ${config.auth.username}`);
+}
+
+function authenticateCredentials(username, password) {
+    const user = findUserByName(username);
+    if (!user || !user.enabled || !verifyPassword(password, user.password_hash)) return null;
+    return user;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function nowText() {
+    return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * 为账号创建登录会话，返回明文 token（仅此一次，数据库只保存哈希）
+ */
+function createSession(user, meta = {}) {
+    db.prepare('DELETE FROM sessions WHERE expires_at < ?').run(Date.now());
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + config.auth.sessionTtlHours * 3600 * 1000;
+    db.prepare(`
+        INSERT INTO sessions (user_id, token_hash, ip, user_agent, expires_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(user.id, hashToken(token), meta.ip || '', String(meta.userAgent || '').slice(0, 200), expiresAt, nowText());
+    db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(nowText(), user.id);
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function isActive(session) {
+    return Boolean(session) && !session.revoked_at && session.expires_at >= Date.now() && Boolean(session.enabled);
+}
+
+function findSession(token) {
+    const session = db.prepare(`
+        SELECT sessions.*, users.username, users.role, users.enabled
+        FROM sessions JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ?
+    `).get(hashToken(token));
+    if (!isActive(session)) return null;
+
+    // last_used_at 每分钟最多更新一次，避免每个请求都写库
+    if (!session.last_used_at || Date.now() - Date.parse(session.last_used_at.replace(' ', 'T') + 'Z') > 60000) {
+        db.prepare('UPDATE sessions SET last_used_at = ? WHERE id = ?').run(nowText(), session.id);
+    }
+    return session;
+}
+
+/**
+ * 按 id 查找仍然有效的会话（未撤销、未过期且账号启用）
+ */
+function getActiveSession(sessionId) {
+    const session = db.prepare(`
+        SELECT sessions.*, users.enabled FROM sessions JOIN users ON users.id = sessions.user_id WHERE sessions.id = ?
+    `).get(sessionId);
+    return isActive(session) ? session : null;
+}
+
+/**
+ * 注册会话撤销的回调，参数为被撤销的会话 id 列表；事件流等长连接据此断开
+ */
+function onSessionsRevoked(listener) {
+    revokeListeners.push(listener);
+}
+
+function notifyRevoked(sessionIds) {
+    if (sessionIds.length === 0) return;
+    for (const listener of revokeListeners) {
+        try {
+            listener(sessionIds);
+        } catch (error) {
+            console.error('[Auth] 处理会话撤销失败:', error);
+        }
+    }
+}
+
+function revokeSession(sessionId) {
+    db.prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(nowText(), sessionId);
+    notifyRevoked([sessionId]);
+}
+
+function revokeUserSessions(userId) {
+    const ids = db.prepare('SELECT id FROM sessions WHERE user_id = ? AND revoked_at IS NULL').all(userId).map(row => row.id);
+    db.prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL').run(nowText(), userId);
+    notifyRevoked(ids);
+}
+
+/**
+ * 签名链接覆盖路径和除签名参数外的全部查询参数（按参数名排序后计算）
+ */
+function canonicalLink(pathname, searchParams) {
+    const entries = [...searchParams.entries()]
+        .filter(([name]) => !SIGNATURE_PARAMS.includes(name))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = new URLSearchParams(entries).toString();
+    return query ? `${pathname}?${query}` : pathname;
+}
+
+function linkSignature(userId, sessionId, expiresAt, canonical) {
+    return crypto.createHmac('sha256', linkSecret).update(`${userId}:${sessionId || ''}:${expiresAt}:${canonical}`).digest('hex');
+}
+
+/**
+ * 为 /api 下的 GET 地址生成短期签名链接，浏览器可直接打开而无需携带凭证。
+ * 以会话登录时链接绑定该会话，会话退出、被撤销或过期后链接随之失效
+ * @param {object} user - 当前账号（req.user）
+ * @param {string} link - 形如 /api/recordings/1/download 或 /api/sms?export=csv
+ */
+function signLink(user, link) {
+    const url = new URL(String(link || ''), 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) throw new Error('只能为 /api/ 下的地址生成签名链接');
+    const expiresAt = Math.floor(Date.now() / 1000) + config.auth.linkTtlSeconds;
+    const signature = linkSignature(user.id, user.sessionId, expiresAt, canonicalLink(url.pathname, url.searchParams));
+    for (const name of SIGNATURE_PARAMS) url.searchParams.delete(name);
+    url.searchParams.append('_uid', String(user.id));
+    if (user.sessionId) url.searchParams.append('_sid', String(user.sessionId));
+    url.searchParams.append('_exp', String(expiresAt));
+    url.searchParams.append('_sig', signature);
+    return { url: url.pathname + url.search, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+/**
+ * 校验签名链接，绑定了会话的要求会话仍然有效
+ * @returns {{ user: object, sessionId: number|null }|null}
+ */
+function verifySignedLink(req) {
+    if (req.method !== 'GET' || !req.query._sig) return null;
+    const url = new URL(req.originalUrl, 'http://localhost');
+    const userId = parseInt(url.searchParams.get('_uid'), 10);
+    const sessionId = parseInt(url.searchParams.get('_sid'), 10) || null;
+    const expiresAt = parseInt(url.searchParams.get('_exp'), 10);
+    if (!userId || !expiresAt || expiresAt < Date.now() / 1000) return null;
+
+    const expected = Buffer.from(linkSignature(userId, sessionId, expiresAt, canonicalLink(url.pathname, url.searchParams)));
+    const actual = Buffer.from(String(url.searchParams.get('_sig')));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    if (sessionId) {
+        const session = getActiveSession(sessionId);
+        if (!session || session.user_id !== userId) return null;
+    }
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    return user && user.enabled ? { user, sessionId } : null;
+}
+
+/**
+ * 管理API鉴权：依次接受会话 token（Bearer）、签名链接和 HTTP Basic Auth，
+ * 并把当前账号挂到 req.user
+ */
+function authenticate(req, res, next) {
+    if (!config.auth.enabled) {
+        req.user = { id: null, username: 'anonymous', role: 'admin' };
+        return next();
+    }
+
+    // 检查排除路径 (保留配置兼容性)
+    const excludePaths = [...(config.auth.excludePaths || []), '/auth/login'];
+    if (excludePaths.some(p => req.path === p || req.path.startsWith(p + '/'))) {
+        return next();
+    }
+
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        const session = findSession(authHeader.substring(7));
+        if (!session) return res.status(401).json({ error: '登录已过期，请重新登录' });
+        req.user = { id: session.user_id, username: session.username, role: session.role, sessionId: session.id };
+        return next();
+    }
+
+    if (req.query._sig) {
+        const signed = verifySignedLink(req);
+        if (!signed) return res.status(401).json({ error: '链接无效或已过期' });
+        const { user, sessionId } = signed;
+        req.user = { id: user.id, username: user.username, role: user.role, sessionId };
+        return next();
+    }
+
+    // 脚本/命令行客户端仍可使用 Basic Auth（仅限请求头，不再接受 ?_auth= 查询参数）
+    if (!authHeader.startsWith('Basic ')) {
+        return res.status(401).json({ error: '需要登录认证' });
+    }
+
+    const credentials = Buffer.from(authHeader.split(' ')[1], 'base64').toString('utf-8');
+    const separator = credentials.indexOf(':');
+    const username = separator === -1 ? credentials : credentials.slice(0, separator);
+    const password = separator === -1 ? '' : credentials.slice(separator + 1);
+
+    const user = authenticateCredentials(username, password);
+    if (!user) return res.status(401).json({ error: '用户名或密码错误' });
+
+    req.user = { id: user.id, username: user.username, role: user.role };
+    next();
+}
+
+/**
+ * 按 requiredRole 规则检查当前账号角色，需挂在 /api 下且位于 authenticate 之后
+ */
+function authorize(req, res, next) {
+    if (!req.user) return next();
+    const role = requiredRole(req.method, req.path);
+    if (hasRole(req.user, role)) return next();
+    console.warn(`[Auth] 权限不足 - 用户: ${req.user.username}(${req.user.role}), ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ success: false, error: '权限不足', requiredRole: role });
+}
+
+function countOtherAdmins(excludeId) {
+    return db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND enabled = 1 AND id != ?").get(excludeId)?.count || 0;
+}
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/login
+ * 用户名密码登录，返回会话 token；后续请求使用 Authorization: Bearer <token>
+ */
+router.post('/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    if (!config.auth.enabled) {
+        return res.status(400).json({ success: false, error: '管理端认证未启用' });
+    }
+    const user = authenticateCredentials(username, password);
+    if (!user) {
+        console.warn(`[Auth] 登录失败 - 用户: ${username || ''}, IP: ${req.ip}`);
+        return res.status(401).json({ success: false, error: '用户名或密码错误' });
+    }
+
+    const session = createSession(user, { ip: req.ip, userAgent: req.headers['user-agent'] });
+    res.json({
+        success: true,
+        data: { ...session, user: { id: user.id, username: user.username, role: user.role } }
+    });
+});
+
+/** POST /api/auth/logout - 撤销当前会话 */
+router.post('/auth/logout', (req, res) => {
+    if (req.user.sessionId) revokeSession(req.user.sessionId);
+    res.json({ success: true });
+});
+
+/** GET /api/auth/me - 当前登录账号 */
+router.get('/auth/me', (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+/**
+ * GET /api/auth/sessions
+ * 当前账号的有效会话；管理员传 all=1 可查看全部账号的会话
+ */
+router.get('/auth/sessions', (req, res) => {
+    const all = req.query.all === '1' && hasRole(req.user, 'admin');
+    const rows = db.prepare(`
+        SELECT sessions.id, sessions.user_id, users.username, sessions.ip, sessions.user_agent,
+               sessions.created_at, sessions.last_used_at, sessions.expires_at
+        FROM sessions JOIN users ON users.id = sessions.user_id
+        WHERE sessions.revoked_at IS NULL AND sessions.expires_at > ? ${all ? '' : 'AND sessions.user_id = ?'}
+        ORDER BY sessions.id DESC
+    `).all(...(all ? [Date.now()] : [Date.now(), req.user.id]));
+    res.json({
+        success: true,
+        data: rows.map(row => ({
+            ...row,
+            expires_at: new Date(row.expires_at).toISOString(),
+            current: row.id === req.user.sessionId
+        }))
+    });
+});
+
+/** DELETE /api/auth/sessions/:id - 撤销会话（管理员可撤销任意账号的会话） */
+router.delete('/auth/sessions/:id', (req, res) => {
+    const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(parseInt(req.params.id, 10));
+    if (!session || (session.user_id !== req.user.id && !hasRole(req.user, 'admin'))) {
+        return res.status(404).json({ success: false, error: '会话不存在' });
+    }
+    revokeSession(session.id);
+    res.json({ success: true });
+});
+
+/**
+ * POST /api/auth/signed-url
+ * 为录音下载、CSV 导出等需要在新窗口打开的 GET 地址生成短期签名链接
+ * 请求体: { path: "/api/sms?export=csv&direction=in" }
+ */
+router.post('/auth/signed-url', (req, res) => {
+    try {
+        res.json({ success: true, data: signLink(req.user, req.body.path) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/** GET /api/users - 账号列表 */
+router.get('/users', (req, res) => {
+    const rows = db.prepare('SELECT * FROM users ORDER BY id').all();
+    res.json({ success: true, data: rows.map(publicUser) });
+});
+
+/** POST /api/users - 新建账号 { username, password, role } */
+router.post('/users', (req, res) => {
+    const { username, password, role = 'viewer' } = req.body;
+    if (!username || !password) return res.status(400).json({ success: false, error: '用户名和密码不能为空' });
+    if (String(password).length < 6) return res.status(400).json({ success: false, error: '密码长度不能少于6位' });
+    if (!ROLES.includes(role)) return res.status(400).json({ success: false, error: `角色仅支持 ${ROLES.join('、')}` });
+    if (findUserByName(username)) return res.status(400).json({ success: false, error: '用户名已存在' });
+
+    db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(String(username), hashPassword(password), role);
+    console.log(`[Auth] ${req.user.username} 创建账号: ${username} (${role})`);
+    res.json({ success: true, data: publicUser(findUserByName(username)) });
+});
+
+/** PUT /api/users/:id - 修改密码、角色或启用状态 */
+router.put('/users/:id', (req, res) => {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(parseInt(req.params.id, 10));
+    if (!user) return res.status(404).json({ success: false, error: '账号不存在' });
+
+    const { password, role, enabled } = req.body;
+    if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ success: false, error: `角色仅支持 ${ROLES.join('、')}` });
+    if (password !== undefined && String(password).length < 6) return res.status(400).json({ success: false, error: '密码长度不能少于6位' });
+
+    const demoting = user.role === 'admin' && ((role !== undefined && role !== 'admin') || enabled === false);
+    if (demoting && countOtherAdmins(user.id) === 0) {
+        return res.status(400).json({ success: false, error: '至少需要保留一个启用的管理员' });
+    }
+
+    db.prepare(`
+        UPDATE users
+        SET password_hash = ?, role = ?, enabled = ?, updated_at = datetime('now', 'localtime')
+        WHERE id = ?
+    `).run(
+        password !== undefined ? hashPassword(password) : user.password_hash,
+        role !== undefined ? role : user.role,
+        enabled !== undefined ? (enabled ? 1 : 0) : user.enabled,
+        user.id
+    );
+    // 修改密码或停用账号后，该账号已登录的会话全部失效
+    if (password !== undefined || enabled === false) revokeUserSessions(user.id);
+    res.json({ success: true, data: publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(user.id)) });
+});
+
+/** DELETE /api/users/:id - 删除账号 */
+router.delete('/users/:id', (req, res) => {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(parseInt(req.params.id, 10));
+    if (!user) return res.status(404).json({ success: false, error: '账号不存在' });
+    if (user.role === 'admin' && countOtherAdmins(user.id) === 0) {
+        return res.status(400).json({ success: false, error: '至少需要保留一个启用的管理员' });
+    }
+    revokeUserSessions(user.id);
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').run(user.id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+    console.log(`[Auth] ${req.user.username} 删除账号: ${user.username}`);
+    res.json({ success: true });
+});
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    hasRole,
+    requiredRole,
+    ensureDefaultAdmin,
+    createSession,
+    getActiveSession,
+    onSessionsRevoked,
+    signLink,
+    authenticate,
+    authorize,
+    router
+};
@@ -0,0 +1,308 @@
+/**
+ * 短信自动回复
+ * 收到短信时按优先级依次匹配启用的规则（设备、卡槽、发件号码、内容正则），命中的第一条规则通过短信发送队列
+ * 在收到短信的同一卡槽上 sendsms 回复。同一设备卡槽的同一号码在冷却时间内只自动回复一次，
+ * 避免与对方的自动回复互相触发；每次命中都记录到 sms_auto_reply_log。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+const outboxService = require('./outboxService');
+const { calculateAdminToken } = require('./boardProtocol');
+const { parseTimezone, toIsoString } = require('./timeUtils');
+const { badRequest, optionalInteger, normalizeFilters, filterInput, matchesRule } = require('./smsRules');
+
+const MAX_LIMIT = 500;
+// 已加入发送队列的回复取队列记录的状态
+const LOG_STATUS = "CASE WHEN l.status = 'queued' THEN COALESCE(o.status, 'queued') ELSE l.status END";
+
+/**
+ * 校验并规范化规则，字段为接口入参的驼峰形式
+ * @returns {object} sms_auto_reply_rules 的列值
+ */
+function normalizeRule(input) {
+    const name = String(input.name || '').trim();
+    const reply = String(input.reply || '');
+    const transport = input.transport || 'auto';
+    if (!name) throw badRequest('缺少规则名称 name');
+    if (!reply.trim()) throw badRequest('缺少回复内容 reply');
+    if (!['auto', 'http', 'tcp'].includes(transport)) throw badRequest('transport 仅支持 auto、http、tcp');
+
+    const filters = normalizeFilters(input);
+    const cooldownSeconds = optionalInteger(input.cooldownSeconds);
+    if (cooldownSeconds !== null && !(cooldownSeconds >= 0)) throw badRequest('冷却时间 cooldownSeconds 必须是非负整数，留空使用默认值');
+    const priority = optionalInteger(input.priority) ?? 0;
+    if (isNaN(priority)) throw badRequest('优先级 priority 必须是整数');
+    const token = input.token || (input.adminPassword ? calculateAdminToken(input.adminPassword, input.adminUser || 'admin') : null);
+    if (transport === 'http' && !token) throw badRequest('HTTP通道缺少必要参数: token 或 adminPassword');
+
+    return {
+        name,
+        enabled: input.enabled === false || input.enabled === 0 ? 0 : 1,
+        priority,
+        ...filters,
+        reply,
+        cooldown_seconds: cooldownSeconds,
+        transport,
+        token
+    };
+}
+
+/**
+ * 已保存的规则转为接口入参形式，便于按部分字段更新
+ */
+function ruleInput(row) {
+    return {
+        name: row.name,
+        enabled: Boolean(row.enabled),
+        priority: row.priority,
+        ...filterInput(row),
+        reply: row.reply,
+        cooldownSeconds: row.cooldown_seconds,
+        transport: row.transport,
+        token: row.token
+    };
+}
+
+/**
+ * 接口输出：时间转为 ISO-8601，不返回开发板 token
+ */
+function formatRule(row, timezone = null) {
+    const { token, created_at_ms: createdAt, updated_at_ms: updatedAt, ...rule } = row;
+    const zone = parseTimezone(timezone);
+    return {
+        ...rule,
+        enabled: Boolean(rule.enabled),
+        created_at: toIsoString(createdAt, zone),
+        updated_at: toIsoString(updatedAt, zone)
+    };
+}
+
+function getRuleRow(id) {
+    return db.prepare('SELECT * FROM sms_auto_reply_rules WHERE id = ?').get(parseInt(id, 10));
+}
+
+function listRules(timezone = null) {
+    return db.prepare('SELECT * FROM sms_auto_reply_rules ORDER BY priority DESC, id').all().map(row => formatRule(row, timezone));
+}
+
+function createRule(input, actor) {
+    const rule = normalizeRule(input);
+    const now = Date.now();
+    const columns = Object.keys(rule);
+    const result = db.prepare(`
+        INSERT INTO sms_auto_reply_rules (${columns.join(', ')}, created_by, created_at_ms, updated_at_ms)
+        VALUES (${columns.map(() => '?').join(', ')}, ?, ?, ?)
+    `).run(...Object.values(rule), actor ? actor.username : null, now, now);
+    if (!result.changes) throw new Error('保存自动回复规则失败');
+    console.log(`[AutoReply] ${actor ? actor.username : '-'} 新建自动回复规则 #${result.lastInsertRowid} ${rule.name}`);
+    return getRuleRow(result.lastInsertRowid);
+}
+
+/**
+ * 更新规则：未提供的字段保持不变
+ */
+function updateRule(id, input, actor) {
+    const existing = getRuleRow(id);
+    if (!existing) return null;
+    const rule = normalizeRule({ ...ruleInput(existing), ...input });
+    const columns = Object.keys(rule);
+    db.prepare(`UPDATE sms_auto_reply_rules SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at_ms = ? WHERE id = ?`)
+        .run(...Object.values(rule), Date.now(), existing.id);
+    console.log(`[AutoReply] ${actor ? actor.username : '-'} 更新自动回复规则 #${existing.id} ${rule.name}`);
+    return getRuleRow(existing.id);
+}
+
+/**
+ * 同一设备卡槽在冷却时间内是否已自动回复过该号码（任一规则）
+ */
+function inCooldown(rule, record, now) {
+    const cooldownSeconds = rule.cooldown_seconds ?? config.autoReply.cooldownSeconds;
+    if (!cooldownSeconds) return false;
+    return Boolean(db.prepare(`
+        SELECT id FROM sms_auto_reply_log
+        WHERE dev_id = ? AND slot = ? AND phone_num = ? AND status = 'queued' AND created_at_ms > ?
+        LIMIT 1
+    `).get(record.dev_id, record.slot, record.phone_num, now - cooldownSeconds * 1000));
+}
+
+function writeLog(rule, record, status, fields = {}) {
+    const result = db.prepare(`
+        INSERT INTO sms_auto_reply_log (rule_id, dev_id, slot, phone_num, content, reply, status, outbox_id, error, created_at_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        rule.id, record.dev_id, record.slot, record.phone_num, record.content, rule.reply, status,
+        fields.outboxId || null, fields.error || null, fields.now
+    );
+    return result.lastInsertRowid;
+}
+
+/**
+ * 收到短信后匹配规则并加入回复。外发短信、重放的消息和卡槽未知的短信不回复
+ * @param {object} record - 由短信推送生成的 sms_records 字段
+ * @param {object} [context] - 消息处理上下文
+ * @returns {{ ruleId: number, status: string, outboxId?: number }|null} 没有命中规则时返回 null
+ */
+function handleIncoming(record, context = {}) {
+    if (record.direction !== 'in' || context.replay) return null;
+    if (!record.slot || !record.phone_num || record.phone_num === 'unknown') return null;
+
+    const rule = db.prepare('SELECT * FROM sms_auto_reply_rules WHERE enabled = 1 ORDER BY priority DESC, id').all()
+        .find(candidate => matchesRule(candidate, record));
+    if (!rule) return null;
+
+    const now = Date.now();
+    if (inCooldown(rule, record, now)) {
+        writeLog(rule, record, 'cooldown', { now });
+        console.log(`[AutoReply] ${record.phone_num} 命中规则 #${rule.id} ${rule.name}，冷却时间内不再回复`);
+        return { ruleId: rule.id, status: 'cooldown' };
+    }
+
+    try {
+        const item = outboxService.enqueue({
+            devId: record.dev_id,
+            slot: record.slot,
+            phone: record.phone_num,
+            content: rule.reply,
+            token: rule.token,
+            transport: rule.transport
+        });
+        writeLog(rule, record, 'queued', { outboxId: item.id, now });
+        console.log(`[AutoReply] ${record.phone_num} 命中规则 #${rule.id} ${rule.name}，已加入发送队列 #${item.id}`);
+        return { ruleId: rule.id, status: 'queued', outboxId: item.id };
+    } catch (error) {
+        writeLog(rule, record, 'failed', { error: error.message, now });
+        console.error(`[AutoReply] 规则 #${rule.id} 回复 ${record.phone_num} 失败:`, error.message);
+        return { ruleId: rule.id, status: 'failed' };
+    }
+}
+
+/**
+ * 查询触发记录
+ * @param {object} filters - ruleId、devId、phone、page、limit
+ */
+function listLog(filters = {}) {
+    const clauses = [];
+    const params = [];
+    if (filters.ruleId) {
+        clauses.push('l.rule_id = ?');
+        params.push(parseInt(filters.ruleId, 10));
+    }
+    if (filters.devId) {
+        clauses.push('l.dev_id = ?');
+        params.push(filters.devId);
+    }
+    if (filters.phone) {
+        clauses.push('l.phone_num LIKE ?');
+        params.push(`%${filters.phone}%`);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_LIMIT);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM sms_auto_reply_log l ${where}`).get(...params);
+    const rows = db.prepare(`
+        SELECT l.*, ${LOG_STATUS} AS reply_status, r.name AS rule_name, o.last_error
+        FROM sms_auto_reply_log l
+        LEFT JOIN sms_auto_reply_rules r ON r.id = l.rule_id
+        LEFT JOIN sms_outbox o ON o.id = l.outbox_id
+        ${where}
+        ORDER BY l.id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, (page - 1) * limit);
+    return { rows, page, limit, total };
+}
+
+function formatLog(row, timezone = null) {
+    return {
+        id: row.id,
+        rule_id: row.rule_id,
+        rule_name: row.rule_name || null,
+        dev_id: row.dev_id,
+        slot: row.slot,
+        phone_num: row.phone_num,
+        content: row.content,
+        reply: row.reply,
+        status: row.reply_status,
+        outbox_id: row.outbox_id,
+        error: row.error || row.last_error || null,
+        created_at: toIsoString(row.created_at_ms, parseTimezone(timezone))
+    };
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/**
+ * GET /api/auto-replies
+ * 自动回复规则，按优先级从高到低排列
+ */
+router.get('/auto-replies', (req, res) => {
+    res.json({ success: true, data: listRules(parseTimezone(req.query.timezone, null)) });
+});
+
+/**
+ * POST /api/auto-replies
+ */
+router.post('/auto-replies', (req, res) => {
+    try {
+        res.json({ success: true, data: formatRule(createRule(req.body, req.user)) });
+    } catch (error) {
+        if (!error.statusCode) console.error('[AutoReply] 保存自动回复规则失败:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/auto-replies/log
+ * 触发记录，可按 ruleId、devId、phone 筛选，page、limit 分页
+ */
+router.get('/auto-replies/log', (req, res) => {
+    try {
+        const timezone = parseTimezone(req.query.timezone, null);
+        const result = listLog(req.query);
+        res.json({
+            success: true,
+            data: result.rows.map(row => formatLog(row, timezone)),
+            pagination: { page: result.page, limit: result.limit, total: result.total }
+        });
+    } catch (error) {
+        console.error('[AutoReply] 获取自动回复记录失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/auto-replies/:id
+ * 更新规则，未提供的字段保持不变，例如 { "enabled": false } 停用
+ */
+router.put('/auto-replies/:id', (req, res) => {
+    try {
+        const rule = updateRule(req.params.id, req.body, req.user);
+        if (!rule) return res.status(404).json({ success: false, error: '规则不存在' });
+        res.json({ success: true, data: formatRule(rule) });
+    } catch (error) {
+        if (!error.statusCode) console.error('[AutoReply] 更新自动回复规则失败:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/auto-replies/:id
+ * 删除规则，触发记录保留
+ */
+router.delete('/auto-replies/:id', (req, res) => {
+    const result = db.prepare('DELETE FROM sms_auto_reply_rules WHERE id = ?').run(parseInt(req.params.id, 10));
+    if (!result.changes) return res.status(404).json({ success: false, error: '规则不存在' });
+    console.log(`[AutoReply] ${req.user ? req.user.username : '-'} 删除自动回复规则 #${req.params.id}`);
+    res.json({ success: true });
+});
+
+module.exports = {
+    listRules,
+    createRule,
+    updateRule,
+    handleIncoming,
+    listLog,
+    router
+};
@@ -0,0 +1,319 @@
+/**
+ * 数据库备份与恢复
+ * 支持下载一致性快照、上传快照恢复（恢复前保留当前数据库），以及每天定时快照并按天数轮换。
+ * 录音目录可选打包为 tar 一并备份。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const config = require('./config');
+const { exportDatabase, openSnapshot, replaceDatabase, dbPath } = require('./database');
+const { recordingsDir } = require('./recordingService');
+
+const backupDir = path.resolve(config.backup.dir || path.join(path.dirname(dbPath), 'backups'));
+// 定时/手动快照参与轮换；恢复前保留的 pre-restore 文件需手动清理
+const SNAPSHOT_PATTERN = /^(lvyou|recordings|pre-restore)-\d{8}-\d{6}\.(db|tar)$/;
+const ROTATED_PREFIXES = ['lvyou-', 'recordings-'];
+
+let scheduleTimer = null;
+
+function timestamp(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// ==================== tar 打包 ====================
+
+/**
+ * ustar 文件头。名称超过 100 字节时按目录拆到 prefix 字段
+ */
+function tarHeader(name, size, mtimeMs) {
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+        const index = name.lastIndexOf('/');
+        prefix = name.slice(0, index);
+        name = name.slice(index + 1);
+        if (index === -1 || Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) throw new Error(`文件名过长: ${name}`);
+    }
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(Math.floor(mtimeMs / 1000), 12), 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.write(prefix, 345, 155);
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(octal(checksum, 7) + ' ', 148);
+    return header;
+}
+
+function write(stream, chunk) {
+    return new Promise((resolve, reject) => stream.write(chunk, error => error ? reject(error) : resolve()));
+}
+
+/**
+ * 以 tar 格式写出条目
+ * @param {stream.Writable} stream
+ * @param {{ name: string, buffer?: Buffer, path?: string, size?: number, mtimeMs?: number }[]} entries
+ */
+async function writeTar(stream, entries) {
+    for (const entry of entries) {
+        const size = entry.buffer ? entry.buffer.length : entry.size;
+        await write(stream, tarHeader(entry.name, size, entry.mtimeMs || Date.now()));
+        if (entry.buffer) {
+            await write(stream, entry.buffer);
+        } else if (size > 0) {
+            // 按打包开始时的大小读取，文件被截断时补零，保证归档结构完整
+            let written = 0;
+            for await (const chunk of fs.createReadStream(entry.path, { start: 0, end: size - 1 })) {
+                await write(stream, chunk);
+                written += chunk.length;
+            }
+            if (written < size) await write(stream, Buffer.alloc(size - written));
+        }
+        const padding = (512 - size % 512) % 512;
+        if (padding) await write(stream, Buffer.alloc(padding));
+    }
+    await write(stream, Buffer.alloc(1024));
+}
+
+function recordingEntries(prefix = '') {
+    if (!fs.existsSync(recordingsDir)) return [];
+    return fs.readdirSync(recordingsDir, { withFileTypes: true })
+        .filter(item => item.isFile())
+        .map(item => {
+            const filePath = path.join(recordingsDir, item.name);
+            const stat = fs.statSync(filePath);
+            return { name: prefix + item.name, path: filePath, size: stat.size, mtimeMs: stat.mtimeMs };
+        });
+}
+
+// ==================== 快照 ====================
+
+/**
+ * 生成一份快照到备份目录
+ * @param {object} [options]
+ * @param {boolean} [options.includeRecordings] - 同时把录音目录打包为 recordings-*.tar
+ * @returns {Promise<string[]>} 生成的文件名
+ */
+async function createSnapshot({ includeRecordings = false } = {}) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = timestamp();
+    const files = [`lvyou-${stamp}.db`];
+    writeFileAtomic(path.join(backupDir, files[0]), exportDatabase());
+
+    if (includeRecordings) {
+        const name = `recordings-${stamp}.tar`;
+        const tempPath = path.join(backupDir, `${name}.tmp`);
+        const stream = fs.createWriteStream(tempPath);
+        try {
+            await writeTar(stream, recordingEntries());
+            await new Promise((resolve, reject) => stream.end(error => error ? reject(error) : resolve()));
+            fs.renameSync(tempPath, path.join(backupDir, name));
+        } catch (error) {
+            stream.destroy();
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+        files.push(name);
+    }
+    console.log(`[Backup] 已生成快照: ${files.join(', ')}`);
+    return files;
+}
+
+function writeFileAtomic(filePath, buffer) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, buffer);
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * 删除超过保留天数的定时/手动快照
+ * @returns {string[]} 被删除的文件名
+ */
+function rotateSnapshots(retentionDays = config.backup.retentionDays) {
+    if (!retentionDays || retentionDays <= 0 || !fs.existsSync(backupDir)) return [];
+    const threshold = Date.now() - retentionDays * 24 * 3600 * 1000;
+    const removed = listSnapshots()
+        .filter(item => ROTATED_PREFIXES.some(prefix => item.name.startsWith(prefix)) && item.mtimeMs < threshold)
+        .map(item => {
+            fs.rmSync(path.join(backupDir, item.name), { force: true });
+            return item.name;
+        });
+    if (removed.length > 0) console.log(`[Backup] 轮换删除 ${removed.length} 个过期快照`);
+    return removed;
+}
+
+function listSnapshots() {
+    if (!fs.existsSync(backupDir)) return [];
+    return fs.readdirSync(backupDir)
+        .filter(name => SNAPSHOT_PATTERN.test(name))
+        .map(name => {
+            const stat = fs.statSync(path.join(backupDir, name));
+            return { name, size: stat.size, mtimeMs: stat.mtimeMs, created_at: stat.mtime.toISOString() };
+        })
+        .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * 校验上传的数据库并替换当前数据库，替换前把当前数据库保存为 pre-restore-*.db
+ * @returns {{ keptAs: string }} 恢复前数据库的备份文件名
+ */
+function restoreSnapshot(buffer) {
+    const snapshot = openSnapshot(buffer);
+    fs.mkdirSync(backupDir, { recursive: true });
+    const keptAs = `pre-restore-${timestamp()}.db`;
+    try {
+        writeFileAtomic(path.join(backupDir, keptAs), exportDatabase());
+        replaceDatabase(snapshot);
+    } catch (error) {
+        snapshot.close();
+        throw error;
+    }
+    console.log(`[Backup] 数据库已恢复，原数据库保存为 ${keptAs}`);
+    return { keptAs };
+}
+
+// ==================== 定时任务 ====================
+
+function nextRunDelay(now = new Date()) {
+    const next = new Date(now);
+    next.setHours(config.backup.hour, 0, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next - now;
+}
+
+async function runScheduled() {
+    try {
+        await createSnapshot({ includeRecordings: config.backup.includeRecordings });
+        rotateSnapshots();
+    } catch (error) {
+        console.error('[Backup] 定时备份失败:', error);
+    }
+    scheduleNext();
+}
+
+function scheduleNext() {
+    scheduleTimer = setTimeout(runScheduled, nextRunDelay());
+    scheduleTimer.unref();
+}
+
+/**
+ * 启动每日定时备份，BACKUP_RETENTION_DAYS 为 0 时不启动
+ */
+function start() {
+    if (!config.backup.retentionDays || config.backup.retentionDays <= 0 || scheduleTimer) return;
+    scheduleNext();
+    console.log(`[Backup] 每日 ${config.backup.hour}:00 自动备份到 ${backupDir}，保留 ${config.backup.retentionDays} 天`);
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { files: 1, fileSize: config.backup.maxUploadMb * 1024 * 1024 }
+});
+
+/**
+ * GET /api/backup/download
+ * 下载当前数据库快照；recordings=1 时下载包含 lvyou.db 和 recordings/ 目录的 tar
+ */
+router.get('/backup/download', async (req, res) => {
+    const stamp = timestamp();
+    const snapshot = exportDatabase();
+    if (req.query.recordings !== '1' && req.query.recordings !== 'true') {
+        res.header('Content-Type', 'application/octet-stream');
+        res.header('Content-Disposition', `attachment; filename="lvyou-${stamp}.db"`);
+        return res.send(snapshot);
+    }
+
+    res.header('Content-Type', 'application/x-tar');
+    res.header('Content-Disposition', `attachment; filename="lvyou-${stamp}.tar"`);
+    try {
+        await writeTar(res, [{ name: 'lvyou.db', buffer: snapshot }, ...recordingEntries('recordings/')]);
+        res.end();
+    } catch (error) {
+        console.error('[Backup] 打包下载失败:', error);
+        res.destroy(error);
+    }
+});
+
+/** GET /api/backup/snapshots - 备份目录中的快照列表 */
+router.get('/backup/snapshots', (req, res) => {
+    res.json({
+        success: true,
+        data: listSnapshots().map(({ name, size, created_at }) => ({ name, size, created_at })),
+        settings: {
+            dir: backupDir,
+            retentionDays: config.backup.retentionDays,
+            hour: config.backup.hour,
+            includeRecordings: config.backup.includeRecordings
+        }
+    });
+});
+
+/**
+ * POST /api/backup/snapshots
+ * 立即生成快照并执行轮换；请求体 { includeRecordings } 默认沿用 BACKUP_INCLUDE_RECORDINGS
+ */
+router.post('/backup/snapshots', async (req, res) => {
+    const { includeRecordings = config.backup.includeRecordings } = req.body || {};
+    try {
+        const files = await createSnapshot({ includeRecordings: includeRecordings === true || includeRecordings === 'true' });
+        const removed = rotateSnapshots();
+        res.json({ success: true, data: { files, removed } });
+    } catch (error) {
+        console.error('[Backup] 生成快照失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/** GET /api/backup/snapshots/:name - 下载备份目录中的文件 */
+router.get('/backup/snapshots/:name', (req, res) => {
+    const { name } = req.params;
+    if (!SNAPSHOT_PATTERN.test(name) || !fs.existsSync(path.join(backupDir, name))) {
+        return res.status(404).json({ success: false, error: '备份文件不存在' });
+    }
+    res.download(path.join(backupDir, name), name);
+});
+
+/**
+ * POST /api/backup/restore
+ * multipart 上传数据库文件（字段名 file），校验通过后替换当前数据库
+ */
+router.post('/backup/restore', (req, res) => {
+    upload.single('file')(req, res, error => {
+        if (error) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ success: false, error: error.message });
+        }
+        if (!req.file) return res.status(400).json({ success: false, error: '缺少上传文件: file' });
+
+        try {
+            const data = restoreSnapshot(req.file.buffer);
+            console.log(`[Backup] ${req.user ? req.user.username : '-'} 从上传文件 ${req.file.originalname} 恢复数据库`);
+            res.json({ success: true, data });
+        } catch (restoreError) {
+            res.status(400).json({ success: false, error: restoreError.message });
+        }
+    });
+});
+
+module.exports = {
+    createSnapshot,
+    rotateSnapshots,
+    restoreSnapshot,
+    writeTar,
+    start,
+    router
+};
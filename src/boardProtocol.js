@@ -3,6 +3,7 @@ const crypto = require('crypto');
 /**
  * X 系列开发板（v137 文档）HTTP 控制协议定义。
  * aliases 是 sms_web 对外暴露的语义化字段，最终会转换为开发板的 p1...pN。
+ * secrets 列出写入审计日志前需要脱敏的参数。
  */
 const COMMANDS = {
     now: { description: '设置开发板时间', params: { p1: ['time'], p2: ['auto'], p3: ['timezone'] } },
@@ -11,8 +12,8 @@ const COMMANDS = {
     dailyrst: { description: '设置/查询每日重启时间', params: { p1: ['hour'] } },
     ping: { description: '设备在线响应测试', params: {} },
     pingintvl: { description: '设置/查询心跳间隔', params: { p1: ['seconds', 'interval'] } },
-    chpwdadmin: { description: '修改管理员密码', params: { p1: ['oldPassword'], p2: ['newPassword'] } },
-    chpwduser: { description: '修改用户密码', params: { p1: ['password', 'newPassword'] } },
+    chpwdadmin: { description: '修改管理员密码', params: { p1: ['oldPassword'], p2: ['newPassword'] }, secrets: ['p1', 'p2'] },
+    chpwduser: { description: '修改用户密码', params: { p1: ['password', 'newPassword'] }, secrets: ['p1'] },
     ackmax: { description: '设置/查询应答超时时间', params: { p1: ['milliseconds', 'timeout'] } },
     soundposstart: { description: '开始寻音定位', params: {} },
     soundposend: { description: '停止寻音定位', params: {} },
@@ -35,7 +36,7 @@ const COMMANDS = {
     },
 
     wf: { description: '设置/查询 WiFi 模式', aliases: ['wifi'], params: { p1: ['mode', 'action'] } },
-    addwf: { description: '增加 WiFi 热点', aliases: ['addwifi'], params: { p1: ['ssid'], p2: ['password'] } },
+    addwf: { description: '增加 WiFi 热点', aliases: ['addwifi'], params: { p1: ['ssid'], p2: ['password'] }, secrets: ['p2'] },
     delwf: { description: '删除 WiFi 热点', aliases: ['delwifi'], params: { p1: ['ssid'] } },
     askwfstore: { description: '查询已保存的 WiFi 网络', aliases: ['askwifistore'], params: {} },
     wftxdbm: { description: '设置/查询 WiFi 发射功率', aliases: ['wifitxdbm'], params: { p1: ['mode'], p2: ['power', 'percent'] } },
@@ -106,4 +107,17 @@ function mapCommandParams(command, input = {}) {
     return { command: canonical, params };
 }
 
-module.exports = { COMMANDS, calculateAdminToken, resolveCommand, mapCommandParams };
+/**
+ * 返回用于记录日志的参数副本，secrets 中的参数替换为 ***
+ */
+function redactParams(command, params = {}) {
+    const definition = COMMANDS[resolveCommand(command)];
+    const secrets = (definition && definition.secrets) || [];
+    const result = { ...params };
+    for (const name of secrets) {
+        if (result[name] !== undefined) result[name] = '***';
+    }
+    return result;
+}
+
+module.exports = { COMMANDS, calculateAdminToken, resolveCommand, mapCommandParams, redactParams };
@@ -0,0 +1,514 @@
+/**
+ * 短信群发
+ * 上传接收人 CSV（第一行为列名，其中一列为号码，其余列作为模板变量 {{列名}}），选择参与发送的卡槽，
+ * 后台任务把接收人逐个派发到短信发送队列，每张卡上一条下发后再派发下一条；每张卡的发送速率和每日上限
+ * 由发送队列在下发时控制（重试同样计数）。每个接收人的状态取自对应的队列记录
+ * （401/402 应答、502 确认和重试均由发送队列处理）。任务可暂停、继续和取消，结果可导出 CSV。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+const outboxService = require('./outboxService');
+const { calculateAdminToken } = require('./boardProtocol');
+const { parseTimezone, formatDateTime, toIsoString } = require('./timeUtils');
+
+const PHONE_COLUMNS = ['phone', 'phone_num', 'phonenum', 'mobile', 'number', '号码', '手机号', '手机号码', '电话'];
+const VARIABLE = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const MAX_RECIPIENTS = 10000;
+const MAX_RATE_PER_MINUTE = 60;
+const DISPATCH_INTERVAL_MS = 1000;
+const MAX_LIMIT = 500;
+// 派发前的状态记在接收人上，派发后取发送队列的状态
+const RECIPIENT_STATUS = "CASE WHEN r.status = 'dispatched' THEN COALESCE(o.status, 'queued') ELSE r.status END";
+const STATUS_LABELS = {
+    pending: '等待派发',
+    queued: '等待发送',
+    sending: '下发中',
+    accepted: '开发板已收到',
+    done: '开发板已处理',
+    confirmed: '已确认发送',
+    failed: '失败',
+    cancelled: '已取消'
+};
+
+let dispatchTimer = null;
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * 解析 CSV 文本，支持双引号包裹的字段（字段内的逗号、换行和 "" 转义）。
+ * 空行保留为只有一个空字段的行，便于按行号报告错误；末尾的换行不产生空行
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function render(template, variables) {
+    return template.replace(VARIABLE, (match, name) => variables[name] ?? '');
+}
+
+/**
+ * 解析接收人 CSV 并渲染短信内容，同一号码只保留第一行
+ * @returns {{ recipients: Array<{ rowNumber: number, phone: string, variables: object, content: string }>, duplicates: number }}
+ */
+function parseRecipients(csv, template) {
+    const [header, ...rows] = parseCsv(csv);
+    if (!header || header.every(cell => cell.trim() === '')) throw badRequest('接收人 CSV 缺少列名行');
+    const columns = header.map(name => name.trim());
+    const phoneIndex = columns.findIndex(name => PHONE_COLUMNS.includes(name.toLowerCase()));
+    if (phoneIndex === -1) throw badRequest(`接收人 CSV 缺少号码列（列名为 ${PHONE_COLUMNS.join('、')} 之一）`);
+    const missing = [...template.matchAll(VARIABLE)].map(match => match[1]).filter(name => !columns.includes(name));
+    if (missing.length > 0) throw badRequest(`模板变量在 CSV 中没有对应的列: ${[...new Set(missing)].join('、')}`);
+    if (rows.length > MAX_RECIPIENTS) throw badRequest(`接收人不能超过 ${MAX_RECIPIENTS} 个`);
+
+    const seen = new Set();
+    const recipients = [];
+    rows.forEach((row, index) => {
+        if (row.every(cell => cell.trim() === '')) return;
+        // 行号从 2 开始，与表格软件中的行号一致
+        const rowNumber = index + 2;
+        const phone = (row[phoneIndex] || '').trim();
+        if (!phone) throw badRequest(`第 ${rowNumber} 行缺少号码`);
+        if (seen.has(phone)) return;
+        seen.add(phone);
+        const variables = Object.fromEntries(columns.map((name, column) => [name, (row[column] || '').trim()]));
+        const content = render(template, variables);
+        if (!content.trim()) throw badRequest(`第 ${rowNumber} 行渲染后的短信内容为空`);
+        recipients.push({ rowNumber, phone, variables, content });
+    });
+    if (recipients.length === 0) throw badRequest('接收人 CSV 没有数据行');
+    return { recipients, duplicates: rows.filter(row => row.some(cell => cell.trim() !== '')).length - recipients.length };
+}
+
+function parsePool(pool) {
+    if (!Array.isArray(pool) || pool.length === 0) throw badRequest('请至少选择一个发送卡槽 pool: [{ devId, slot }]');
+    const seen = new Set();
+    return pool.map(entry => {
+        const devId = String(entry?.devId || '').trim();
+        const slot = parseInt(entry?.slot, 10);
+        if (!devId || ![1, 2].includes(slot)) throw badRequest('pool 中每项需要 devId 和卡槽号 slot(1或2)');
+        return { devId, slot };
+    }).filter(sim => {
+        const key = `${sim.devId}:${sim.slot}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * 创建群发任务
+ * @param {object} input - name、template、csv、pool、ratePerMinute、dailyCap、transport、token 或 adminUser/adminPassword、start
+ * @param {object} [actor] - 发起的账号（req.user）
+ * @returns {{ campaign: object, duplicates: number }}
+ */
+function createCampaign(input, actor) {
+    const name = String(input.name || '').trim();
+    const template = String(input.template || '');
+    const transport = input.transport || 'auto';
+    if (!name) throw badRequest('缺少任务名称 name');
+    if (!template.trim()) throw badRequest('缺少短信模板 template');
+    if (!['auto', 'http', 'tcp'].includes(transport)) throw badRequest('transport 仅支持 auto、http、tcp');
+    const pool = parsePool(input.pool);
+    const ratePerMinute = parseInt(input.ratePerMinute ?? config.campaign.ratePerMinute, 10);
+    if (!(ratePerMinute >= 1 && ratePerMinute <= MAX_RATE_PER_MINUTE)) throw badRequest(`ratePerMinute 需为 1-${MAX_RATE_PER_MINUTE}`);
+    const dailyCap = parseInt(input.dailyCap ?? config.campaign.dailyCap, 10) || null;
+    if (dailyCap !== null && dailyCap < 0) throw badRequest('dailyCap 不能为负数');
+    const token = input.token || (input.adminPassword ? calculateAdminToken(input.adminPassword, input.adminUser || 'admin') : null);
+    if (transport === 'http' && !token) throw badRequest('HTTP通道缺少必要参数: token 或 adminPassword');
+    const { recipients, duplicates } = parseRecipients(input.csv, template);
+
+    const now = Date.now();
+    const campaignId = db.transaction(() => {
+        const result = db.prepare(`
+            INSERT INTO sms_campaigns (name, template, status, pool, rate_per_minute, daily_cap, transport, token, created_by, created_at_ms, updated_at_ms)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            name, template, input.start === false ? 'paused' : 'running', JSON.stringify(pool), ratePerMinute, dailyCap,
+            transport, token, actor ? actor.username : null, now, now
+        );
+        if (!result.changes) throw new Error('保存群发任务失败');
+        const insert = db.prepare(`
+            INSERT INTO sms_campaign_recipients (campaign_id, row_number, phone_num, variables, content)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        for (const recipient of recipients) {
+            const inserted = insert.run(result.lastInsertRowid, recipient.rowNumber, recipient.phone, JSON.stringify(recipient.variables), recipient.content);
+            if (!inserted.changes) throw new Error('保存群发接收人失败');
+        }
+        return result.lastInsertRowid;
+    })();
+    console.log(`[Campaign] 创建群发任务 #${campaignId} ${name}: ${recipients.length} 个接收人，${pool.length} 张卡`);
+    return { campaign: getCampaign(campaignId), duplicates };
+}
+
+function getCampaignRow(id) {
+    return db.prepare('SELECT * FROM sms_campaigns WHERE id = ?').get(id);
+}
+
+/**
+ * 各状态的接收人数
+ */
+function summarize(campaignId) {
+    const rows = db.prepare(`
+        SELECT ${RECIPIENT_STATUS} AS status, COUNT(*) AS count
+        FROM sms_campaign_recipients r LEFT JOIN sms_outbox o ON o.id = r.outbox_id
+        WHERE r.campaign_id = ? GROUP BY 1
+    `).all(campaignId);
+    const summary = Object.fromEntries(Object.keys(STATUS_LABELS).map(status => [status, 0]));
+    let total = 0;
+    for (const row of rows) {
+        summary[row.status] = row.count;
+        total += row.count;
+    }
+    return { total, ...summary };
+}
+
+/**
+ * 接口输出：时间转为 ISO-8601，附带各状态人数，不返回开发板 token
+ */
+function formatCampaign(row, timezone = null) {
+    if (!row) return null;
+    const { token, pool, created_at_ms: createdAt, updated_at_ms: updatedAt, finished_at_ms: finishedAt, ...campaign } = row;
+    const zone = parseTimezone(timezone);
+    return {
+        ...campaign,
+        pool: JSON.parse(pool),
+        created_at: toIsoString(createdAt, zone),
+        updated_at: toIsoString(updatedAt, zone),
+        finished_at: toIsoString(finishedAt, zone),
+        summary: summarize(row.id)
+    };
+}
+
+function getCampaign(id, timezone = null) {
+    return formatCampaign(getCampaignRow(id), timezone);
+}
+
+function listCampaigns(timezone = null) {
+    return db.prepare('SELECT * FROM sms_campaigns ORDER BY id DESC').all().map(row => formatCampaign(row, timezone));
+}
+
+/**
+ * 查询接收人及其发送结果
+ * @param {object} filters - status（可逗号分隔）、page、limit；export 为 true 时返回全部
+ */
+function listRecipients(campaignId, filters = {}) {
+    const clauses = ['r.campaign_id = ?'];
+    const params = [campaignId];
+    const statuses = String(filters.status || '').split(',').map(status => status.trim()).filter(status => STATUS_LABELS[status]);
+    if (statuses.length > 0) {
+        clauses.push(`${RECIPIENT_STATUS} IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    const from = `FROM sms_campaign_recipients r LEFT JOIN sms_outbox o ON o.id = r.outbox_id WHERE ${clauses.join(' AND ')}`;
+    const { total } = db.prepare(`SELECT COUNT(*) AS total ${from}`).get(...params);
+    let sql = `
+        SELECT r.*, ${RECIPIENT_STATUS} AS delivery_status, o.attempts, o.last_error, o.tid, o.confirmed_at_ms
+        ${from} ORDER BY r.row_number
+    `;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_LIMIT);
+    if (!filters.export) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(limit, (page - 1) * limit);
+    }
+    return { rows: db.prepare(sql).all(...params), total, page, limit };
+}
+
+function formatRecipient(row, timezone = null) {
+    const zone = parseTimezone(timezone);
+    return {
+        id: row.id,
+        row_number: row.row_number,
+        phone_num: row.phone_num,
+        variables: JSON.parse(row.variables),
+        content: row.content,
+        status: row.delivery_status,
+        dev_id: row.dev_id,
+        slot: row.slot,
+        outbox_id: row.outbox_id,
+        tid: row.tid || null,
+        attempts: row.attempts ?? 0,
+        error: row.error || row.last_error || null,
+        dispatched_at: toIsoString(row.dispatched_at_ms, zone),
+        confirmed_at: toIsoString(row.confirmed_at_ms, zone)
+    };
+}
+
+/**
+ * 卡槽是否可以再派发一条：同一张卡上没有仍在发送队列中等待的群发短信（包括等待重试和受限推迟的）。
+ * 速率和每日上限由发送队列在下发时按卡控制
+ */
+function simAvailable(sim) {
+    return !db.prepare(`
+        SELECT 1 FROM sms_campaign_recipients r JOIN sms_outbox o ON o.id = r.outbox_id
+        WHERE r.dev_id = ? AND r.slot = ? AND o.status = 'queued' LIMIT 1
+    `).get(sim.devId, sim.slot);
+}
+
+function dispatch(campaign, recipient, sim) {
+    const now = Date.now();
+    try {
+        const item = outboxService.enqueue({
+            devId: sim.devId,
+            slot: sim.slot,
+            phone: recipient.phone_num,
+            content: recipient.content,
+            token: campaign.token,
+            transport: campaign.transport,
+            ratePerMinute: campaign.rate_per_minute,
+            dailyCap: campaign.daily_cap
+        }, campaign.created_by ? { username: campaign.created_by } : undefined);
+        db.prepare(`
+            UPDATE sms_campaign_recipients SET status = 'dispatched', dev_id = ?, slot = ?, outbox_id = ?, dispatched_at_ms = ? WHERE id = ?
+        `).run(sim.devId, sim.slot, item.id, now, recipient.id);
+    } catch (error) {
+        db.prepare(`
+            UPDATE sms_campaign_recipients SET status = 'failed', dev_id = ?, slot = ?, error = ?, dispatched_at_ms = ? WHERE id = ?
+        `).run(sim.devId, sim.slot, error.message, now, recipient.id);
+        console.warn(`[Campaign] 群发任务 #${campaign.id} 派发 ${recipient.phone_num} 失败: ${error.message}`);
+    }
+}
+
+function dispatchCampaign(campaign) {
+    const nextRecipient = db.prepare(`
+        SELECT * FROM sms_campaign_recipients WHERE campaign_id = ? AND status = 'pending' ORDER BY row_number LIMIT 1
+    `);
+    for (const sim of JSON.parse(campaign.pool)) {
+        if (!simAvailable(sim)) continue;
+        const recipient = nextRecipient.get(campaign.id);
+        if (!recipient) break;
+        dispatch(campaign, recipient, sim);
+    }
+    if (!nextRecipient.get(campaign.id)) {
+        db.prepare("UPDATE sms_campaigns SET status = 'completed', finished_at_ms = ?, updated_at_ms = ? WHERE id = ? AND status = 'running'")
+            .run(Date.now(), Date.now(), campaign.id);
+        console.log(`[Campaign] 群发任务 #${campaign.id} 已全部派发`);
+    }
+}
+
+/**
+ * 派发进行中任务的接收人
+ */
+function dispatchDue() {
+    try {
+        for (const campaign of db.prepare("SELECT * FROM sms_campaigns WHERE status = 'running' ORDER BY id").all()) {
+            dispatchCampaign(campaign);
+        }
+    } catch (error) {
+        console.error('[Campaign] 派发群发短信失败:', error);
+    }
+}
+
+function setStatus(id, status, from) {
+    const now = Date.now();
+    return db.prepare(`
+        UPDATE sms_campaigns SET status = ?, updated_at_ms = ? WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})
+    `).run(status, now, id, ...from).changes > 0;
+}
+
+function pauseCampaign(id) {
+    return setStatus(id, 'paused', ['running']);
+}
+
+function resumeCampaign(id) {
+    const resumed = setStatus(id, 'running', ['paused']);
+    if (resumed) setImmediate(dispatchDue);
+    return resumed;
+}
+
+/**
+ * 取消任务：未派发的接收人标记为已取消，已派发但仍在发送队列中等待的一并取消
+ */
+function cancelCampaign(id) {
+    if (!setStatus(id, 'cancelled', ['running', 'paused', 'completed'])) return false;
+    db.prepare("UPDATE sms_campaign_recipients SET status = 'cancelled' WHERE campaign_id = ? AND status = 'pending'").run(id);
+    const queued = db.prepare(`
+        SELECT r.outbox_id FROM sms_campaign_recipients r JOIN sms_outbox o ON o.id = r.outbox_id
+        WHERE r.campaign_id = ? AND o.status = 'queued'
+    `).all(id);
+    for (const { outbox_id: outboxId } of queued) outboxService.cancel(outboxId);
+    db.prepare('UPDATE sms_campaigns SET finished_at_ms = ? WHERE id = ?').run(Date.now(), id);
+    return true;
+}
+
+/**
+ * 启动后台派发
+ */
+function start() {
+    if (!dispatchTimer) dispatchTimer = setInterval(dispatchDue, DISPATCH_INTERVAL_MS);
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+function findCampaign(req, res) {
+    const campaign = getCampaignRow(req.params.id);
+    if (!campaign) res.status(404).json({ success: false, error: '群发任务不存在' });
+    return campaign;
+}
+
+/**
+ * GET /api/campaigns
+ * 群发任务列表，附带各状态的接收人数
+ */
+router.get('/campaigns', (req, res) => {
+    try {
+        res.json({ success: true, data: listCampaigns(parseTimezone(req.query.timezone, null)) });
+    } catch (error) {
+        console.error('[Campaign] 获取群发任务失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/campaigns
+ * 创建群发任务，start 为 false 时创建后暂停
+ */
+router.post('/campaigns', (req, res) => {
+    try {
+        const { campaign, duplicates } = createCampaign(req.body, req.user);
+        setImmediate(dispatchDue);
+        res.json({ success: true, data: campaign, duplicates });
+    } catch (error) {
+        if (!error.statusCode) console.error('[Campaign] 创建群发任务失败:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/campaigns/:id
+ */
+router.get('/campaigns/:id', (req, res) => {
+    const campaign = findCampaign(req, res);
+    if (campaign) res.json({ success: true, data: formatCampaign(campaign, parseTimezone(req.query.timezone, null)) });
+});
+
+/**
+ * GET /api/campaigns/:id/recipients
+ * 接收人及发送结果，可按 status（可逗号分隔）筛选，export=csv 时导出全部
+ */
+router.get('/campaigns/:id/recipients', (req, res) => {
+    try {
+        const campaign = findCampaign(req, res);
+        if (!campaign) return;
+        const timezone = parseTimezone(req.query.timezone, null);
+        const exportCsv = req.query.export === 'csv';
+        const result = listRecipients(campaign.id, { ...req.query, export: exportCsv });
+
+        if (exportCsv) {
+            // 号码列已单独导出
+            const variableNames = result.rows.length > 0
+                ? Object.keys(JSON.parse(result.rows[0].variables)).filter(name => !PHONE_COLUMNS.includes(name.toLowerCase()))
+                : [];
+            const zone = parseTimezone(timezone);
+            const headers = ['行号', '号码', ...variableNames, '内容', '设备ID', '卡槽', '状态', '尝试次数', 'tid', '错误', '派发时间', '确认时间'];
+            const csvContent = [
+                headers.map(csvCell).join(','),
+                ...result.rows.map(row => {
+                    const recipient = formatRecipient(row, timezone);
+                    return [
+                        recipient.row_number, recipient.phone_num, ...variableNames.map(name => recipient.variables[name]),
+                        recipient.content, recipient.dev_id, recipient.slot, STATUS_LABELS[recipient.status] || recipient.status,
+                        recipient.attempts, recipient.tid, recipient.error,
+                        formatDateTime(row.dispatched_at_ms, zone), formatDateTime(row.confirmed_at_ms, zone)
+                    ].map(csvCell).join(',');
+                })
+            ].join('\n');
+
+            res.header('Content-Type', 'text/csv');
+            res.header('Content-Disposition', `attachment; filename="campaign_${campaign.id}_results_${new Date().getTime()}.csv"`);
+            return res.send('\uFEFF' + csvContent); // 添加BOM以支持Excel中文
+        }
+
+        res.json({
+            success: true,
+            data: result.rows.map(row => formatRecipient(row, timezone)),
+            pagination: { page: result.page, limit: result.limit, total: result.total }
+        });
+    } catch (error) {
+        console.error('[Campaign] 获取群发接收人失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+const ACTIONS = {
+    pause: { run: pauseCampaign, error: '只能暂停进行中的任务' },
+    resume: { run: resumeCampaign, error: '只能继续已暂停的任务' },
+    cancel: { run: cancelCampaign, error: '任务已取消' }
+};
+
+/**
+ * POST /api/campaigns/:id/pause | resume | cancel
+ */
+router.post('/campaigns/:id/:action', (req, res, next) => {
+    const action = ACTIONS[req.params.action];
+    if (!action) return next();
+    const campaign = findCampaign(req, res);
+    if (!campaign) return;
+    if (!action.run(campaign.id)) return res.status(400).json({ success: false, error: action.error });
+    res.json({ success: true, data: getCampaign(campaign.id) });
+});
+
+module.exports = {
+    parseCsv,
+    createCampaign,
+    listCampaigns,
+    getCampaign,
+    listRecipients,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    dispatchDue,
+    start,
+    router
+};
@@ -20,16 +20,29 @@ const config = {
     // HTTP鉴权配置（管理界面）
     auth: {
         enabled: process.env.AUTH_ENABLED !== 'false',  // 默认启用鉴权
+        // 初始管理员账号，仅在 users 表为空时写入数据库
         username: process.env.AUTH_USERNAME || 'admin',  // 管理员用户名
         password: process.env.AUTH_PASSWORD || 'admin123',  // 管理员密码（生产环境请务必修改）
         // 不需要鉴权的路径（开发板推送数据的接口由 apiKey 单独验证）
-        excludePaths: ['/push', '/push-form']
+        excludePaths: ['/push', '/push-form'],
+        // 登录会话有效期（小时），到期后需重新登录
+        sessionTtlHours: parseFloat(process.env.AUTH_SESSION_TTL_HOURS || '24'),
+        // 录音下载、CSV导出等签名链接的有效期（秒）
+        linkTtlSeconds: parseInt(process.env.AUTH_LINK_TTL_SECONDS || '300', 10),
+        // 签名链接的 HMAC 密钥；未配置时每次启动随机生成，重启后旧链接失效
+        linkSecret: process.env.AUTH_LINK_SECRET || ''
     },
     
     // API Key 认证配置（开发板推送接口）
     apiKey: {
         enabled: process.env.API_KEY_ENABLED !== 'false',  // 默认启用
         key: process.env.API_KEY || 'your-secure-api-key-here',  // 生产环境请务必修改
+        // 是否继续接受上面的全局密钥；已签发设备密钥的设备始终只接受自己的密钥
+        legacyEnabled: process.env.API_KEY_LEGACY_ENABLED !== 'false',
+        // HMAC 签名推送的共享密钥（X-Timestamp/X-Nonce/X-Signature），留空表示不启用
+        hmacSecret: process.env.API_HMAC_SECRET || '',
+        // 签名时间戳允许的偏差（秒），同时也是 nonce 防重放的时间窗口
+        signatureWindowSeconds: parseInt(process.env.API_SIGNATURE_WINDOW_SECONDS || '300', 10),
         // 支持的传递方式: header, query, body
         // header: X-API-Key 或 Authorization: Bearer <key>
         // query: ?apiKey=xxx
@@ -51,6 +64,24 @@ const config = {
         iv: process.env.AES_IV || '1234567890123456'     // 16字节初始化向量（请在 .env 中配置实际值）
     },
 
+    // 数据库持久化：写入先合并在内存中，最多 flushIntervalMs 毫秒后写入文件。
+    // 进程崩溃时最多丢失这段时间内的写入；推送在应答前已写入入站队列的追加日志，不受此影响。
+    database: {
+        flushIntervalMs: parseInt(process.env.DB_FLUSH_INTERVAL_MS || '2000', 10)
+    },
+
+    // 数据库备份：每天 hour 点（服务器本地时间）生成快照，保留 retentionDays 天，0 表示不自动备份
+    backup: {
+        // 备份目录，为空时使用数据库文件所在目录下的 backups
+        dir: process.env.BACKUP_DIR || '',
+        retentionDays: parseInt(process.env.BACKUP_RETENTION_DAYS || '7', 10),
+        hour: parseInt(process.env.BACKUP_HOUR || '3', 10),
+        // 定时备份时是否同时把录音目录打包为 tar
+        includeRecordings: process.env.BACKUP_INCLUDE_RECORDINGS === 'true',
+        // 恢复时允许上传的数据库文件大小（MB）
+        maxUploadMb: parseInt(process.env.BACKUP_MAX_UPLOAD_MB || '512', 10)
+    },
+
     // 日志配置
     log: {
         // 是否保存原始消息到数据库 (messages表)
@@ -58,14 +89,81 @@ const config = {
         // 默认开启，除非环境变量显式设置为 false
         saveRawMessages: process.env.LOG_RAW_MESSAGES !== 'false',
         
-        // 自动清理旧日志的天数 (0表示不清理)
+        // 自动清理旧日志的天数 (0表示不清理)，管理界面配置了消息日志的全局保留规则后以规则为准
         retentionDays: parseInt(process.env.LOG_RETENTION_DAYS || '7')
     },
 
+    // 重复推送去重：开发板超时重试时，相同 devId/type/slot/时间戳/内容的消息只处理一次
+    dedupe: {
+        // 去重窗口（秒），0 表示关闭
+        windowSeconds: parseInt(process.env.MESSAGE_DEDUPE_WINDOW_SECONDS || '600', 10)
+    },
+
+    // 短信验证码识别
+    otp: {
+        // 自定义识别规则，JSON 字符串数组形式的正则，先于内置规则匹配；
+        // 命名组 code（或第 1 个捕获组）为验证码，可选命名组 service 为服务名
+        patterns: process.env.OTP_PATTERNS || '',
+        // /api/sms/otp/latest 只返回这段时间内收到的验证码（秒）
+        expirySeconds: parseInt(process.env.OTP_EXPIRY_SECONDS || '600', 10)
+    },
+
+    // 长短信拼接：带拼接参数（smsRef/smsTotal/smsSeq）的分段从第一段起最多等待 timeoutSeconds 秒；
+    // 没有拼接参数时，恰好满长度的短信等待 windowSeconds 秒内同一号码的后续分段，0（默认）表示不按时间窗口拼接
+    smsConcat: {
+        timeoutSeconds: parseFloat(process.env.SMS_CONCAT_TIMEOUT_SECONDS || '60'),
+        windowSeconds: parseFloat(process.env.SMS_CONCAT_WINDOW_SECONDS || '0')
+    },
+
+    // 入站消息队列：处理失败时按 retryBaseSeconds * 2^(n-1) 退避重试，超过 maxAttempts 次进入死信
+    spool: {
+        maxAttempts: parseInt(process.env.SPOOL_MAX_ATTEMPTS || '5', 10),
+        retryBaseSeconds: parseFloat(process.env.SPOOL_RETRY_BASE_SECONDS || '10')
+    },
+
+    // 外发短信投递跟踪：下发 sendsms 后超过 timeoutSeconds 未收到 502 外发成功推送时标记为失败（发送队列同样适用），0 表示不超时
+    smsDelivery: {
+        timeoutSeconds: parseInt(process.env.SMS_DELIVERY_TIMEOUT_SECONDS || '300', 10)
+    },
+
+    // 短信发送队列：设备离线、连接被拒绝或开发板返回错误时按 retryBaseSeconds * 2^(n-1) 退避重试，
+    // 超过 maxAttempts 次标记为失败（单条短信可在入队时单独指定次数）
+    outbox: {
+        maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '5', 10),
+        retryBaseSeconds: parseFloat(process.env.OUTBOX_RETRY_BASE_SECONDS || '30')
+    },
+
+    // 短信群发：新建任务时每张卡每分钟的默认发送条数和每日上限（0 表示不限制），任务可单独指定
+    campaign: {
+        ratePerMinute: parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE || '6', 10),
+        dailyCap: parseInt(process.env.CAMPAIGN_DAILY_CAP || '200', 10)
+    },
+
+    // 短信自动回复：同一号码（同一设备卡槽）在冷却时间内只自动回复一次，避免与对方的自动回复互相触发，规则可单独指定
+    autoReply: {
+        cooldownSeconds: parseInt(process.env.AUTO_REPLY_COOLDOWN_SECONDS || '3600', 10)
+    },
+
+    // 短信转发：每条转发短信的最大字数，超过时拆分为多条发送（中文单条短信 70 字）
+    forward: {
+        segmentLength: parseInt(process.env.FORWARD_SEGMENT_LENGTH || '70', 10)
+    },
+
+    // 开发板接入接口（/push、/push-form、GET /push、/recordings/upload）限流，单位：次/分钟，0 表示不限制
+    rateLimit: {
+        ipPerMinute: parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE || '300', 10),
+        devicePerMinute: parseInt(process.env.RATE_LIMIT_DEVICE_PER_MINUTE || '120', 10)
+    },
+
+    // 位于 Nginx、Cloudflare Tunnel 等反向代理之后时配置（如 true、1、loopback），
+    // 使限流和白名单使用 X-Forwarded-For 中的客户端地址；直连时保持为空
+    trustProxy: process.env.TRUST_PROXY || '',
+
     // 通话录音接收配置。开发板 telRecUrl 应指向 /recordings/upload?key=...
     recordings: {
         uploadKey: process.env.RECORDING_UPLOAD_KEY || process.env.API_KEY || 'your-secure-api-key-here',
         maxFileSize: parseInt(process.env.RECORDING_MAX_SIZE_MB || '50', 10) * 1024 * 1024,
+        // 录音保留天数 (0表示永久保留)，管理界面配置了录音的全局保留规则后以规则为准
         retentionDays: parseInt(process.env.RECORDING_RETENTION_DAYS || '0', 10)
     },
     
@@ -7,6 +7,7 @@ const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const config = require('./config');
+const migrator = require('./migrator');
 
 // 确保数据目录存在
 const dbPath = path.resolve(process.env.DATABASE_PATH || path.join(__dirname, '../data/lvyou.db'));
@@ -18,8 +19,12 @@ if (!fs.existsSync(dataDir)) {
 let db = null;
 let SQL = null;
 
-// 初始化数据库
-async function initDatabase() {
+/**
+ * 初始化数据库：加载数据文件并执行待执行的迁移（见 src/migrations）
+ * @param {object} [options]
+ * @param {boolean} [options.migrate=true] - 为 false 时只加载数据，用于查看迁移状态
+ */
+async function initDatabase({ migrate = true } = {}) {
     SQL = await initSqlJs();
     
     // 尝试加载已存在的数据库
@@ -29,213 +34,189 @@ async function initDatabase() {
     } else {
         db = new SQL.Database();
     }
+
+    if (!migrate) return db;
+
+    // 版本过新或迁移失败时抛出异常，不写回文件
+    const applied = migrator.migrate(db);
+    console.log(`[DB] 数据库初始化完成 (版本 ${migrator.getStatus(db).currentVersion}${applied ? `，本次执行 ${applied} 个迁移` : ''})`);
     
-    // 创建表结构
-    db.run(`
-        CREATE TABLE IF NOT EXISTS devices (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            dev_id TEXT UNIQUE NOT NULL,
-            name TEXT DEFAULT '',
-            hw_ver TEXT DEFAULT '',
-            last_ip TEXT DEFAULT '',
-            last_ssid TEXT DEFAULT '',
-            last_dbm INTEGER DEFAULT 0,
-            status TEXT DEFAULT 'offline',
-            last_seen_at TEXT,
-            created_at TEXT DEFAULT (datetime('now', 'localtime')),
-            updated_at TEXT DEFAULT (datetime('now', 'localtime'))
-        )
-    `);
+    // 执行一次清理
+    cleanupDatabase();
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS sim_cards (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            dev_id TEXT NOT NULL,
-            slot INTEGER NOT NULL,
-            iccid TEXT DEFAULT '',
-            imsi TEXT DEFAULT '',
-            msisdn TEXT DEFAULT '',
-            operator TEXT DEFAULT '',
-            dbm INTEGER DEFAULT 0,
-            status TEXT DEFAULT 'unknown',
-            plmn TEXT DEFAULT '',
-            timezone REAL DEFAULT 8,
-            updated_at TEXT DEFAULT (datetime('now', 'localtime')),
-            UNIQUE(dev_id, slot)
-        )
-    `);
+    // 保存数据库
+    saveDatabase();
+    
+    return db;
+}
+
+// 当前数据库的迁移状态
+function getMigrationStatus() {
+    return migrator.getStatus(db);
+}
 
-    // 检查 sim_cards 表是否有 timezone 字段
+/**
+ * 导出当前数据库。sql.js 导出是同步操作，期间不会有其他写入，得到的是一致性快照
+ * @returns {Buffer}
+ */
+function exportDatabase() {
+    return Buffer.from(db.export());
+}
+
+/**
+ * 校验并加载一份数据库文件内容（用于恢复），不影响当前数据库
+ * @param {Buffer} buffer
+ * @returns {object} sql.js Database；文件无效或版本过新时抛出异常
+ */
+function openSnapshot(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 100 || buffer.toString('latin1', 0, 16) !== 'SQLite format 3\0') {
+        throw new Error('不是有效的 SQLite 数据库文件');
+    }
+    const snapshot = new SQL.Database(buffer);
     try {
-        db.prepare("SELECT timezone FROM sim_cards LIMIT 1").run();
-    } catch (e) {
-        console.log('[DB] 添加 timezone 字段到 sim_cards 表');
-        db.run("ALTER TABLE sim_cards ADD COLUMN timezone REAL DEFAULT 8");
+        const [integrity] = snapshot.exec('PRAGMA integrity_check');
+        if (!integrity || integrity.values[0][0] !== 'ok') throw new Error('数据库完整性检查未通过');
+        const [tables] = snapshot.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('devices', 'sms_records')");
+        if (!tables || tables.values.length < 2) throw new Error('不是本系统的数据库（缺少 devices、sms_records 表）');
+        const status = migrator.getStatus(snapshot);
+        if (status.newerThanProgram) throw new Error(`数据库版本 ${status.currentVersion} 高于程序支持的最新版本 ${status.latestVersion}`);
+        return snapshot;
+    } catch (error) {
+        snapshot.close();
+        throw error;
     }
+}
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS messages (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            dev_id TEXT NOT NULL,
-            type INTEGER NOT NULL,
-            type_name TEXT DEFAULT '',
-            raw_data TEXT,
-            created_at TEXT DEFAULT (datetime('now', 'localtime'))
-        )
-    `);
+/**
+ * 用 openSnapshot 加载的数据库替换当前数据库：先在新库上执行迁移，成功后再切换并立即落盘
+ */
+function replaceDatabase(snapshot) {
+    migrator.migrate(snapshot);
+    const previous = db;
+    db = snapshot;
+    previous.close();
+    saveDatabase();
+}
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS sms_records (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            dev_id TEXT NOT NULL,
-            slot INTEGER NOT NULL,
-            msisdn TEXT DEFAULT '',
-            phone_num TEXT NOT NULL,
-            content TEXT NOT NULL,
-            sms_time TEXT,
-            direction TEXT DEFAULT 'in',
-            created_at TEXT DEFAULT (datetime('now', 'localtime'))
-        )
-    `);
+// 定期清理时额外执行的任务（如按保留规则删除记录），由各模块注册
+const cleanupTasks = [];
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS call_records (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            dev_id TEXT NOT NULL,
-            slot INTEGER NOT NULL,
-            msisdn TEXT DEFAULT '',
-            phone_num TEXT NOT NULL,
-            msg_type INTEGER NOT NULL,
-            call_type TEXT NOT NULL,
-            start_time TEXT,
-            duration INTEGER DEFAULT 0,
-            created_at TEXT DEFAULT (datetime('now', 'localtime'))
-        )
-    `);
-    // 检查 call_records 表是否有 duration 字段 (用于旧版数据库升级)
-    try {
-        db.prepare("SELECT duration FROM call_records LIMIT 1").run();
-    } catch (e) {
-        console.log('[DB] 添加 duration 字段到 call_records 表');
-        db.run("ALTER TABLE call_records ADD COLUMN duration INTEGER DEFAULT 0");
+/**
+ * 注册定期清理任务，与去重指纹清理一起每 30 秒执行一次
+ * @param {string} name - 日志中显示的任务名
+ * @param {Function} task
+ */
+function registerCleanupTask(name, task) {
+    cleanupTasks.push({ name, task });
+}
+
+// 清理旧数据
+function cleanupDatabase() {
+    if (db && config.dedupe.windowSeconds > 0) {
+        db.run('DELETE FROM message_dedupe WHERE created_at < ?', [Date.now() - config.dedupe.windowSeconds * 1000]);
+        if (db.getRowsModified() > 0) markDirty();
     }
-    db.run(`
-        CREATE TABLE IF NOT EXISTS push_config (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            channel TEXT UNIQUE NOT NULL,
-            enabled INTEGER DEFAULT 0,
-            config TEXT DEFAULT '{}',
-            events TEXT DEFAULT '[]',
-            updated_at TEXT DEFAULT (datetime('now', 'localtime'))
-        )
-    `);
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS recordings (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            media_id TEXT DEFAULT '',
-            original_name TEXT DEFAULT '',
-            stored_name TEXT DEFAULT '',
-            file_size INTEGER DEFAULT 0,
-            dev_id TEXT DEFAULT '',
-            slot INTEGER,
-            phone_num TEXT DEFAULT '',
-            tid TEXT DEFAULT '',
-            tel_start_ts INTEGER,
-            tel_connected_ts INTEGER,
-            tel_end_ts INTEGER,
-            status TEXT DEFAULT 'uploaded',
-            error_note TEXT DEFAULT '',
-            uploaded_at TEXT DEFAULT (datetime('now', 'localtime')),
-            confirmed_at TEXT
-        )
-    `);
-    db.run('CREATE INDEX IF NOT EXISTS idx_recordings_media_id ON recordings(media_id)');
-    db.run('CREATE INDEX IF NOT EXISTS idx_recordings_tid ON recordings(tid)');
-    db.run('CREATE INDEX IF NOT EXISTS idx_recordings_dev_id ON recordings(dev_id)');
-    
-    // 初始化默认配置
-    const channels = ['wecom', 'feishu', 'smtp'];
-    for (const channel of channels) {
+    if (!db) return;
+    for (const { name, task } of cleanupTasks) {
         try {
-            // 检查是否存在配置
-            // 注意：sql.js 的 get 需要数组参数
-            const stmt = db.prepare('SELECT id FROM push_config WHERE channel = ?');
-            const exists = stmt.get([channel]);
-            stmt.free(); // 释放语句
-
-            if (!exists) {
-                db.run('INSERT INTO push_config (channel, enabled, config, events) VALUES (?, 0, "{}", "[]")', [channel]);
-                console.log(`[DB] 初始化推送通道: ${channel}`);
-            }
+            task();
         } catch (e) {
-            // 忽略唯一约束错误，可能是并发或重复初始化
-            if (!e.message.includes('UNIQUE constraint failed')) {
-                console.error(`[DB] 初始化通道 ${channel} 失败:`, e.message);
-            }
+            console.error(`[DB] 自动清理失败 (${name}):`, e);
         }
     }
+}
 
-    console.log('[DB] 数据库初始化完成');
-    
-    // 执行一次清理
-    cleanupDatabase();
+// ==================== 持久化 ====================
+// sql.js 数据库整体在内存中。写入只标记为脏，由定时器合并为一次导出，
+// 最多 config.database.flushIntervalMs 毫秒后落盘；应答前必须落盘的推送由入站队列的追加日志保证。
 
-    // 保存数据库
-    saveDatabase();
-    
-    return db;
+let dirty = false;
+let flushTimer = null;
+let flushDueAt = 0;
+// 数据库文件写入成功后的回调，由各模块注册
+const saveListeners = [];
+
+/**
+ * 注册数据库文件写入成功后的回调（如清空入站队列的追加日志）
+ * @param {Function} listener
+ */
+function onDatabaseSaved(listener) {
+    saveListeners.push(listener);
 }
 
-// 清理旧数据
-function cleanupDatabase() {
-    if (!db || !config.log || !config.log.retentionDays) return;
-    
-    const days = config.log.retentionDays;
-    if (days <= 0) return;
+function scheduleFlush(delayMs) {
+    const dueAt = Date.now() + delayMs;
+    if (flushTimer && flushDueAt <= dueAt) return;
+    clearTimeout(flushTimer);
+    flushDueAt = dueAt;
+    flushTimer = setTimeout(flushDatabase, delayMs);
+}
 
-    try {
-        // 计算截止日期 (北京时间)
-        const now = new Date();
-        const threshold = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
-        
-        // 格式化为 YYYY-MM-DD HH:mm:ss
-        const pad = n => n < 10 ? '0' + n : n;
-        const utc = threshold.getTime() + (threshold.getTimezoneOffset() * 60000);
-        const beijingTime = new Date(utc + (3600000 * 8));
-        const timeStr = `${beijingTime.getFullYear()}-${pad(beijingTime.getMonth() + 1)}-${pad(beijingTime.getDate())} ${pad(beijingTime.getHours())}:${pad(beijingTime.getMinutes())}:${pad(beijingTime.getSeconds())}`;
+// 标记有未保存的写入
+function markDirty() {
+    dirty = true;
+    scheduleFlush(config.database.flushIntervalMs);
+}
 
-        // 清理 messages 表
-        db.run("DELETE FROM messages WHERE created_at < ?", [timeStr]);
-        const changes = db.getRowsModified();
-        
-        if (changes > 0) {
-            console.log(`[DB] 自动清理: 删除了 ${changes} 条旧日志 (早于 ${timeStr})`);
-        }
-    } catch (e) {
-        console.error('[DB] 自动清理失败:', e);
+/**
+ * 写入临时文件并 fsync 后再 rename 覆盖，写到一半崩溃时原文件保持完整
+ */
+function writeSnapshot() {
+    const buffer = Buffer.from(db.export());
+    const tempPath = `${dbPath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeFileSync(fd, buffer);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
     }
+    fs.renameSync(tempPath, dbPath);
 }
 
 // 保存数据库到文件
 function saveDatabase() {
-    if (db) {
+    if (!db) return false;
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+        writeSnapshot();
+        dirty = false;
+    } catch (e) {
+        console.error('[DB] 保存数据库失败:', e);
+        // 保持脏标记，下个周期重试
+        scheduleFlush(config.database.flushIntervalMs);
+        return false;
+    }
+    for (const listener of saveListeners) {
         try {
-            const data = db.export();
-            const buffer = Buffer.from(data);
-            fs.writeFileSync(dbPath, buffer);
-            // console.log('[DB] 数据库已保存'); // 调试用，避免日志过多可注释
+            listener();
         } catch (e) {
-            console.error('[DB] 保存数据库失败:', e);
+            console.error('[DB] 保存后回调失败:', e);
         }
     }
+    return true;
+}
+
+// 有未保存的写入时落盘
+function flushDatabase() {
+    if (dirty) return saveDatabase();
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    return true;
 }
 
-// 定期自动保存
+// 定期清理，并保证没有写入时也不会长时间持有未落盘的清理结果
 setInterval(() => {
-    cleanupDatabase(); // 保存前清理
-    saveDatabase();
-}, 30000); // 每30秒保存一次
+    cleanupDatabase();
+    flushDatabase();
+}, 30000);
+
+// 正常退出（包括脚本执行完毕、未捕获异常）时把剩余写入落盘；信号退出由 app.js 处理
+process.on('exit', () => {
+    if (dirty) saveDatabase();
+});
 
 // 封装的数据库操作方法，兼容之前的API
 const dbWrapper = {
@@ -250,12 +231,18 @@ const dbWrapper = {
                     
                     const changes = db.getRowsModified();
                     // 仅在有变动且不是定时任务时打印日志，或者直接注释掉以减少干扰
-                    if (changes > 0 && !sql.includes('last_seen_at <')) {
+                    if (changes > 0 && !sql.includes('last_seen_at_ms <')) {
                         console.log(`[DB] Execute: ${sql.replace(/\s+/g, ' ').trim().substring(0, 50)}... | Changes: ${changes}`);
                     }
                     
-                    saveDatabase();
-                    return { changes };
+                    // INSERT 语句同时返回自增 ID
+                    const result = { changes };
+                    if (/^\s*INSERT/i.test(sql)) {
+                        result.lastInsertRowid = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+                    }
+
+                    if (changes > 0) markDirty();
+                    return result;
                 } catch (e) {
                     console.error('[DB Error] Run:', e.message || e, 'SQL:', sql, 'Params:', params);
                     return { changes: 0 };
@@ -304,12 +291,40 @@ const dbWrapper = {
     exec: (sql) => {
         try {
             db.exec(sql);
-            saveDatabase();
+            markDirty();
         } catch (e) {
             console.error('[DB Error] Exec:', e.message || e);
         }
     },
+    /**
+     * 包装为事务执行的函数，fn 抛出异常时回滚。
+     * 注意 prepare().run() 会吞掉 SQL 错误，需要回滚的场景应检查 changes 并自行抛出。
+     */
+    transaction: (fn) => (...args) => {
+        db.exec('BEGIN');
+        try {
+            const result = fn(...args);
+            db.exec('COMMIT');
+            markDirty();
+            return result;
+        } catch (e) {
+            db.exec('ROLLBACK');
+            throw e;
+        }
+    },
     pragma: () => {} // sql.js 不支持 pragma，忽略
 };
 
-module.exports = { initDatabase, dbWrapper, saveDatabase };
+module.exports = {
+    initDatabase,
+    dbWrapper,
+    saveDatabase,
+    flushDatabase,
+    onDatabaseSaved,
+    getMigrationStatus,
+    registerCleanupTask,
+    exportDatabase,
+    openSnapshot,
+    replaceDatabase,
+    dbPath
+};
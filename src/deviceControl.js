@@ -0,0 +1,193 @@
+/**
+ * 开发板控制指令下发
+ * 在线的 TCP 长连接优先，否则通过 HTTP /ctrl 发送；每条指令写入控制审计，sendsms 同时写入外发短信记录跟踪投递状态。
+ */
+
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+const { decryptData } = require('./aesDecrypt');
+const tcpGateway = require('./tcpGateway');
+const auditService = require('./auditService');
+const smsDelivery = require('./smsDelivery');
+
+/**
+ * 发送指令到设备，并写入控制审计
+ * @param {string} deviceIp - 设备IP
+ * @param {string} token - 认证token
+ * @param {string} cmd - 命令名称
+ * @param {object} params - 命令参数
+ * @param {object} options - transport、timeout、发起命令的账号 actor（req.user），sendsms 已写入外发记录时为 deliveryId
+ */
+async function sendCommandToDevice(deviceTarget, token, cmd, params = {}, options = {}) {
+    const startedAt = Date.now();
+    // 外发短信预先分配 tid 并写入待确认记录，用于关联后续的 401/402/502
+    let deliveryId = null;
+    if (cmd === 'sendsms' && deviceTarget) {
+        params = { ...params, tid: String(params.tid || tcpGateway.nextTid(deviceTarget)) };
+        deliveryId = options.deliveryId || smsDelivery.recordSend(deviceTarget, params);
+    }
+    const audit = { actor: options.actor, target: deviceTarget, command: cmd, params, tid: params.tid };
+    try {
+        const result = await deliverCommand(deviceTarget, token, cmd, params, options, audit);
+        if (deliveryId) smsDelivery.trackResult(deliveryId, result);
+        const code = result.data && typeof result.data === 'object' ? Number(result.data.code) : NaN;
+        auditService.recordCommand({
+            ...audit,
+            success: result.success,
+            resultCode: Number.isFinite(code) ? code : result.httpStatus,
+            error: result.error,
+            elapsedMs: Date.now() - startedAt
+        });
+        return result;
+    } catch (error) {
+        if (deliveryId) smsDelivery.trackError(deliveryId, error);
+        auditService.recordCommand({ ...audit, success: false, error: error.message, elapsedMs: Date.now() - startedAt });
+        throw error;
+    }
+}
+
+/**
+ * 通过 TCP 长连接或 HTTP /ctrl 下发指令；audit 用于回填实际使用的设备、通道和 tid
+ */
+async function deliverCommand(deviceTarget, token, cmd, params, options, audit) {
+    if (!deviceTarget || !cmd) {
+        throw new Error('缺少必要参数: deviceIp/devId, cmd');
+    }
+
+    const target = String(deviceTarget);
+    const transport = String(options.transport || 'auto').toLowerCase();
+    if (!['auto', 'http', 'tcp'].includes(transport)) throw new Error('transport 仅支持 auto、http、tcp');
+
+    if (transport !== 'http' && tcpGateway.isConnected(target)) {
+        // 预先分配 tid，超时未应答的命令在审计中也能对应到设备日志
+        const tid = String(params.tid || tcpGateway.nextTid(target));
+        Object.assign(audit, { devId: target, transport: 'tcp', tid });
+        return tcpGateway.sendCommand(target, cmd, { ...params, tid }, {
+            timeout: options.timeout || config.tcp.commandTimeout
+        });
+    }
+    audit.transport = 'http';
+    if (transport === 'tcp') {
+        const error = new Error(`设备 ${target} 当前没有可用的TCP连接`);
+        error.statusCode = 503;
+        throw error;
+    }
+
+    // 支持传入 devId 自动查找 IP
+    let targetIp = target;
+    // 简单判断：如果不包含点(.)且不包含冒号(:)，则视为设备ID，尝试从数据库查找IP
+    if (targetIp && !targetIp.includes('.') && !targetIp.includes(':')) {
+        const device = db.prepare('SELECT last_ip FROM devices WHERE dev_id = ?').get(targetIp);
+        audit.devId = targetIp;
+        if (device && device.last_ip) {
+            console.log(`[Control] 根据设备ID ${targetIp} 解析到 IP: ${device.last_ip}`);
+            targetIp = device.last_ip;
+        } else {
+            throw new Error(`未找到设备 ${targetIp} 的IP记录，请确保设备已上线`);
+        }
+    }
+    
+    if (!token) {
+        throw new Error('缺少必要参数: token');
+    }
+    
+    // 构建URL参数
+    const urlParams = new URLSearchParams();
+    urlParams.append('token', token);
+    urlParams.append('cmd', cmd);
+    
+    // 添加其他参数 (p1, p2, p3, tid等)
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null && value !== '') {
+            urlParams.append(key, value);
+        }
+    }
+    
+    if (!audit.devId) {
+        const device = db.prepare('SELECT dev_id FROM devices WHERE last_ip = ?').get(targetIp);
+        if (device) audit.devId = device.dev_id;
+    }
+    audit.target = targetIp;
+
+    const url = `http://${targetIp}/ctrl?${urlParams.toString()}`;
+    console.log(`[Control] 通过HTTP发送 ${cmd} 指令到 ${targetIp}`);
+    
+    // 发送HTTP请求到设备
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.deviceControl.timeout);
+    
+    try {
+        const response = await fetch(url, {
+            method: 'GET',
+            signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        
+        const contentType = response.headers.get('content-type');
+        let result;
+        
+        if (contentType && contentType.includes('application/json')) {
+            result = await response.json();
+        } else {
+            result = await response.text();
+            // 尝试解析为JSON
+            try {
+                result = JSON.parse(result);
+            } catch (e) {
+                result = { raw: result };
+            }
+        }
+        
+        // 如果启用了AES加密，尝试解密设备响应
+        let decryptedResult = result;
+        if (config.aes.enabled && result) {
+            try {
+                // 如果是对象，尝试解密
+                if (typeof result === 'object' && result !== null) {
+                    decryptedResult = decryptData(result, config.aes);
+                    console.log(`[Control] 设备响应已解密:`, decryptedResult);
+                } else if (typeof result === 'string') {
+                    // 如果是字符串，可能是加密的Base64
+                    try {
+                        const temp = decryptData({ p: result }, config.aes);
+                        decryptedResult = temp;
+                        console.log(`[Control] 设备响应已解密:`, decryptedResult);
+                    } catch (e) {
+                        console.log(`[Control] 设备响应(未加密):`, result);
+                        decryptedResult = result;
+                    }
+                }
+            } catch (decryptError) {
+                console.warn(`[Control] 解密设备响应失败:`, decryptError.message);
+                console.log(`[Control] 设备响应(原始):`, result);
+                decryptedResult = result;
+            }
+        } else {
+            console.log(`[Control] 设备响应:`, result);
+        }
+        
+        const deviceCode = decryptedResult && typeof decryptedResult === 'object' && decryptedResult.code !== undefined
+            ? Number(decryptedResult.code)
+            : undefined;
+        const success = response.ok && (deviceCode === undefined || deviceCode === 0);
+        return {
+            success,
+            transport: 'http',
+            data: decryptedResult,
+            command: { cmd, params, target: targetIp },
+            httpStatus: response.status,
+            ...(success ? {} : { error: decryptedResult?.note || `开发板返回 code=${deviceCode ?? response.status}` })
+        };
+        
+    } catch (fetchError) {
+        clearTimeout(timeoutId);
+        if (fetchError.name === 'AbortError') {
+            throw new Error('设备请求超时，请检查设备IP是否正确，设备是否在线');
+        }
+        throw fetchError;
+    }
+}
+
+module.exports = {
+    sendCommandToDevice
+};
@@ -0,0 +1,126 @@
+/**
+ * 开发板推送接口的设备级 API Key
+ * 每个 devId 单独签发密钥，数据库只保存 SHA-256；设备有有效密钥后不再接受全局 API_KEY 和 HMAC 签名推送。
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('./config');
+const { dbWrapper: db } = require('./database');
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function secureEqual(actual, expected) {
+    const a = Buffer.from(String(actual || ''));
+    const b = Buffer.from(String(expected || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function publicKey(row) {
+    return {
+        id: row.id,
+        dev_id: row.dev_id,
+        key_prefix: row.key_prefix,
+        note: row.note,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+        revoked_at: row.revoked_at
+    };
+}
+
+function hasActiveKey(devId) {
+    return Boolean(db.prepare('SELECT id FROM device_api_keys WHERE dev_id = ? AND revoked_at IS NULL').get(String(devId)));
+}
+
+/**
+ * 为设备签发新密钥。rotate 为 true 时同时吊销该设备此前的全部密钥。
+ * 明文密钥只在返回值中出现一次。
+ */
+function issueKey(devId, { note = '', rotate = false } = {}) {
+    if (rotate) {
+        db.prepare("UPDATE device_api_keys SET revoked_at = datetime('now', 'localtime') WHERE dev_id = ? AND revoked_at IS NULL")
+            .run(String(devId));
+    }
+    const key = 'dk_' + crypto.randomBytes(24).toString('base64url');
+    db.prepare('INSERT INTO device_api_keys (dev_id, key_prefix, key_hash, note) VALUES (?, ?, ?, ?)')
+        .run(String(devId), key.slice(0, 8), hashKey(key), String(note || ''));
+    const row = db.prepare('SELECT * FROM device_api_keys WHERE key_hash = ?').get(hashKey(key));
+    return { ...publicKey(row), key };
+}
+
+/**
+ * 校验推送请求携带的密钥
+ * @returns {{ devId: string|null, legacy: boolean, keyId?: number }|null}
+ *          legacy 为 true 表示全局密钥，需在解密后再按设备判断；校验失败返回 null
+ */
+function verifyKey(providedKey) {
+    const row = db.prepare('SELECT * FROM device_api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(hashKey(providedKey));
+    if (row) {
+        db.prepare("UPDATE device_api_keys SET last_used_at = datetime('now', 'localtime') WHERE id = ?").run(row.id);
+        return { devId: row.dev_id, legacy: false, keyId: row.id };
+    }
+    if (config.apiKey.legacyEnabled && config.apiKey.key && secureEqual(providedKey, config.apiKey.key)) {
+        return { devId: null, legacy: true };
+    }
+    return null;
+}
+
+/**
+ * 检查推送内容中的 devId 是否与密钥匹配，返回错误说明；通过时返回 null
+ * 全局 API_KEY 和 HMAC 签名使用的共享密钥不绑定设备，已启用独立密钥的设备不再接受
+ */
+function checkPushDevice(pushAuth, devId) {
+    if (!pushAuth) return null;
+    if (!pushAuth.legacy) {
+        return String(devId || '') === pushAuth.devId ? null : `API Key 属于设备 ${pushAuth.devId}，与推送的 devId 不匹配`;
+    }
+    if (devId && hasActiveKey(devId)) {
+        return `设备 ${devId} 已启用独立 API Key，不再接受${pushAuth.signed ? '共享密钥签名的推送' : '全局密钥'}`;
+    }
+    return null;
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/** GET /api/devices/:devId/api-keys - 设备密钥列表（不含明文） */
+router.get('/devices/:devId/api-keys', (req, res) => {
+    const rows = db.prepare('SELECT * FROM device_api_keys WHERE dev_id = ? ORDER BY id DESC').all(req.params.devId);
+    res.json({ success: true, data: rows.map(publicKey) });
+});
+
+/**
+ * POST /api/devices/:devId/api-keys
+ * 签发新密钥；请求体 { note, rotate }，rotate=true 时吊销该设备旧密钥
+ */
+router.post('/devices/:devId/api-keys', (req, res) => {
+    const { devId } = req.params;
+    if (!db.prepare('SELECT dev_id FROM devices WHERE dev_id = ?').get(devId)) {
+        return res.status(404).json({ success: false, error: '设备不存在' });
+    }
+    const { note, rotate } = req.body || {};
+    const data = issueKey(devId, { note, rotate: rotate === true || rotate === 'true' });
+    console.log(`[Auth] ${req.user ? req.user.username : '-'} 为设备 ${devId} ${rotate ? '轮换' : '签发'} API Key: ${data.key_prefix}...`);
+    res.json({ success: true, data });
+});
+
+/** DELETE /api/devices/:devId/api-keys/:id - 吊销密钥 */
+router.delete('/devices/:devId/api-keys/:id', (req, res) => {
+    const result = db.prepare(`
+        UPDATE device_api_keys SET revoked_at = datetime('now', 'localtime')
+        WHERE id = ? AND dev_id = ? AND revoked_at IS NULL
+    `).run(parseInt(req.params.id, 10), req.params.devId);
+    if (result.changes === 0) return res.status(404).json({ success: false, error: '密钥不存在或已吊销' });
+    res.json({ success: true });
+});
+
+module.exports = {
+    issueKey,
+    verifyKey,
+    checkPushDevice,
+    hasActiveKey,
+    router
+};
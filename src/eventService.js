@@ -0,0 +1,122 @@
+/**
+ * 实时事件流
+ * messageHandler 处理完的每条推送、设备离线和 TCP 连接变化都会发布到这里，
+ * 管理界面和外部集成通过 GET /api/events（Server-Sent Events）订阅。
+ * 以会话登录的连接按会话记录，会话撤销（退出登录、被撤销、改密码或停用账号）或过期时断开。
+ */
+
+const { EventEmitter } = require('events');
+const express = require('express');
+const { hasRole, getActiveSession, onSessionsRevoked } = require('./authService');
+
+// viewer 只能收到与短信、通话、录音相关的事件，其余类别需要 operator
+const VIEWER_CATEGORIES = ['sms', 'call', 'call_audio'];
+const HISTORY_SIZE = 200;
+const HEARTBEAT_MS = 25000;
+// setTimeout 的最大延迟
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+const history = [];
+let sequence = 0;
+// 会话 id -> 该会话打开的事件流
+const sessionStreams = new Map();
+
+onSessionsRevoked(sessionIds => {
+    for (const sessionId of sessionIds) {
+        for (const res of sessionStreams.get(sessionId) || []) res.end();
+    }
+});
+
+/**
+ * 发布事件
+ * @param {string} category - 消息大类（sms、call、sim、network、system 等），或 device / tcp
+ * @param {object} payload - 事件内容，devId 用于订阅方按设备过滤
+ */
+function publish(category, payload = {}) {
+    const event = { id: ++sequence, category, at: new Date().toISOString(), ...payload };
+    history.push(event);
+    if (history.length > HISTORY_SIZE) history.shift();
+    bus.emit('event', event);
+    return event;
+}
+
+function subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+function createFilter(user, query) {
+    const devIds = String(query.devId || '').split(',').map(value => value.trim()).filter(Boolean);
+    const categories = String(query.category || '').split(',').map(value => value.trim()).filter(Boolean);
+    const viewerOnly = !hasRole(user, 'operator');
+
+    return event => {
+        if (viewerOnly && !VIEWER_CATEGORIES.includes(event.category)) return false;
+        if (devIds.length && !devIds.includes(event.devId)) return false;
+        if (categories.length && !categories.includes(event.category)) return false;
+        return true;
+    };
+}
+
+const router = express.Router();
+
+/**
+ * GET /api/events
+ * SSE 事件流，可选 devId、category（均支持逗号分隔多个值）过滤；
+ * 断线重连时带 Last-Event-ID 可补发最近的事件
+ */
+router.get('/events', (req, res) => {
+    const { sessionId } = req.user;
+    const session = sessionId ? getActiveSession(sessionId) : null;
+    if (sessionId && !session) return res.status(401).json({ error: '登录已过期，请重新登录' });
+    const accepts = createFilter(req.user, req.query);
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = event => {
+        if (!accepts(event)) return;
+        res.write(`id: ${event.id}\nevent: ${event.category}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+    if (lastEventId) history.filter(event => event.id > lastEventId).forEach(send);
+    res.write(': connected\n\n');
+
+    const unsubscribe = subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    let expiryTimer = null;
+    if (session) {
+        if (!sessionStreams.has(sessionId)) sessionStreams.set(sessionId, new Set());
+        sessionStreams.get(sessionId).add(res);
+        // 会话到期时断开；到期时间超出定时器上限的分段等待
+        const checkExpiry = () => {
+            const remaining = session.expires_at - Date.now();
+            if (remaining < 0) return res.end();
+            expiryTimer = setTimeout(checkExpiry, Math.min(remaining + 1, MAX_TIMER_MS));
+        };
+        checkExpiry();
+    }
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiryTimer);
+        unsubscribe();
+        const streams = sessionStreams.get(sessionId);
+        if (streams) {
+            streams.delete(res);
+            if (streams.size === 0) sessionStreams.delete(sessionId);
+        }
+    });
+});
+
+module.exports = {
+    publish,
+    subscribe,
+    router
+};
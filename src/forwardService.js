@@ -0,0 +1,343 @@
+/**
+ * 短信转发
+ * 收到短信时匹配所有启用的转发规则（设备、卡槽、发件号码、内容正则），在短信内容前加上发件号码和时间，
+ * 通过短信发送队列由规则指定的设备卡槽发给目标号码，超过 FORWARD_SEGMENT_LENGTH 字的拆分为多条。
+ * 转发的短信每段都以「【转发】」或「【转发n/m】」开头，收到以此开头的短信时不再转发，
+ * 避免目标号码是本系统的另一张卡时循环转发。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+const outboxService = require('./outboxService');
+const { calculateAdminToken } = require('./boardProtocol');
+const { DEFAULT_TIMEZONE, parseTimezone, formatDateTime, toIsoString } = require('./timeUtils');
+const { badRequest, optionalInteger, normalizeFilters, filterInput, matchesRule } = require('./smsRules');
+
+const FORWARD_MARKER = /^【转发(?:\d+\/\d+)?】/;
+const MIN_SEGMENT_LENGTH = 20;
+const MAX_LIMIT = 500;
+// 已加入发送队列的分段取队列记录的状态
+const LOG_STATUS = "CASE WHEN l.status = 'queued' THEN COALESCE(o.status, 'queued') ELSE l.status END";
+
+/**
+ * 校验并规范化规则，字段为接口入参的驼峰形式
+ * @returns {object} sms_forward_rules 的列值
+ */
+function normalizeRule(input) {
+    const name = String(input.name || '').trim();
+    const transport = input.transport || 'auto';
+    if (!name) throw badRequest('缺少规则名称 name');
+    if (!['auto', 'http', 'tcp'].includes(transport)) throw badRequest('transport 仅支持 auto、http、tcp');
+
+    const filters = normalizeFilters(input);
+    const targetDevId = String(input.targetDevId || '').trim();
+    const targetSlot = optionalInteger(input.targetSlot);
+    const targetPhone = String(input.targetPhone || '').trim();
+    if (!targetDevId) throw badRequest('缺少转发使用的设备 targetDevId');
+    if (![1, 2].includes(targetSlot)) throw badRequest('无效的转发卡槽 targetSlot(1或2)');
+    if (!targetPhone) throw badRequest('缺少目标号码 targetPhone');
+    const token = input.token || (input.adminPassword ? calculateAdminToken(input.adminPassword, input.adminUser || 'admin') : null);
+    if (transport === 'http' && !token) throw badRequest('HTTP通道缺少必要参数: token 或 adminPassword');
+
+    return {
+        name,
+        enabled: input.enabled === false || input.enabled === 0 ? 0 : 1,
+        ...filters,
+        target_dev_id: targetDevId,
+        target_slot: targetSlot,
+        target_phone: targetPhone,
+        transport,
+        token
+    };
+}
+
+/**
+ * 已保存的规则转为接口入参形式，便于按部分字段更新
+ */
+function ruleInput(row) {
+    return {
+        name: row.name,
+        enabled: Boolean(row.enabled),
+        ...filterInput(row),
+        targetDevId: row.target_dev_id,
+        targetSlot: row.target_slot,
+        targetPhone: row.target_phone,
+        transport: row.transport,
+        token: row.token
+    };
+}
+
+/**
+ * 接口输出：时间转为 ISO-8601，不返回开发板 token
+ */
+function formatRule(row, timezone = null) {
+    const { token, created_at_ms: createdAt, updated_at_ms: updatedAt, ...rule } = row;
+    const zone = parseTimezone(timezone);
+    return {
+        ...rule,
+        enabled: Boolean(rule.enabled),
+        created_at: toIsoString(createdAt, zone),
+        updated_at: toIsoString(updatedAt, zone)
+    };
+}
+
+function getRuleRow(id) {
+    return db.prepare('SELECT * FROM sms_forward_rules WHERE id = ?').get(parseInt(id, 10));
+}
+
+function listRules(timezone = null) {
+    return db.prepare('SELECT * FROM sms_forward_rules ORDER BY id').all().map(row => formatRule(row, timezone));
+}
+
+function createRule(input, actor) {
+    const rule = normalizeRule(input);
+    const now = Date.now();
+    const columns = Object.keys(rule);
+    const result = db.prepare(`
+        INSERT INTO sms_forward_rules (${columns.join(', ')}, created_by, created_at_ms, updated_at_ms)
+        VALUES (${columns.map(() => '?').join(', ')}, ?, ?, ?)
+    `).run(...Object.values(rule), actor ? actor.username : null, now, now);
+    if (!result.changes) throw new Error('保存转发规则失败');
+    console.log(`[Forward] ${actor ? actor.username : '-'} 新建转发规则 #${result.lastInsertRowid} ${rule.name} -> ${rule.target_phone}`);
+    return getRuleRow(result.lastInsertRowid);
+}
+
+/**
+ * 更新规则：未提供的字段保持不变
+ */
+function updateRule(id, input, actor) {
+    const existing = getRuleRow(id);
+    if (!existing) return null;
+    const rule = normalizeRule({ ...ruleInput(existing), ...input });
+    const columns = Object.keys(rule);
+    db.prepare(`UPDATE sms_forward_rules SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at_ms = ? WHERE id = ?`)
+        .run(...Object.values(rule), Date.now(), existing.id);
+    console.log(`[Forward] ${actor ? actor.username : '-'} 更新转发规则 #${existing.id} ${rule.name}`);
+    return getRuleRow(existing.id);
+}
+
+/**
+ * 生成转发内容：第一段以「【转发】发件号码 月-日 时:分」开头，换行后为原短信内容；
+ * 超过 segmentLength 字时按字拆分，每段以「【转发n/m】」开头
+ * @param {object} record - sms_records 字段
+ * @param {number} [segmentLength]
+ * @returns {string[]}
+ */
+function buildMessages(record, segmentLength = config.forward.segmentLength) {
+    const time = formatDateTime(record.sms_time_ms ?? Date.now(), record.timezone ?? DEFAULT_TIMEZONE).slice(5, 16);
+    const chars = Array.from(`${record.phone_num} ${time}\n${record.content || ''}`);
+    const length = Math.max(segmentLength || 0, MIN_SEGMENT_LENGTH);
+    if (chars.length + '【转发】'.length <= length) return [`【转发】${chars.join('')}`];
+
+    // 分段数的位数影响前缀长度，按位数最多的前缀计算每段可容纳的字数
+    let parts = 1;
+    let capacity;
+    do {
+        parts = Math.ceil(chars.length / (capacity || length));
+        capacity = length - `【转发${parts}/${parts}】`.length;
+    } while (Math.ceil(chars.length / capacity) > parts);
+
+    const messages = [];
+    for (let index = 0; index < parts; index++) {
+        messages.push(`【转发${index + 1}/${parts}】${chars.slice(index * capacity, (index + 1) * capacity).join('')}`);
+    }
+    return messages;
+}
+
+/**
+ * 是否为转发出去的短信（任一分段）
+ */
+function isForwarded(record) {
+    return FORWARD_MARKER.test(record.content || '');
+}
+
+function writeLog(rule, record, fields) {
+    db.prepare(`
+        INSERT INTO sms_forward_log (rule_id, dev_id, slot, phone_num, target_dev_id, target_slot, target_phone,
+            part, parts, content, status, outbox_id, error, created_at_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        rule.id, record.dev_id, record.slot, record.phone_num, rule.target_dev_id, rule.target_slot, rule.target_phone,
+        fields.part, fields.parts, fields.content, fields.status, fields.outboxId || null, fields.error || null, Date.now()
+    );
+}
+
+/**
+ * 按一条规则转发：各分段依次加入发送队列
+ */
+function forward(rule, record) {
+    const messages = buildMessages(record);
+    let queued = 0;
+    messages.forEach((content, index) => {
+        const fields = { part: index + 1, parts: messages.length, content };
+        try {
+            const item = outboxService.enqueue({
+                devId: rule.target_dev_id,
+                slot: rule.target_slot,
+                phone: rule.target_phone,
+                content,
+                token: rule.token,
+                transport: rule.transport
+            });
+            writeLog(rule, record, { ...fields, status: 'queued', outboxId: item.id });
+            queued++;
+        } catch (error) {
+            writeLog(rule, record, { ...fields, status: 'failed', error: error.message });
+            console.error(`[Forward] 规则 #${rule.id} 转发第 ${index + 1}/${messages.length} 段失败:`, error.message);
+        }
+    });
+    console.log(`[Forward] ${record.phone_num} 的短信按规则 #${rule.id} ${rule.name} 转发到 ${rule.target_phone}，共 ${messages.length} 条`);
+    return { ruleId: rule.id, parts: messages.length, queued };
+}
+
+/**
+ * 收到短信后按所有命中的规则转发。外发短信、重放的消息和转发回来的短信不转发
+ * @param {object} record - 由短信推送生成的 sms_records 字段
+ * @param {object} [context] - 消息处理上下文
+ * @returns {{ ruleId: number, parts: number, queued: number }[]}
+ */
+function handleIncoming(record, context = {}) {
+    if (record.direction !== 'in' || context.replay) return [];
+    if (isForwarded(record)) {
+        console.log(`[Forward] ${record.phone_num} 的短信是转发的内容，不再转发`);
+        return [];
+    }
+    return db.prepare('SELECT * FROM sms_forward_rules WHERE enabled = 1 ORDER BY id').all()
+        .filter(rule => matchesRule(rule, record))
+        .map(rule => forward(rule, record));
+}
+
+/**
+ * 查询转发记录
+ * @param {object} filters - ruleId、devId、phone（发件或目标号码）、page、limit
+ */
+function listLog(filters = {}) {
+    const clauses = [];
+    const params = [];
+    if (filters.ruleId) {
+        clauses.push('l.rule_id = ?');
+        params.push(parseInt(filters.ruleId, 10));
+    }
+    if (filters.devId) {
+        clauses.push('l.dev_id = ?');
+        params.push(filters.devId);
+    }
+    if (filters.phone) {
+        clauses.push('(l.phone_num LIKE ? OR l.target_phone LIKE ?)');
+        params.push(`%${filters.phone}%`, `%${filters.phone}%`);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_LIMIT);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM sms_forward_log l ${where}`).get(...params);
+    const rows = db.prepare(`
+        SELECT l.*, ${LOG_STATUS} AS forward_status, r.name AS rule_name, o.last_error
+        FROM sms_forward_log l
+        LEFT JOIN sms_forward_rules r ON r.id = l.rule_id
+        LEFT JOIN sms_outbox o ON o.id = l.outbox_id
+        ${where}
+        ORDER BY l.id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, (page - 1) * limit);
+    return { rows, page, limit, total };
+}
+
+function formatLog(row, timezone = null) {
+    return {
+        id: row.id,
+        rule_id: row.rule_id,
+        rule_name: row.rule_name || null,
+        dev_id: row.dev_id,
+        slot: row.slot,
+        phone_num: row.phone_num,
+        target_dev_id: row.target_dev_id,
+        target_slot: row.target_slot,
+        target_phone: row.target_phone,
+        part: row.part,
+        parts: row.parts,
+        content: row.content,
+        status: row.forward_status,
+        outbox_id: row.outbox_id,
+        error: row.error || row.last_error || null,
+        created_at: toIsoString(row.created_at_ms, parseTimezone(timezone))
+    };
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/**
+ * GET /api/forward-rules
+ */
+router.get('/forward-rules', (req, res) => {
+    res.json({ success: true, data: listRules(parseTimezone(req.query.timezone, null)) });
+});
+
+/**
+ * POST /api/forward-rules
+ */
+router.post('/forward-rules', (req, res) => {
+    try {
+        res.json({ success: true, data: formatRule(createRule(req.body, req.user)) });
+    } catch (error) {
+        if (!error.statusCode) console.error('[Forward] 保存转发规则失败:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/forward-rules/log
+ * 转发记录（每段一条），可按 ruleId、devId、phone 筛选，page、limit 分页
+ */
+router.get('/forward-rules/log', (req, res) => {
+    try {
+        const timezone = parseTimezone(req.query.timezone, null);
+        const result = listLog(req.query);
+        res.json({
+            success: true,
+            data: result.rows.map(row => formatLog(row, timezone)),
+            pagination: { page: result.page, limit: result.limit, total: result.total }
+        });
+    } catch (error) {
+        console.error('[Forward] 获取转发记录失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/forward-rules/:id
+ * 更新规则，未提供的字段保持不变
+ */
+router.put('/forward-rules/:id', (req, res) => {
+    try {
+        const rule = updateRule(req.params.id, req.body, req.user);
+        if (!rule) return res.status(404).json({ success: false, error: '规则不存在' });
+        res.json({ success: true, data: formatRule(rule) });
+    } catch (error) {
+        if (!error.statusCode) console.error('[Forward] 更新转发规则失败:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/forward-rules/:id
+ * 删除规则，转发记录保留
+ */
+router.delete('/forward-rules/:id', (req, res) => {
+    const result = db.prepare('DELETE FROM sms_forward_rules WHERE id = ?').run(parseInt(req.params.id, 10));
+    if (!result.changes) return res.status(404).json({ success: false, error: '规则不存在' });
+    console.log(`[Forward] ${req.user ? req.user.username : '-'} 删除转发规则 #${req.params.id}`);
+    res.json({ success: true });
+});
+
+module.exports = {
+    buildMessages,
+    isForwarded,
+    listRules,
+    createRule,
+    updateRule,
+    handleIncoming,
+    listLog,
+    router
+};
@@ -0,0 +1,246 @@
+/**
+ * 开发板接入接口（/push、/push-form、GET /push、/recordings/upload）的限流与来源 IP 白名单
+ * 令牌桶按来源 IP 和 devId 分别计数，被拒绝的请求只在内存中计数，不会写入数据库。
+ * 设备可配置 CIDR 白名单（devices.ip_allowlist），配置后只接受来自这些网段的请求。
+ */
+
+const net = require('net');
+const express = require('express');
+const config = require('./config');
+const { dbWrapper: db } = require('./database');
+
+const MAX_TRACKED_KEYS = 1000;
+// devId 由请求方提供，令牌桶数量设上限，超出时淘汰最久未使用的桶（相当于该 IP/设备重新开始计数）
+const MAX_BUCKETS = 10000;
+const RECENT_SIZE = 50;
+
+// `${scope}:${key}` -> { tokens, updatedAt, warned }，按最近使用的先后排列
+const buckets = new Map();
+let stats = createStats();
+
+function createStats() {
+    return {
+        since: new Date().toISOString(),
+        total: 0,
+        byReason: {},
+        byEndpoint: {},
+        byIp: new Map(),
+        byDevice: new Map(),
+        recent: []
+    };
+}
+
+/**
+ * IPv4 映射的 IPv6 地址（::ffff:1.2.3.4）按 IPv4 处理
+ */
+function normalizeIp(ip) {
+    const value = String(ip || '');
+    return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+/**
+ * 取一个令牌。桶容量为每分钟限额，按时间匀速补充
+ * @returns {object|null} 令牌不足时返回桶，调用方据此计算 Retry-After
+ */
+function take(scope, key, perMinute) {
+    if (!perMinute || perMinute <= 0) return null;
+    const id = `${scope}:${key}`;
+    const now = Date.now();
+    let bucket = buckets.get(id);
+    if (!bucket) {
+        if (buckets.size >= MAX_BUCKETS) buckets.delete(buckets.keys().next().value);
+        bucket = { tokens: perMinute, updatedAt: now, warned: false };
+    } else {
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * perMinute / 60000);
+        bucket.updatedAt = now;
+        buckets.delete(id);
+    }
+    buckets.set(id, bucket);
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        bucket.warned = false;
+        return null;
+    }
+    return bucket;
+}
+
+function increment(map, key) {
+    if (!map.has(key) && map.size >= MAX_TRACKED_KEYS) key = '*';
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+function reject(req, reason, devId, { status, error, message, retryAfter }) {
+    const ip = normalizeIp(req.ip);
+    const endpoint = `${req.method} ${req.path}`;
+    stats.total++;
+    stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+    stats.byEndpoint[endpoint] = (stats.byEndpoint[endpoint] || 0) + 1;
+    increment(stats.byIp, ip);
+    if (devId) increment(stats.byDevice, devId);
+    stats.recent.unshift({ at: new Date().toISOString(), reason, ip, devId: devId || null, endpoint });
+    if (stats.recent.length > RECENT_SIZE) stats.recent.pop();
+    return { status, error, message, retryAfter };
+}
+
+function rateLimited(req, reason, devId, bucket, perMinute, label) {
+    // 每个桶从放行转为拒绝时只打印一次日志，避免洪水请求刷屏
+    if (!bucket.warned) {
+        bucket.warned = true;
+        console.warn(`[Ingress] ${label}超过限额 ${perMinute} 次/分钟 - IP: ${normalizeIp(req.ip)}${devId ? `, 设备: ${devId}` : ''}, Path: ${req.path}`);
+    }
+    return reject(req, reason, devId, {
+        status: 429,
+        error: '请求过于频繁',
+        message: `${label}超过限额 ${perMinute} 次/分钟`,
+        retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) * 60 / perMinute))
+    });
+}
+
+/**
+ * 按来源 IP 限流，在鉴权之前调用，密钥错误的请求同样计数
+ * @returns {object|null} 拒绝信息 { status, error, message, retryAfter }；放行返回 null
+ */
+function checkIp(req) {
+    const perMinute = config.rateLimit.ipPerMinute;
+    const bucket = take('ip', normalizeIp(req.ip), perMinute);
+    return bucket ? rateLimited(req, 'ip_rate_limit', null, bucket, perMinute, '来源 IP ') : null;
+}
+
+/**
+ * 按设备检查来源 IP 白名单和限流，在鉴权之后、拿到 devId 时调用
+ * @returns {object|null} 拒绝信息；放行返回 null
+ */
+function checkDevice(req, devId) {
+    if (!devId) return null;
+    devId = String(devId);
+
+    const blockList = getAllowlist(devId);
+    const ip = normalizeIp(req.ip);
+    if (blockList && !blockList.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4')) {
+        console.warn(`[Ingress] 来源 IP 不在设备白名单内 - IP: ${ip}, 设备: ${devId}, Path: ${req.path}`);
+        return reject(req, 'ip_not_allowed', devId, {
+            status: 403,
+            error: '来源 IP 不允许',
+            message: `设备 ${devId} 不接受来自 ${ip} 的请求`
+        });
+    }
+
+    const perMinute = config.rateLimit.devicePerMinute;
+    const bucket = take('device', devId, perMinute);
+    return bucket ? rateLimited(req, 'device_rate_limit', devId, bucket, perMinute, '设备 ') : null;
+}
+
+/**
+ * 解析白名单，支持单个地址和 CIDR，逗号、空格或换行分隔
+ * @returns {string[]} 规范化后的规则；格式错误时抛出异常
+ */
+function parseAllowlist(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return items.map(item => String(item).trim()).filter(Boolean).map(item => {
+        const [address, prefix, extra] = item.split('/');
+        const ip = normalizeIp(address);
+        const family = net.isIP(ip);
+        const maxPrefix = family === 6 ? 128 : 32;
+        if (!family || extra !== undefined || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+            throw new Error(`无效的地址或网段: ${item}`);
+        }
+        return prefix === undefined ? ip : `${ip}/${Number(prefix)}`;
+    });
+}
+
+function buildBlockList(rules) {
+    const blockList = new net.BlockList();
+    for (const rule of rules) {
+        const [ip, prefix] = rule.split('/');
+        const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) blockList.addAddress(ip, type);
+        else blockList.addSubnet(ip, Number(prefix), type);
+    }
+    return blockList;
+}
+
+/**
+ * 设备未配置白名单时返回 null，表示不限制来源
+ */
+function getAllowlist(devId) {
+    const row = db.prepare('SELECT ip_allowlist FROM devices WHERE dev_id = ?').get(devId);
+    if (!row || !row.ip_allowlist) return null;
+    return buildBlockList(row.ip_allowlist.split(','));
+}
+
+function topEntries(map, limit = 20) {
+    return Array.from(map, ([key, count]) => ({ key, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+// 定时清理已补满的令牌桶，和默认状态等价；桶按最近使用排列，遇到未补满的即可停止
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, bucket] of buckets) {
+        if (now - bucket.updatedAt < 60000) break;
+        buckets.delete(id);
+    }
+}, 60000).unref();
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/** GET /api/ingress/stats - 限流配置与拒绝计数（进程启动或重置以来） */
+router.get('/ingress/stats', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            limits: { ipPerMinute: config.rateLimit.ipPerMinute, devicePerMinute: config.rateLimit.devicePerMinute },
+            since: stats.since,
+            total: stats.total,
+            byReason: stats.byReason,
+            byEndpoint: stats.byEndpoint,
+            topIps: topEntries(stats.byIp),
+            topDevices: topEntries(stats.byDevice),
+            recent: stats.recent
+        }
+    });
+});
+
+/** DELETE /api/ingress/stats - 清零拒绝计数 */
+router.delete('/ingress/stats', (req, res) => {
+    stats = createStats();
+    res.json({ success: true });
+});
+
+/** GET /api/devices/:devId/ip-allowlist - 设备来源 IP 白名单 */
+router.get('/devices/:devId/ip-allowlist', (req, res) => {
+    const row = db.prepare('SELECT ip_allowlist FROM devices WHERE dev_id = ?').get(req.params.devId);
+    if (!row) return res.status(404).json({ success: false, error: '设备不存在' });
+    res.json({ success: true, data: row.ip_allowlist ? row.ip_allowlist.split(',') : [] });
+});
+
+/**
+ * PUT /api/devices/:devId/ip-allowlist
+ * 请求体 { allowlist: ['1.2.3.4', '10.0.0.0/8'] } 或逗号/换行分隔的字符串，空列表表示不限制
+ */
+router.put('/devices/:devId/ip-allowlist', (req, res) => {
+    const { devId } = req.params;
+    if (!db.prepare('SELECT dev_id FROM devices WHERE dev_id = ?').get(devId)) {
+        return res.status(404).json({ success: false, error: '设备不存在' });
+    }
+    let rules;
+    try {
+        rules = parseAllowlist((req.body || {}).allowlist);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    db.prepare('UPDATE devices SET ip_allowlist = ? WHERE dev_id = ?')
+        .run(rules.length ? rules.join(',') : null, devId);
+    console.log(`[Ingress] ${req.user ? req.user.username : '-'} 设置设备 ${devId} 来源 IP 白名单: ${rules.join(', ') || '不限制'}`);
+    res.json({ success: true, data: rules });
+});
+
+module.exports = {
+    checkIp,
+    checkDevice,
+    parseAllowlist,
+    router
+};
@@ -3,19 +3,48 @@
  * 处理各种类型的推送消息
  */
 
+const crypto = require('crypto');
 const { dbWrapper: db } = require('./database');
 const { getMessageTypeName, getMessageCategory, DEVICE_STATUS, SIM_STATUS } = require('./constants');
 const pushService = require('./pushService');
 const config = require('./config');
 const recordingService = require('./recordingService');
+const eventService = require('./eventService');
+const { deviceTimeToEpoch, localDateTime } = require('./timeUtils');
+const { extractOtp } = require('./otpService');
+const smsConcat = require('./smsConcat');
+const smsDelivery = require('./smsDelivery');
+const autoReplyService = require('./autoReplyService');
+const forwardService = require('./forwardService');
+
+/**
+ * 执行写入语句。prepare().run() 会吞掉 SQL 错误并返回 changes = 0，这里转为异常，
+ * 让入站队列按失败重试，而不是把没有入库的消息当作处理成功
+ */
+function write(sql, ...params) {
+    const result = db.prepare(sql).run(...params);
+    if (result.changes === 0) throw new Error(`写入数据库失败: ${sql.replace(/\s+/g, ' ').trim().slice(0, 60)}`);
+    return result;
+}
+
+// 重放时匹配未关联 source_message_id 的旧记录所用的字段
+const LEGACY_MATCH_COLUMNS = {
+    sms_records: ['dev_id', 'slot', 'phone_num', 'content', 'direction'],
+    call_records: ['dev_id', 'slot', 'phone_num', 'msg_type', 'duration']
+};
 
 class MessageHandler {
     
     /**
      * 处理推送消息的主入口
      * @param {Object} data - 接收到的消息数据
+     * @param {Object} [options]
+     * @param {boolean} [options.replay] - 重放 messages 表中的原始消息：不去重、不重复记录原始消息、不发布实时事件
+     * @param {number} [options.sourceMessageId] - 重放消息对应的 messages.id；入站队列重试时为第一次处理记录的 messages.id
+     * @param {(sourceMessageId: number) => void} [options.onRecorded] - 记录原始消息后回调，入站队列据此在重试时沿用
+     * @param {boolean} [options.suppressPush] - 不发送推送通知
      */
-    handleMessage(data) {
+    handleMessage(data, options = {}) {
         const { devId, type } = data;
         
         if (!devId || type === undefined) {
@@ -23,10 +52,51 @@ class MessageHandler {
             return { success: false, error: '无效的消息数据' };
         }
 
-        // 记录原始消息
-        this.recordMessage(devId, type, data);
+        if (options.replay) return this.dispatchMessage(type, data, options);
+
+        // 开发板超时重试的重复推送：仍按成功应答，但不再入库和通知
+        const dedupeKey = this.getDedupeKey(data);
+        if (dedupeKey && this.isDuplicate(dedupeKey)) {
+            console.log(`[Handler] 忽略重复推送: 设备 ${devId} type=${type}`);
+            return { success: true, duplicate: true };
+        }
+
+        // 记录原始消息，生成的短信/通话记录关联到该条消息；重试时沿用第一次记录的消息
+        let sourceMessageId = options.sourceMessageId || null;
+        if (!sourceMessageId) {
+            sourceMessageId = this.recordMessage(devId, type, data);
+            if (sourceMessageId && options.onRecorded) options.onRecorded(sourceMessageId);
+        }
+
+        const result = this.dispatchMessage(type, data, { sourceMessageId });
+        // 记录入库后再记录指纹（写入失败时上面已抛出异常），处理失败时开发板重试仍会被接收
+        if (dedupeKey && result && result.success !== false) this.rememberMessage(dedupeKey, devId, type);
+        this.publishEvent(type, data);
+        return result;
+    }
 
-        // 根据消息类型分发处理
+    /**
+     * 把处理完的消息发布到实时事件流，内部字段（_transport 等）和 apiKey 不对外输出
+     */
+    publishEvent(type, data) {
+        const payload = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (!key.startsWith('_') && key !== 'apiKey' && value !== undefined) payload[key] = value;
+        }
+        eventService.publish(getMessageCategory(type), {
+            devId: data.devId,
+            type,
+            typeName: getMessageTypeName(type),
+            slot: data.slot,
+            transport: data._transport,
+            data: payload
+        });
+    }
+
+    /**
+     * 根据消息类型分发处理
+     */
+    dispatchMessage(type, data, context = {}) {
         const category = getMessageCategory(type);
         
         switch (category) {
@@ -35,19 +105,64 @@ class MessageHandler {
             case 'sim':
                 return this.handleSimMessage(type, data);
             case 'sms':
-                return this.handleSmsMessage(type, data);
+                return this.handleSmsMessage(type, data, context);
             case 'call':
-                return this.handleCallMessage(type, data);
+                return this.handleCallMessage(type, data, context);
             case 'call_audio':
                 return this.handleCallAudioMessage(type, data);
             case 'system':
                 return this.handleSystemMessage(type, data);
+            case 'command':
+                return this.handleCommandMessage(type, data);
             default:
                 console.log(`[Handler] 收到消息 type=${type}: ${getMessageTypeName(type)}`);
                 return { success: true };
         }
     }
 
+    /**
+     * 处理命令应答 (401-402)，更新外发短信记录的投递状态
+     */
+    handleCommandMessage(type, data) {
+        console.log(`[Handler] 收到消息 type=${type}: ${getMessageTypeName(type)} tid=${data.tid || ''} code=${data.code ?? 0}`);
+        try {
+            smsDelivery.handleCommandAck(type, data);
+        } catch (error) {
+            console.error('[Handler] 处理命令应答失败:', error);
+        }
+        return { success: true };
+    }
+
+    /**
+     * 生成去重指纹：devId|type|slot|时间戳|内容哈希。
+     * 没有 msgTs/smsTs/telStartTs 的消息无法区分重试与新消息，不参与去重。
+     * 内容哈希忽略 _transport 等内部字段，HTTP 与 TCP 推送的同一条消息指纹一致。
+     */
+    getDedupeKey(data) {
+        if (!config.dedupe || !config.dedupe.windowSeconds) return null;
+        const timestamp = data.msgTs || data.smsTs || data.telStartTs;
+        if (!timestamp) return null;
+
+        const content = Object.keys(data)
+            .filter(key => !key.startsWith('_') && key !== 'apiKey' && data[key] !== undefined)
+            .sort()
+            .map(key => `${key}=${typeof data[key] === 'object' ? JSON.stringify(data[key]) : String(data[key])}`)
+            .join('&');
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 32);
+        return [data.devId, data.type, data.slot ?? '', timestamp, hash].join('|');
+    }
+
+    isDuplicate(dedupeKey) {
+        const since = Date.now() - config.dedupe.windowSeconds * 1000;
+        const existing = db.prepare('SELECT created_at FROM message_dedupe WHERE dedupe_key = ?').get(dedupeKey);
+        return Boolean(existing && existing.created_at >= since);
+    }
+
+    rememberMessage(dedupeKey, devId, type) {
+        db.prepare('INSERT OR REPLACE INTO message_dedupe (dedupe_key, dev_id, type, created_at) VALUES (?, ?, ?, ?)')
+            .run(dedupeKey, devId, type, Date.now());
+    }
+
     /**
      * 获取设备卡槽的时区配置
      * @param {string} devId - 设备ID
@@ -92,29 +207,104 @@ class MessageHandler {
 
     /**
      * 记录消息到数据库
+     * @returns {number|null} messages.id，未保存时返回 null
      */
     recordMessage(devId, type, data) {
         // 如果配置为不保存原始消息，则直接返回
         if (!config.log || !config.log.saveRawMessages) {
-            return;
+            return null;
         }
 
         try {
             // 使用 msgTs 作为时间戳，如果不存在则使用当前时间
-            // 消息日志统一使用北京时间 (UTC+8)，不根据卡槽时区进行特殊调整
-            // 传入 8 给 formatTime，触发 (16-8)=8h 的偏移，即标准的 UTC->北京时间转换
-            const now = this.formatTime(data.msgTs, 8);
+            // msgTs 是真实的 UTC 时间，不根据卡槽时区进行调整
+            const createdAt = data.msgTs ? deviceTimeToEpoch(data.msgTs) : Date.now();
             
             const stmt = db.prepare(`
-                INSERT INTO messages (dev_id, type, type_name, raw_data, created_at)
+                INSERT INTO messages (dev_id, type, type_name, raw_data, created_at_ms)
                 VALUES (?, ?, ?, ?, ?)
             `);
-            stmt.run(devId, type, getMessageTypeName(type), JSON.stringify(data), now);
+            return stmt.run(devId, type, getMessageTypeName(type), JSON.stringify(data), createdAt).lastInsertRowid || null;
         } catch (error) {
             console.error('[Handler] 记录消息失败:', error);
+            return null;
         }
     }
 
+    /**
+     * 发送推送通知，重放时可按 suppressPush 关闭
+     */
+    notify(context, channel, payload) {
+        if (context.suppressPush) return;
+        pushService.push(channel, payload);
+    }
+
+    /**
+     * 根据消息生成短信/通话记录，其他类型返回 null
+     * @returns {{ table: string, record: Object }|null}
+     */
+    buildRecord(type, data) {
+        switch (getMessageCategory(type)) {
+            case 'sms':
+                return { table: 'sms_records', record: this.buildSmsRecord(type, data) };
+            case 'call':
+                return { table: 'call_records', record: this.buildCallRecord(type, data) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 查找消息对应的已有记录。
+     * 重放时，加入 source_message_id 之前入库的记录没有关联，按内容匹配最早一条未关联的记录。
+     */
+    findSourceRecord(table, record, context) {
+        if (!context.sourceMessageId) return undefined;
+        const linked = db.prepare(`SELECT * FROM ${table} WHERE source_message_id = ?`).get(context.sourceMessageId);
+        if (linked || !context.replay) return linked;
+
+        const columns = LEGACY_MATCH_COLUMNS[table];
+        return db.prepare(`
+            SELECT * FROM ${table}
+            WHERE source_message_id IS NULL AND ${columns.map(column => `${column} IS ?`).join(' AND ')}
+            ORDER BY id LIMIT 1
+        `).get(...columns.map(column => record[column]));
+    }
+
+    /**
+     * 写入短信/通话记录：已有对应记录时原地更新，否则插入。写入失败时抛出异常
+     */
+    saveRecord(table, record, context) {
+        const columns = Object.keys(record);
+        const values = Object.values(record);
+        const existing = this.findSourceRecord(table, record, context);
+        if (existing) {
+            write(`UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')}, source_message_id = ? WHERE id = ?`,
+                ...values, context.sourceMessageId, existing.id);
+            return;
+        }
+        write(`INSERT INTO ${table} (${columns.join(', ')}, source_message_id, created_at_ms) VALUES (${columns.map(() => '?').join(', ')}, ?, ?)`,
+            ...values, context.sourceMessageId || null, Date.now());
+    }
+
+    /**
+     * 计算重放一条原始消息会对记录产生的变化，不写入数据库
+     * @returns {{ table: string, action: 'insert'|'update'|'unchanged', recordId?: number, record?: Object, changes?: Object }|null}
+     */
+    previewReplay(type, data, sourceMessageId) {
+        const built = this.buildRecord(type, data);
+        if (!built) return null;
+        const { table, record } = built;
+        const existing = this.findSourceRecord(table, record, { replay: true, sourceMessageId });
+        if (!existing) return { table, action: 'insert', record };
+
+        const changes = {};
+        for (const [column, value] of Object.entries(record)) {
+            if (existing[column] !== value) changes[column] = { from: existing[column], to: value };
+        }
+        return { table, action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', recordId: existing.id, changes };
+    }
+
     /**
      * 处理网络联网消息 (100-102)
      */
@@ -126,21 +316,19 @@ class MessageHandler {
         // 更新或创建设备记录
         const existingDevice = db.prepare('SELECT id FROM devices WHERE dev_id = ?').get(devId);
         
-        const now = this.formatTime();
+        const now = localDateTime();
         if (existingDevice) {
-            const stmt = db.prepare(`
+            write(`
                 UPDATE devices 
                 SET last_ip = ?, last_ssid = ?, last_dbm = ?, hw_ver = ?,
-                    status = ?, last_seen_at = ?, updated_at = ?
+                    status = ?, last_seen_at_ms = ?, updated_at = ?
                 WHERE dev_id = ?
-            `);
-            stmt.run(ip || '', ssid || '', dbm || 0, hwVer || '', DEVICE_STATUS.ONLINE, now, now, devId);
+            `, ip || '', ssid || '', dbm || 0, hwVer || '', DEVICE_STATUS.ONLINE, Date.now(), now, devId);
         } else {
-            const stmt = db.prepare(`
-                INSERT INTO devices (dev_id, last_ip, last_ssid, last_dbm, hw_ver, status, last_seen_at, created_at, updated_at)
+            write(`
+                INSERT INTO devices (dev_id, last_ip, last_ssid, last_dbm, hw_ver, status, last_seen_at_ms, created_at, updated_at)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-            stmt.run(devId, ip || '', ssid || '', dbm || 0, hwVer || '', DEVICE_STATUS.ONLINE, now, now, now);
+            `, devId, ip || '', ssid || '', dbm || 0, hwVer || '', DEVICE_STATUS.ONLINE, Date.now(), now, now);
         }
 
         // 如果有卡槽信息，更新SIM卡状态
@@ -180,10 +368,10 @@ class MessageHandler {
 
         // 更新或创建SIM卡记录
         const existingSim = db.prepare('SELECT id FROM sim_cards WHERE dev_id = ? AND slot = ?').get(devId, slot);
-        const now = this.formatTime();
+        const now = localDateTime();
         
         if (existingSim) {
-            const stmt = db.prepare(`
+            write(`
                 UPDATE sim_cards 
                 SET iccid = COALESCE(NULLIF(?, ''), iccid),
                     imsi = COALESCE(NULLIF(?, ''), imsi),
@@ -193,14 +381,12 @@ class MessageHandler {
                     status = ?,
                     updated_at = ?
                 WHERE dev_id = ? AND slot = ?
-            `);
-            stmt.run(iccId || '', imsi || '', msIsdn || '', dbm ?? null, plmn || '', status, now, devId, slot);
+            `, iccId || '', imsi || '', msIsdn || '', dbm ?? null, plmn || '', status, now, devId, slot);
         } else {
-            const stmt = db.prepare(`
+            write(`
                 INSERT INTO sim_cards (dev_id, slot, iccid, imsi, msisdn, dbm, plmn, status, updated_at)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-            stmt.run(devId, slot, iccId || '', imsi || '', msIsdn || '', dbm || 0, plmn || '', status, now);
+            `, devId, slot, iccId || '', imsi || '', msIsdn || '', dbm || 0, plmn || '', status, now);
         }
 
         // 更新设备最后在线时间
@@ -233,48 +419,93 @@ class MessageHandler {
     }
 
     /**
-     * 处理短信消息 (501-502)
+     * 由短信消息生成 sms_records 字段
      */
-    handleSmsMessage(type, data) {
+    buildSmsRecord(type, data) {
         // 兼容不同字段名：设备推送的字段为 phNum/smsBd/smsTs
         const devId = (data.devId || '').trim();
         // 尝试转换 slot 为整数，防止类型不匹配
         let slot = parseInt(data.slot);
         if (isNaN(slot)) slot = null;
 
-        const phoneNumber = data.phoneNum || data.phNum || data.msIsdn || data.msisdn || '';
-        const content = data.content || data.smsBd || '';
-        const iccid = data.iccId || data.iccid || '';
-        const imsi = data.imsi || '';
-        const msisdn = data.msIsdn || data.msisdn || '';
-        const netChannel = data.netCh;
-        
         // 获取卡槽时区配置
         const timezone = this.getDeviceTimezone(devId, slot);
         console.log(`[SMS] Timezone lookup: devId=${devId}, slot=${slot}, used=${timezone}`);
 
-        // 统一使用指定时区格式 YYYY-MM-DD HH:mm:ss
-        const smsTime = this.formatTime(data.smsTs || data.time, timezone);
-        
+        const content = data.content || data.smsBd || '';
         // 区分接收和发送 (501: 接收, 502: 发送成功)
         const direction = type === 502 ? 'out' : 'in';
+        // 只识别接收短信中的验证码
+        const otp = direction === 'in' ? extractOtp(content) : null;
+
+        return {
+            dev_id: devId,
+            slot,
+            phone_num: data.phoneNum || data.phNum || data.msIsdn || data.msisdn || 'unknown',
+            content,
+            sms_time_ms: deviceTimeToEpoch(data.smsTs || data.time, timezone),
+            // 记录卡槽时区，按 SIM 卡所在地显示时间
+            timezone,
+            direction,
+            otp_code: otp ? otp.code : null,
+            otp_service: otp ? otp.service : null,
+            // 长短信合并的分段数，以及拼接参数声明的总段数
+            parts: data._parts || 1,
+            parts_total: data._partsTotal || null,
+            // 502 即外发成功；tid 用于关联下发时写入的待确认记录
+            tid: direction === 'out' && data.tid ? String(data.tid) : null,
+            delivery_status: direction === 'out' ? 'confirmed' : null
+        };
+    }
+
+    /**
+     * 处理短信消息 (501-502)
+     */
+    handleSmsMessage(type, data, context = {}) {
+        // 长短信分段先缓存，收齐或超时后以合并后的内容继续处理
+        if (type === 501) {
+            const assembled = smsConcat.collect(data, context);
+            if (!assembled) {
+                console.log(`[SMS] 收到长短信分段，等待后续分段: ${data.phoneNum || data.phNum || ''}`);
+                return { success: true, buffered: true };
+            }
+            ({ data, context } = assembled);
+        }
+        const record = this.buildSmsRecord(type, data);
+        const { dev_id: devId, slot, content, direction, otp_code: otpCode, otp_service: otpService } = record;
+        const phoneNumber = data.phoneNum || data.phNum || data.msIsdn || data.msisdn || '';
+        const iccid = data.iccId || data.iccid || '';
+        const imsi = data.imsi || '';
+        const msisdn = data.msIsdn || data.msisdn || '';
+        const netChannel = data.netCh;
+
         const actionText = direction === 'out' ? '短信外发成功' : '收到短信';
-        
         console.log(`[SMS] ${actionText}: ${phoneNumber} -> ${content}`);
+        if (otpCode) console.log(`[SMS] 识别到验证码: ${otpCode}${otpService ? ` (${otpService})` : ''}`);
 
-        // 记录短信
+        // 记录短信：外发成功推送优先更新下发时写入的待确认记录，发送队列随之确认。写入失败时抛出，由入站队列重试
+        const pending = direction === 'out' && !this.findSourceRecord('sms_records', record, context)
+            ? smsDelivery.findPending(record)
+            : null;
+        if (pending) smsDelivery.confirm(pending, record, context);
+        else this.saveRecord('sms_records', record, context);
+
+        // 匹配自动回复规则
         try {
-            const stmt = db.prepare(`
-                INSERT INTO sms_records (dev_id, slot, phone_num, content, sms_time, direction)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `);
-            stmt.run(devId, slot, phoneNumber || 'unknown', content || '', smsTime, direction);
+            autoReplyService.handleIncoming(record, context);
         } catch (error) {
-            console.error('[SMS] 记录短信失败:', error);
+            console.error('[AutoReply] 处理自动回复失败:', error);
+        }
+
+        // 按转发规则转发到其他号码
+        try {
+            forwardService.handleIncoming(record, context);
+        } catch (error) {
+            console.error('[Forward] 处理短信转发失败:', error);
         }
 
         // 推送短信通知
-        pushService.push('sms', {
+        this.notify(context, 'sms', {
             dev_id: devId,
             phone_num: phoneNumber,
             content: content,
@@ -283,56 +514,64 @@ class MessageHandler {
             imsi,
             msisdn,
             net_channel: netChannel,
-            direction: direction
+            direction: direction,
+            otp_code: otpCode,
+            otp_service: otpService
         });
 
         return { success: true };
     }
 
     /**
-     * 处理电话消息 (601-642)
+     * 由电话消息生成 call_records 字段
      */
-    handleCallMessage(type, data) {
+    buildCallRecord(type, data) {
         // 兼容不同字段名
         const devId = data.devId;
         let slot = parseInt(data.slot);
         if (isNaN(slot)) slot = null;
-        
-        const phoneNumber = data.phoneNum || data.phNum || data.msIsdn || data.msisdn || '';
-        const callType = getMessageTypeName(type);
-        
+
         // 获取卡槽时区配置
         const timezone = this.getDeviceTimezone(devId, slot);
 
-        // 计算时间与时长
-        // telStartTs, telEndTs 是秒级时间戳
-        // 统一使用北京时间格式 YYYY-MM-DD HH:mm:ss
-        const startTime = this.formatTime(data.telStartTs || data.time, timezone);
+        // 计算时长，telStartTs, telEndTs 是秒级时间戳
         let duration = 0;
         if (data.telStartTs && data.telEndTs && data.telEndTs > data.telStartTs) {
             duration = data.telEndTs - data.telStartTs;
         }
-        
+
+        // 注意：数据库字段为 start_time_ms 而非 call_time
+        return {
+            dev_id: devId,
+            slot,
+            phone_num: data.phoneNum || data.phNum || data.msIsdn || data.msisdn || 'unknown',
+            msg_type: type,
+            call_type: getMessageTypeName(type),
+            start_time_ms: deviceTimeToEpoch(data.telStartTs || data.time, timezone),
+            timezone,
+            duration
+        };
+    }
+
+    /**
+     * 处理电话消息 (601-642)
+     */
+    handleCallMessage(type, data, context = {}) {
+        const record = this.buildCallRecord(type, data);
+        const { dev_id: devId, slot, call_type: callType, duration } = record;
+        const phoneNumber = data.phoneNum || data.phNum || data.msIsdn || data.msisdn || '';
+
         console.log(`[Call] 电话消息: ${phoneNumber} (${callType})`);
 
-        // 记录通话
-        try {
-            // 注意：数据库字段为 start_time 而非 call_time
-            const stmt = db.prepare(`
-                INSERT INTO call_records (dev_id, slot, phone_num, msg_type, call_type, start_time, duration)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `);
-            stmt.run(devId, slot, phoneNumber || 'unknown', type, callType, startTime, duration);
-        } catch (error) {
-            console.error('[Call] 记录通话失败:', error);
-        }
+        // 记录通话，写入失败时抛出，由入站队列重试
+        this.saveRecord('call_records', record, context);
 
         // 推送策略：
         // 601: 来电振铃 (通知用户有电话)
         // 603: 对方挂断 (通知用户通话结束及时长)
         // 623: 去电挂断 (通知用户通话结束及时长)
         if (type === 601 || type === 603 || type === 623) {
-            pushService.push('call', {
+            this.notify(context, 'call', {
                 dev_id: devId,
                 phone_num: phoneNumber,
                 call_type: callType,
@@ -396,12 +635,11 @@ class MessageHandler {
     ensureDeviceExists(devId) {
         const existing = db.prepare('SELECT id FROM devices WHERE dev_id = ?').get(devId);
         if (!existing) {
-            const now = this.formatTime();
-            const stmt = db.prepare(`
-                INSERT INTO devices (dev_id, status, last_seen_at, created_at, updated_at)
+            const now = localDateTime();
+            write(`
+                INSERT INTO devices (dev_id, status, last_seen_at_ms, created_at, updated_at)
                 VALUES (?, ?, ?, ?, ?)
-            `);
-            stmt.run(devId, DEVICE_STATUS.ONLINE, now, now, now);
+            `, devId, DEVICE_STATUS.ONLINE, Date.now(), now, now);
         }
     }
 
@@ -409,13 +647,11 @@ class MessageHandler {
      * 更新设备最后在线时间
      */
     updateDeviceLastSeen(devId) {
-        const now = this.formatTime();
-        const stmt = db.prepare(`
+        write(`
             UPDATE devices 
-            SET status = ?, last_seen_at = ?, updated_at = ?
+            SET status = ?, last_seen_at_ms = ?, updated_at = ?
             WHERE dev_id = ?
-        `);
-        stmt.run(DEVICE_STATUS.ONLINE, now, now, devId);
+        `, DEVICE_STATUS.ONLINE, Date.now(), localDateTime(), devId);
     }
 
     /**
@@ -426,68 +662,27 @@ class MessageHandler {
         // 具体格式需要根据实际返回数据调整
     }
 
-    /**
-     * 格式化时间为 YYYY-MM-DD HH:mm:ss (统一转换为北京时间)
-     * @param {number|string} time - 时间戳或时间字符串
-     * @param {number} sourceTimezone - 数据源的时区 (默认0，即UTC)
-     * 注意：如果是设备上报的本地时间，请传入设备所在时区；如果是系统时间，请留空(默认为UTC)
-     */
-    formatTime(time, sourceTimezone = 0) {
-        let date;
-        if (!time) {
-            date = new Date();
-        } else if (typeof time === 'number') {
-            // 兼容秒级和毫秒级时间戳
-            date = new Date(time < 10000000000 ? time * 1000 : time);
-        } else {
-            date = new Date(time);
-        }
-
-        if (isNaN(date.getTime())) {
-            date = new Date();
-        }
-
-        // 确保 sourceTimezone 是数字
-        const tz = Number(sourceTimezone);
-
-        // 核心逻辑：
-        // 根据用户提供的例子：smsTs: 1765410010 (UTC 2025-12-10 23:40:10)
-        // UTC+0 时，期望结果为 2025-12-11 15:40:10 (即 UTC + 16h)
-        // 
-        // 推导公式：
-        // 基准 (UTC+8): 保持目前逻辑 (UTC + 8h)
-        // UTC+0: 比基准多 8h -> UTC + 16h
-        // UTC+10: 比基准少 2h -> UTC + 6h
-        // 
-        // 统一公式: 目标时间 = 原始时间 + (16 - tz) 小时
-        
-        const targetTimestamp = date.getTime() + (16 - tz) * 3600000;
-        const targetTime = new Date(targetTimestamp);
-        
-        const pad = n => n < 10 ? '0' + n : n;
-        return `${targetTime.getUTCFullYear()}-${pad(targetTime.getUTCMonth() + 1)}-${pad(targetTime.getUTCDate())} ${pad(targetTime.getUTCHours())}:${pad(targetTime.getUTCMinutes())}:${pad(targetTime.getUTCSeconds())}`;
-    }
-
     /**
      * 检查设备离线状态（定时任务调用）
      * @param {number} timeoutSeconds - 超时秒数
      */
     checkOfflineDevices(timeoutSeconds = 300) {
         // 计算超时阈值时间 (当前时间 - timeoutSeconds)
-        const now = new Date();
-        const thresholdTime = new Date(now.getTime() - timeoutSeconds * 1000);
-        const thresholdStr = this.formatTime(thresholdTime);
+        const threshold = Date.now() - timeoutSeconds * 1000;
+        const offline = db.prepare('SELECT dev_id FROM devices WHERE status = ? AND last_seen_at_ms < ?')
+            .all(DEVICE_STATUS.ONLINE, threshold);
 
         const stmt = db.prepare(`
             UPDATE devices 
             SET status = ?
             WHERE status = ? 
-            AND last_seen_at < ?
+            AND last_seen_at_ms < ?
         `);
-        const result = stmt.run(DEVICE_STATUS.OFFLINE, DEVICE_STATUS.ONLINE, thresholdStr);
+        const result = stmt.run(DEVICE_STATUS.OFFLINE, DEVICE_STATUS.ONLINE, threshold);
         
         if (result.changes > 0) {
             console.log(`[System] ${result.changes} 个设备标记为离线`);
+            offline.forEach(device => eventService.publish('device', { devId: device.dev_id, status: DEVICE_STATUS.OFFLINE }));
         }
     }
 }
@@ -0,0 +1,118 @@
+/**
+ * 初始数据表：设备、SIM 卡、消息日志、短信、通话、推送配置和通话录音
+ */
+
+module.exports = {
+    description: '初始数据表',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS devices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT UNIQUE NOT NULL,
+                name TEXT DEFAULT '',
+                hw_ver TEXT DEFAULT '',
+                last_ip TEXT DEFAULT '',
+                last_ssid TEXT DEFAULT '',
+                last_dbm INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'offline',
+                last_seen_at TEXT,
+                created_at TEXT DEFAULT (datetime('now', 'localtime')),
+                updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sim_cards (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                slot INTEGER NOT NULL,
+                iccid TEXT DEFAULT '',
+                imsi TEXT DEFAULT '',
+                msisdn TEXT DEFAULT '',
+                operator TEXT DEFAULT '',
+                dbm INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'unknown',
+                plmn TEXT DEFAULT '',
+                updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+                UNIQUE(dev_id, slot)
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                type INTEGER NOT NULL,
+                type_name TEXT DEFAULT '',
+                raw_data TEXT,
+                created_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_records (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                slot INTEGER NOT NULL,
+                msisdn TEXT DEFAULT '',
+                phone_num TEXT NOT NULL,
+                content TEXT NOT NULL,
+                sms_time TEXT,
+                direction TEXT DEFAULT 'in',
+                created_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS call_records (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                slot INTEGER NOT NULL,
+                msisdn TEXT DEFAULT '',
+                phone_num TEXT NOT NULL,
+                msg_type INTEGER NOT NULL,
+                call_type TEXT NOT NULL,
+                start_time TEXT,
+                created_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS push_config (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channel TEXT UNIQUE NOT NULL,
+                enabled INTEGER DEFAULT 0,
+                config TEXT DEFAULT '{}',
+                events TEXT DEFAULT '[]',
+                updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+        for (const channel of ['wecom', 'feishu', 'smtp']) {
+            db.run(`INSERT OR IGNORE INTO push_config (channel, enabled, config, events) VALUES (?, 0, '{}', '[]')`, [channel]);
+        }
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS recordings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                media_id TEXT DEFAULT '',
+                original_name TEXT DEFAULT '',
+                stored_name TEXT DEFAULT '',
+                file_size INTEGER DEFAULT 0,
+                dev_id TEXT DEFAULT '',
+                slot INTEGER,
+                phone_num TEXT DEFAULT '',
+                tid TEXT DEFAULT '',
+                tel_start_ts INTEGER,
+                tel_connected_ts INTEGER,
+                tel_end_ts INTEGER,
+                status TEXT DEFAULT 'uploaded',
+                error_note TEXT DEFAULT '',
+                uploaded_at TEXT DEFAULT (datetime('now', 'localtime')),
+                confirmed_at TEXT
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_recordings_media_id ON recordings(media_id)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_recordings_tid ON recordings(tid)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_recordings_dev_id ON recordings(dev_id)');
+    }
+};
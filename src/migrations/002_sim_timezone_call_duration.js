@@ -0,0 +1,13 @@
+/**
+ * SIM 卡槽时区和通话时长，原先由启动时探测字段后 ALTER TABLE 添加
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: 'sim_cards.timezone、call_records.duration',
+    up(db) {
+        addColumn(db, 'sim_cards', 'timezone', 'REAL DEFAULT 8');
+        addColumn(db, 'call_records', 'duration', 'INTEGER DEFAULT 0');
+    }
+};
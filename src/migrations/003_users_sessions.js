@@ -0,0 +1,38 @@
+/**
+ * 管理端账号与登录会话
+ */
+
+module.exports = {
+    description: '管理端账号与登录会话',
+    up(db) {
+        // role 取值 viewer / operator / admin，密码使用 scrypt 加盐哈希
+        db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'viewer',
+                enabled INTEGER DEFAULT 1,
+                last_login_at TEXT,
+                created_at TEXT DEFAULT (datetime('now', 'localtime')),
+                updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+
+        // 只保存 token 的 SHA-256，expires_at 为毫秒时间戳
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                ip TEXT DEFAULT '',
+                user_agent TEXT DEFAULT '',
+                expires_at INTEGER NOT NULL,
+                last_used_at TEXT,
+                revoked_at TEXT,
+                created_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)');
+    }
+};
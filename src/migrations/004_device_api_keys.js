@@ -0,0 +1,22 @@
+/**
+ * 开发板推送密钥：每台设备独立签发，只保存 SHA-256，key_prefix 用于界面识别
+ */
+
+module.exports = {
+    description: '设备推送密钥',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS device_api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                key_prefix TEXT NOT NULL,
+                key_hash TEXT UNIQUE NOT NULL,
+                note TEXT DEFAULT '',
+                last_used_at TEXT,
+                revoked_at TEXT,
+                created_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_device_api_keys_dev_id ON device_api_keys(dev_id)');
+    }
+};
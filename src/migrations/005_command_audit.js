@@ -0,0 +1,29 @@
+/**
+ * 控制指令审计：params 为映射后的 p1...pN（已脱敏），result_code 为开发板返回的 code
+ */
+
+module.exports = {
+    description: '控制指令审计',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS command_audit (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                username TEXT,
+                dev_id TEXT,
+                target TEXT,
+                command TEXT NOT NULL,
+                params TEXT,
+                transport TEXT,
+                tid TEXT,
+                success INTEGER DEFAULT 0,
+                result_code INTEGER,
+                error TEXT,
+                elapsed_ms INTEGER,
+                created_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_command_audit_dev_id ON command_audit(dev_id)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_command_audit_created_at ON command_audit(created_at)');
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * 推送去重指纹，created_at 为毫秒时间戳，超出去重窗口的记录由定时清理删除
+ */
+
+module.exports = {
+    description: '推送去重指纹',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS message_dedupe (
+                dedupe_key TEXT PRIMARY KEY,
+                dev_id TEXT,
+                type INTEGER,
+                created_at INTEGER NOT NULL
+            )
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * 入站消息队列：推送先落盘再应答，处理成功后删除；status 为 pending / processing / dead
+ */
+
+module.exports = {
+    description: '入站消息队列',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS inbound_spool (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT,
+                type INTEGER,
+                transport TEXT,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                next_attempt_at INTEGER,
+                last_error TEXT,
+                created_at TEXT DEFAULT (datetime('now', 'localtime')),
+                updated_at TEXT DEFAULT (datetime('now', 'localtime'))
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_inbound_spool_status ON inbound_spool(status, next_attempt_at)');
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * 短信/通话记录关联产生它的 messages.id，重放原始消息时据此更新而不是重复插入
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: 'sms_records、call_records 关联原始消息',
+    up(db) {
+        for (const table of ['sms_records', 'call_records']) {
+            addColumn(db, table, 'source_message_id', 'INTEGER');
+            db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_source ON ${table}(source_message_id)`);
+        }
+    }
+};
@@ -0,0 +1,12 @@
+/**
+ * 设备来源 IP 白名单，逗号分隔的地址或 CIDR，为空表示不限制
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: 'devices.ip_allowlist',
+    up(db) {
+        addColumn(db, 'devices', 'ip_allowlist', 'TEXT');
+    }
+};
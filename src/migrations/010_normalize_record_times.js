@@ -0,0 +1,51 @@
+/**
+ * 早期版本把秒/毫秒时间戳或 ISO 字符串直接写入了时间字段，统一转换为北京时间 YYYY-MM-DD HH:mm:ss。
+ * 取代原先手动执行的 fix_dates.js；已是标准格式的值保持不变，重复执行不会再次偏移。
+ * devices.last_seen_at 中原有标准格式的值是 formatTime() 写入的 UTC+16，与这里转换出的北京时间无法区分，
+ * 因此把转换过的设备 id 记入 migration_010_devices，供 013 换算时间戳时使用。
+ */
+
+const STANDARD_FORMAT = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const COLUMNS = [
+    ['sms_records', 'sms_time'],
+    ['call_records', 'start_time'],
+    ['devices', 'last_seen_at'],
+    ['sim_cards', 'updated_at']
+];
+
+function toBeijingTime(value) {
+    let date;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        const timestamp = Number(value);
+        date = new Date(timestamp < 10000000000 ? timestamp * 1000 : timestamp);
+    } else {
+        date = new Date(value);
+    }
+    if (isNaN(date.getTime())) return null;
+
+    const beijingTime = new Date(date.getTime() + 8 * 3600000);
+    const pad = n => n < 10 ? '0' + n : n;
+    return `${beijingTime.getUTCFullYear()}-${pad(beijingTime.getUTCMonth() + 1)}-${pad(beijingTime.getUTCDate())} ${pad(beijingTime.getUTCHours())}:${pad(beijingTime.getUTCMinutes())}:${pad(beijingTime.getUTCSeconds())}`;
+}
+
+module.exports = {
+    description: '统一短信、通话、设备和 SIM 卡的时间格式',
+    up(db) {
+        db.run('CREATE TABLE IF NOT EXISTS migration_010_devices (id INTEGER PRIMARY KEY)');
+        for (const [table, column] of COLUMNS) {
+            const [result] = db.exec(`SELECT id, ${column} FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != ''`);
+            if (!result) continue;
+
+            let fixed = 0;
+            for (const [id, value] of result.values) {
+                if (STANDARD_FORMAT.test(String(value))) continue;
+                const normalized = toBeijingTime(value);
+                if (!normalized) continue;
+                db.run(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [normalized, id]);
+                if (table === 'devices') db.run('INSERT OR IGNORE INTO migration_010_devices (id) VALUES (?)', [id]);
+                fixed++;
+            }
+            if (fixed > 0) console.log(`[DB] 修正 ${table}.${column} 时间格式: ${fixed} 条`);
+        }
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * 数据保留规则：target 为数据类型（见 retentionService.TARGETS），dev_id 为空表示全局规则，
+ * 设备规则优先于全局规则；days 为 0 表示永久保留
+ */
+
+module.exports = {
+    description: '数据保留规则',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS retention_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                target TEXT NOT NULL,
+                dev_id TEXT NOT NULL DEFAULT '',
+                days INTEGER NOT NULL,
+                created_at TEXT DEFAULT (datetime('now', 'localtime')),
+                updated_at TEXT DEFAULT (datetime('now', 'localtime')),
+                UNIQUE(target, dev_id)
+            )
+        `);
+    }
+};
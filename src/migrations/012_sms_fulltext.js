@@ -0,0 +1,30 @@
+/**
+ * 短信全文索引：sms_fts 为 FTS4 表，docid 对应 sms_records.id，tokens 为 smsSearch.tokenize 切分后的词。
+ * 分词需要在 JS 中完成，触发器只把新增/修改的短信记入 sms_fts_pending，由 smsSearch.syncIndex 补建索引；
+ * 已有短信在这里全部标记为待索引。
+ */
+
+module.exports = {
+    description: '短信全文索引',
+    up(db) {
+        db.run('CREATE VIRTUAL TABLE IF NOT EXISTS sms_fts USING fts4(tokens)');
+        db.run('CREATE TABLE IF NOT EXISTS sms_fts_pending (sms_id INTEGER PRIMARY KEY)');
+        db.run(`
+            CREATE TRIGGER IF NOT EXISTS sms_fts_after_insert AFTER INSERT ON sms_records BEGIN
+                INSERT OR IGNORE INTO sms_fts_pending (sms_id) VALUES (new.id);
+            END
+        `);
+        db.run(`
+            CREATE TRIGGER IF NOT EXISTS sms_fts_after_update AFTER UPDATE OF content ON sms_records BEGIN
+                INSERT OR IGNORE INTO sms_fts_pending (sms_id) VALUES (new.id);
+            END
+        `);
+        db.run(`
+            CREATE TRIGGER IF NOT EXISTS sms_fts_after_delete AFTER DELETE ON sms_records BEGIN
+                DELETE FROM sms_fts WHERE docid = old.id;
+                DELETE FROM sms_fts_pending WHERE sms_id = old.id;
+            END
+        `);
+        db.run('INSERT OR IGNORE INTO sms_fts_pending (sms_id) SELECT id FROM sms_records');
+    }
+};
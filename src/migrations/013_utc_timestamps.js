@@ -0,0 +1,98 @@
+/**
+ * 时间统一改为 UTC 毫秒时间戳：新增 *_ms 列，并把已有的文本时间换算填入。
+ * 在 010 的基础上推广到所有时间列，旧值按写入时的含义解析：
+ * - sms_time / start_time / messages.created_at：北京时间（原 formatTime 的输出）
+ * - sms_records / call_records 的 created_at：服务器本地时间（datetime('now', 'localtime')）
+ * - devices.last_seen_at：含 T 的为 toISOString() 写入的 UTC，010 记录在 migration_010_devices 中的
+ *   为时间戳或 ISO 字符串转换出的北京时间，其余为 formatTime() 的 UTC+16
+ * 秒/毫秒时间戳和带时区的字符串直接按 UTC 解析。短信、通话同时记下所属卡槽的时区，用于显示。
+ */
+
+const { addColumn } = require('./utils');
+
+const HOUR = 3600000;
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const LOCAL = 'local';
+
+function toEpoch(value, offset) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        const timestamp = Number(value);
+        return timestamp < 10000000000 ? timestamp * 1000 : timestamp;
+    }
+    const match = WALL_CLOCK.exec(String(value).trim());
+    if (!match) {
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+    const [, year, month, day, hour, minute, second = 0] = match.map(Number);
+    if (offset === LOCAL) return new Date(year, month - 1, day, hour, minute, second).getTime();
+    return Date.UTC(year, month - 1, day, hour, minute, second) - offset * HOUR;
+}
+
+function backfill(db, table, conversions, extra = {}) {
+    const columns = Object.keys(conversions);
+    const [result] = db.exec(`SELECT id, ${columns.join(', ')}${extra.select ? ', ' + extra.select : ''} FROM ${table}`);
+    if (!result) return;
+
+    const targets = columns.map(column => `${column}_ms`).concat(extra.column ? [extra.column] : []);
+    const stmt = db.prepare(`UPDATE ${table} SET ${targets.map(column => `${column} = ?`).join(', ')} WHERE id = ?`);
+    try {
+        for (const row of result.values) {
+            const values = columns.map((column, index) => toEpoch(row[index + 1], conversions[column]));
+            if (extra.column) values.push(extra.value(row.slice(columns.length + 1)));
+            stmt.run([...values, row[0]]);
+        }
+    } finally {
+        stmt.free();
+    }
+    console.log(`[DB] ${table} 时间转换为 UTC 时间戳: ${result.values.length} 条`);
+}
+
+function simTimezone(db) {
+    const zones = new Map();
+    const [result] = db.exec('SELECT dev_id, slot, timezone FROM sim_cards');
+    for (const [devId, slot, timezone] of result ? result.values : []) {
+        if (timezone !== null && timezone !== undefined) zones.set(`${devId}:${slot}`, Number(timezone));
+    }
+    return ([devId, slot]) => zones.get(`${devId}:${slot}`) ?? 8;
+}
+
+module.exports = {
+    description: '短信、通话、消息日志和设备在线时间改为 UTC 时间戳',
+    up(db) {
+        addColumn(db, 'sms_records', 'sms_time_ms', 'INTEGER');
+        addColumn(db, 'sms_records', 'created_at_ms', 'INTEGER');
+        addColumn(db, 'sms_records', 'timezone', 'REAL DEFAULT 8');
+        addColumn(db, 'call_records', 'start_time_ms', 'INTEGER');
+        addColumn(db, 'call_records', 'created_at_ms', 'INTEGER');
+        addColumn(db, 'call_records', 'timezone', 'REAL DEFAULT 8');
+        addColumn(db, 'messages', 'created_at_ms', 'INTEGER');
+        addColumn(db, 'devices', 'last_seen_at_ms', 'INTEGER');
+
+        const timezoneOf = simTimezone(db);
+        const record = { select: 'dev_id, slot', column: 'timezone', value: timezoneOf };
+        backfill(db, 'sms_records', { sms_time: 8, created_at: LOCAL }, record);
+        backfill(db, 'call_records', { start_time: 8, created_at: LOCAL }, record);
+        backfill(db, 'messages', { created_at: 8 });
+
+        // last_seen_at 的几种写法分开处理
+        const normalized = new Set();
+        if (db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'migration_010_devices'").length > 0) {
+            const [rows] = db.exec('SELECT id FROM migration_010_devices');
+            for (const [id] of rows ? rows.values : []) normalized.add(id);
+        }
+        const [devices] = db.exec('SELECT id, last_seen_at FROM devices');
+        for (const [id, value] of devices ? devices.values : []) {
+            const offset = /T/.test(String(value)) ? 0 : normalized.has(id) ? 8 : 16;
+            db.run('UPDATE devices SET last_seen_at_ms = ? WHERE id = ?', [toEpoch(value, offset), id]);
+        }
+        db.run('DROP TABLE IF EXISTS migration_010_devices');
+
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_records_created_at_ms ON sms_records(created_at_ms)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_records_sms_time_ms ON sms_records(sms_time_ms)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_call_records_created_at_ms ON call_records(created_at_ms)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_call_records_start_time_ms ON call_records(start_time_ms)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_messages_created_at_ms ON messages(created_at_ms)');
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * 短信会话：按设备、卡槽、对方号码归并查询的索引，以及接收短信的已读时间 read_at_ms（UTC 毫秒，NULL 为未读）。
+ * 升级前的接收短信全部视为已读，避免会话列表一次出现大量未读。
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '短信会话与已读状态',
+    up(db) {
+        if (addColumn(db, 'sms_records', 'read_at_ms', 'INTEGER')) {
+            db.run("UPDATE sms_records SET read_at_ms = COALESCE(created_at_ms, ?) WHERE direction = 'in'", [Date.now()]);
+        }
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_records_thread ON sms_records(dev_id, slot, phone_num)');
+    }
+};
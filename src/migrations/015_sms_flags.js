@@ -0,0 +1,14 @@
+/**
+ * 短信星标和归档：starred_at_ms、archived_at_ms 为设置时间（UTC 毫秒），NULL 表示未设置。
+ * 已读状态沿用 014 的 read_at_ms。
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '短信星标与归档',
+    up(db) {
+        addColumn(db, 'sms_records', 'starred_at_ms', 'INTEGER');
+        addColumn(db, 'sms_records', 'archived_at_ms', 'INTEGER');
+    }
+};
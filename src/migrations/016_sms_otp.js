@@ -0,0 +1,15 @@
+/**
+ * 短信验证码：接收短信中识别出的验证码 otp_code 和发送方服务名 otp_service，未识别时为 NULL。
+ * 升级前的短信不做回填，需要时可通过消息重放重新识别。
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '短信验证码识别',
+    up(db) {
+        addColumn(db, 'sms_records', 'otp_code', 'TEXT');
+        addColumn(db, 'sms_records', 'otp_service', 'TEXT');
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_records_otp ON sms_records(created_at_ms) WHERE otp_code IS NOT NULL');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * 长短信拼接：sms_segments 缓存尚未收齐的分段，data 为原始推送内容（JSON），
+ * ref 为开发板提供的拼接参考号，按时间窗口拼接的分段为 NULL；source_message_id、replay、suppress_push
+ * 保存分段的处理上下文，合并后沿用第一段的。
+ * sms_records.parts 为合并的分段数，parts_total 为拼接参数声明的总段数（没有时为 NULL）。
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '长短信分段拼接',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_segments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                slot INTEGER,
+                phone_num TEXT NOT NULL,
+                ref TEXT,
+                total INTEGER,
+                seq INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                source_message_id INTEGER,
+                replay INTEGER DEFAULT 0,
+                suppress_push INTEGER DEFAULT 0,
+                received_at_ms INTEGER NOT NULL
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_segments_group ON sms_segments(dev_id, slot, phone_num, ref)');
+        addColumn(db, 'sms_records', 'parts', 'INTEGER DEFAULT 1');
+        addColumn(db, 'sms_records', 'parts_total', 'INTEGER');
+    }
+};
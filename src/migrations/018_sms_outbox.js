@@ -0,0 +1,36 @@
+/**
+ * 短信发送队列：sms_outbox 保存待发送和已发送的短信及其状态，时间均为 UTC 毫秒。
+ * token 为 HTTP 通道使用的开发板管理 token，tid 为最近一次下发 sendsms 使用的事务ID。
+ */
+
+module.exports = {
+    description: '短信发送队列',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_outbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                slot INTEGER NOT NULL,
+                phone_num TEXT NOT NULL,
+                content TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'queued',
+                transport TEXT DEFAULT 'auto',
+                token TEXT,
+                tid TEXT,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER NOT NULL,
+                last_error TEXT,
+                created_by TEXT,
+                send_at_ms INTEGER NOT NULL,
+                next_attempt_at_ms INTEGER NOT NULL,
+                created_at_ms INTEGER NOT NULL,
+                updated_at_ms INTEGER NOT NULL,
+                accepted_at_ms INTEGER,
+                done_at_ms INTEGER,
+                confirmed_at_ms INTEGER
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_outbox_due ON sms_outbox(status, next_attempt_at_ms)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_outbox_tid ON sms_outbox(tid)');
+    }
+};
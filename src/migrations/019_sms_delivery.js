@@ -0,0 +1,22 @@
+/**
+ * 外发短信投递跟踪：sms_records.tid 为下发 sendsms 使用的事务ID，delivery_status 为外发短信的投递状态
+ * （sending、accepted、done、confirmed、failed，接收短信为 NULL），delivery_error 为失败原因，
+ * accepted_at_ms、done_at_ms、confirmed_at_ms 为收到 401、402、502 的时间（UTC 毫秒）。
+ * 升级前入库的外发短信都来自 502 推送，视为已确认。
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '外发短信投递跟踪',
+    up(db) {
+        addColumn(db, 'sms_records', 'tid', 'TEXT');
+        addColumn(db, 'sms_records', 'delivery_status', 'TEXT');
+        addColumn(db, 'sms_records', 'delivery_error', 'TEXT');
+        addColumn(db, 'sms_records', 'accepted_at_ms', 'INTEGER');
+        addColumn(db, 'sms_records', 'done_at_ms', 'INTEGER');
+        addColumn(db, 'sms_records', 'confirmed_at_ms', 'INTEGER');
+        db.run("UPDATE sms_records SET delivery_status = 'confirmed' WHERE direction = 'out' AND delivery_status IS NULL");
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_records_tid ON sms_records(tid)');
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * 短信群发：sms_campaigns 保存群发任务，pool 为参与发送的卡槽（JSON 数组 [{ devId, slot }]），
+ * rate_per_minute、daily_cap 为每张卡的发送速率和每日上限；sms_campaign_recipients 保存接收人、
+ * CSV 中的变量（JSON）和渲染后的内容，派发后 outbox_id 指向 sms_outbox 中的发送记录。时间均为 UTC 毫秒。
+ */
+
+module.exports = {
+    description: '短信群发',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_campaigns (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                template TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'running',
+                pool TEXT NOT NULL,
+                rate_per_minute INTEGER NOT NULL,
+                daily_cap INTEGER,
+                transport TEXT NOT NULL DEFAULT 'auto',
+                token TEXT,
+                created_by TEXT,
+                created_at_ms INTEGER NOT NULL,
+                updated_at_ms INTEGER NOT NULL,
+                finished_at_ms INTEGER
+            )
+        `);
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_campaign_recipients (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                campaign_id INTEGER NOT NULL,
+                row_number INTEGER NOT NULL,
+                phone_num TEXT NOT NULL,
+                variables TEXT NOT NULL,
+                content TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                dev_id TEXT,
+                slot INTEGER,
+                outbox_id INTEGER,
+                error TEXT,
+                dispatched_at_ms INTEGER
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign ON sms_campaign_recipients(campaign_id, status)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_campaign_recipients_sim ON sms_campaign_recipients(dev_id, slot, dispatched_at_ms)');
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * 短信自动回复：sms_auto_reply_rules 保存回复规则，dev_id/slot/sender_pattern/content_pattern 为空表示不限；
+ * sms_auto_reply_log 记录每次触发（已加入发送队列、冷却期内跳过或加入队列失败），时间均为 UTC 毫秒。
+ */
+
+module.exports = {
+    description: '短信自动回复',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_auto_reply_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                priority INTEGER NOT NULL DEFAULT 0,
+                dev_id TEXT,
+                slot INTEGER,
+                sender_pattern TEXT,
+                content_pattern TEXT,
+                reply TEXT NOT NULL,
+                cooldown_seconds INTEGER,
+                transport TEXT DEFAULT 'auto',
+                token TEXT,
+                created_by TEXT,
+                created_at_ms INTEGER NOT NULL,
+                updated_at_ms INTEGER NOT NULL
+            )
+        `);
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_auto_reply_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_id INTEGER NOT NULL,
+                dev_id TEXT NOT NULL,
+                slot INTEGER,
+                phone_num TEXT NOT NULL,
+                content TEXT,
+                reply TEXT NOT NULL,
+                status TEXT NOT NULL,
+                outbox_id INTEGER,
+                error TEXT,
+                created_at_ms INTEGER NOT NULL
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_auto_reply_log_sender ON sms_auto_reply_log(dev_id, slot, phone_num, created_at_ms)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_auto_reply_log_rule ON sms_auto_reply_log(rule_id, created_at_ms)');
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * 短信转发：sms_forward_rules 保存转发规则，dev_id/slot/sender_pattern/content_pattern 为收到短信的匹配条件（为空表示不限），
+ * target_* 为转发使用的设备卡槽和目标号码；sms_forward_log 按分段记录每次转发，时间均为 UTC 毫秒。
+ */
+
+module.exports = {
+    description: '短信转发',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_forward_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                dev_id TEXT,
+                slot INTEGER,
+                sender_pattern TEXT,
+                content_pattern TEXT,
+                target_dev_id TEXT NOT NULL,
+                target_slot INTEGER NOT NULL,
+                target_phone TEXT NOT NULL,
+                transport TEXT DEFAULT 'auto',
+                token TEXT,
+                created_by TEXT,
+                created_at_ms INTEGER NOT NULL,
+                updated_at_ms INTEGER NOT NULL
+            )
+        `);
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_forward_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_id INTEGER NOT NULL,
+                dev_id TEXT NOT NULL,
+                slot INTEGER,
+                phone_num TEXT NOT NULL,
+                target_dev_id TEXT NOT NULL,
+                target_slot INTEGER NOT NULL,
+                target_phone TEXT NOT NULL,
+                part INTEGER NOT NULL,
+                parts INTEGER NOT NULL,
+                content TEXT NOT NULL,
+                status TEXT NOT NULL,
+                outbox_id INTEGER,
+                error TEXT,
+                created_at_ms INTEGER NOT NULL
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_forward_log_rule ON sms_forward_log(rule_id, created_at_ms)');
+    }
+};
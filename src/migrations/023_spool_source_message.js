@@ -0,0 +1,12 @@
+/**
+ * 入站消息队列记录第一次处理时写入的 messages.id，重试时沿用，不再重复记录原始消息
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '入站消息队列关联原始消息',
+    up(db) {
+        addColumn(db, 'inbound_spool', 'source_message_id', 'INTEGER');
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * 发送队列关联下发时写入的外发短信记录，投递状态从该记录同步，重试时复用同一条记录
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '发送队列关联外发短信记录',
+    up(db) {
+        addColumn(db, 'sms_outbox', 'sms_record_id', 'INTEGER');
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_outbox_record ON sms_outbox(sms_record_id)');
+    }
+};
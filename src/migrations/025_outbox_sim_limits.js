@@ -0,0 +1,24 @@
+/**
+ * 发送队列按卡限速：sms_outbox 记录每条短信要求的每分钟条数和每日上限，
+ * sms_send_log 记录每次下发 sendsms 的卡槽和时间（UTC 毫秒），重试同样记录
+ */
+
+const { addColumn } = require('./utils');
+
+module.exports = {
+    description: '发送队列按卡限速与每日上限',
+    up(db) {
+        addColumn(db, 'sms_outbox', 'rate_per_minute', 'INTEGER');
+        addColumn(db, 'sms_outbox', 'daily_cap', 'INTEGER');
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_send_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dev_id TEXT NOT NULL,
+                slot INTEGER NOT NULL,
+                outbox_id INTEGER NOT NULL,
+                sent_at_ms INTEGER NOT NULL
+            )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_sms_send_log_sim ON sms_send_log(dev_id, slot, sent_at_ms)');
+    }
+};
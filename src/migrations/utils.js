@@ -0,0 +1,20 @@
+/**
+ * 迁移脚本共用的辅助函数，参数 db 为 sql.js 原生 Database（出错直接抛出，便于事务回滚）
+ */
+
+function hasColumn(db, table, column) {
+    const [result] = db.exec(`PRAGMA table_info(${table})`);
+    return Boolean(result && result.values.some(row => row[1] === column));
+}
+
+/**
+ * 字段不存在时添加。引入迁移之前的旧库可能已通过启动时探测加过该字段
+ * @returns {boolean} 是否实际添加
+ */
+function addColumn(db, table, column, definition) {
+    if (hasColumn(db, table, column)) return false;
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+module.exports = { hasColumn, addColumn };
@@ -0,0 +1,108 @@
+/**
+ * 数据库版本迁移
+ * src/migrations 下按 NNN_名称.js 编号的迁移模块按顺序各执行一次，每个迁移在独立事务中运行，
+ * 执行记录保存在 schema_migrations 表。数据库版本高于程序已知的最新迁移时拒绝启动。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{3})_[\w-]+\.js$/;
+
+/**
+ * 读取全部迁移模块，按版本号排序
+ * @returns {{ version: number, name: string, description: string, up: function }[]}
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => FILE_PATTERN.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            return {
+                version: parseInt(file.match(FILE_PATTERN)[1], 10),
+                name: path.basename(file, '.js'),
+                description: migration.description || '',
+                up: migration.up
+            };
+        });
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`迁移版本号重复: ${migrations[index - 1].name}, ${migration.name}`);
+        }
+    });
+    return migrations;
+}
+
+function queryRows(db, sql) {
+    const [result] = db.exec(sql);
+    if (!result) return [];
+    return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+}
+
+/**
+ * 已执行和待执行的迁移，不修改数据库
+ * @param {object} db - sql.js Database
+ */
+function getStatus(db) {
+    const migrations = loadMigrations();
+    const hasTable = queryRows(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").length > 0;
+    const applied = hasTable ? queryRows(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version') : [];
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const latestVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+    const currentVersion = applied.length ? applied[applied.length - 1].version : 0;
+
+    return {
+        currentVersion,
+        latestVersion,
+        upToDate: currentVersion >= latestVersion && migrations.every(migration => appliedVersions.has(migration.version)),
+        newerThanProgram: currentVersion > latestVersion,
+        applied,
+        pending: migrations
+            .filter(migration => !appliedVersions.has(migration.version))
+            .map(({ version, name, description }) => ({ version, name, description }))
+    };
+}
+
+/**
+ * 执行全部待执行的迁移
+ * @param {object} db - sql.js Database
+ * @returns {number} 本次执行的迁移数量；迁移失败或数据库版本过新时抛出异常
+ */
+function migrate(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT DEFAULT (datetime('now', 'localtime'))
+        )
+    `);
+
+    const status = getStatus(db);
+    if (status.newerThanProgram) {
+        throw new Error(`数据库版本 ${status.currentVersion} 高于程序支持的最新版本 ${status.latestVersion}，请升级程序后再启动`);
+    }
+
+    const migrations = loadMigrations();
+    for (const { version } of status.pending) {
+        const migration = migrations.find(item => item.version === version);
+        console.log(`[DB] 执行迁移 ${migration.name}: ${migration.description}`);
+        db.run('BEGIN');
+        try {
+            migration.up(db);
+            db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            db.run('COMMIT');
+        } catch (error) {
+            db.run('ROLLBACK');
+            throw new Error(`迁移 ${migration.name} 失败，已回滚: ${error.message}`);
+        }
+    }
+    return status.pending.length;
+}
+
+module.exports = {
+    loadMigrations,
+    getStatus,
+    migrate
+};
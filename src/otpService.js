@@ -0,0 +1,160 @@
+/**
+ * 短信验证码识别
+ * 接收短信入库前按规则提取验证码和发送方服务名（如【招商银行】、Your Google code），
+ * 规则先匹配 OTP_PATTERNS 中的自定义正则，再匹配内置的中英文模板。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+const { parseTimezone, withIsoTimes, toIsoString } = require('./timeUtils');
+
+// 第 1 个捕获组为验证码
+const DEFAULT_PATTERNS = [
+    /(?:验证码|校验码|动态码|动态密码|确认码|安全码|登录码)\s*(?:是|为)?\s*[:：]?\s*([A-Za-z0-9-]{4,8})(?![A-Za-z0-9])/,
+    /(?<![A-Za-z0-9])([A-Za-z0-9-]{4,8})\s*[（(]?\s*(?:是|为)?\s*(?:您|你)?的?\s*[\u4e00-\u9fa5]{0,8}(?:验证码|校验码|动态码|动态密码)/,
+    /(?:验证码|校验码|动态码|动态密码)[\s\S]{0,30}?(?<![A-Za-z0-9])(\d{4,8})(?![A-Za-z0-9])/,
+    /(?<![A-Za-z0-9])([A-Za-z0-9-]{4,8}) is your\b/i,
+    /\b(?:code|passcode|OTP|PIN)(?:\s+is)?\s*[:：]?\s*([A-Za-z0-9-]{4,8})(?![A-Za-z0-9])/i
+];
+
+// 第 1 个捕获组为服务名
+const SERVICE_PATTERNS = [
+    /^\s*[【\[]([^】\]]{1,20})[】\]]/,
+    /[【\[]([^】\]]{1,20})[】\]]\s*$/,
+    /\b[Yy]our ([A-Z][\w&.'-]*(?: [A-Z][\w&.'-]*){0,2}) (?:(?:verification|security|login|sign-in|one-time|confirmation) )?(?:code|OTP|passcode)\b/
+];
+
+let customPatterns = null;
+
+/**
+ * 解析 OTP_PATTERNS（JSON 字符串数组），无效的正则跳过并记录日志
+ */
+function loadCustomPatterns() {
+    if (customPatterns) return customPatterns;
+    customPatterns = [];
+    if (!config.otp.patterns) return customPatterns;
+    let sources;
+    try {
+        sources = JSON.parse(config.otp.patterns);
+        if (!Array.isArray(sources)) throw new Error('需为 JSON 字符串数组');
+    } catch (error) {
+        console.error('[OTP] OTP_PATTERNS 解析失败:', error.message);
+        return customPatterns;
+    }
+    for (const source of sources) {
+        try {
+            customPatterns.push(new RegExp(source, 'i'));
+        } catch (error) {
+            console.error(`[OTP] 忽略无效的验证码规则 ${source}:`, error.message);
+        }
+    }
+    return customPatterns;
+}
+
+function extractService(content) {
+    for (const pattern of SERVICE_PATTERNS) {
+        const match = content.match(pattern);
+        if (match) return match[1].trim();
+    }
+    return null;
+}
+
+/**
+ * 提取短信中的验证码
+ * 自定义规则用命名组 code、service 或第 1 个捕获组（没有捕获组时取整个匹配）；内置规则要求验证码含数字，避免把单词当成验证码
+ * @param {string} content - 短信内容
+ * @returns {{ code: string, service: string|null } | null}
+ */
+function extractOtp(content) {
+    const text = String(content || '');
+    if (!text) return null;
+
+    for (const pattern of loadCustomPatterns()) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        const code = match.groups?.code ?? match[1] ?? match[0];
+        if (code) return { code: code.trim(), service: match.groups?.service?.trim() || extractService(text) };
+    }
+    for (const pattern of DEFAULT_PATTERNS) {
+        const match = text.match(pattern);
+        if (match && /\d/.test(match[1])) return { code: match[1], service: extractService(text) };
+    }
+    return null;
+}
+
+/**
+ * 查询有效期内最新的验证码
+ * @param {object} filters - phone（发送方号码或接收卡号码，模糊匹配）、service（模糊匹配）、devId、slot
+ * @param {number|null} [timezone] - 查看者时区，未指定时按 SIM 卡时区输出时间
+ * @returns {object|null} 没有有效验证码时返回 null
+ */
+function latestOtp(filters = {}, timezone = null) {
+    const expirySeconds = config.otp.expirySeconds;
+    const since = Date.now() - expirySeconds * 1000;
+    const clauses = ["s.direction = 'in'", 's.otp_code IS NOT NULL', 's.created_at_ms >= ?'];
+    const params = [since];
+    if (filters.phone) {
+        clauses.push(`(s.phone_num LIKE ? OR EXISTS (
+            SELECT 1 FROM sim_cards c WHERE c.dev_id = s.dev_id AND c.slot = s.slot AND c.msisdn LIKE ?
+        ))`);
+        params.push(`%${filters.phone}%`, `%${filters.phone}%`);
+    }
+    if (filters.service) {
+        clauses.push('s.otp_service LIKE ?');
+        params.push(`%${filters.service}%`);
+    }
+    if (filters.devId) {
+        clauses.push('s.dev_id = ?');
+        params.push(filters.devId);
+    }
+    if (filters.slot) {
+        clauses.push('s.slot = ?');
+        params.push(parseInt(filters.slot, 10));
+    }
+
+    const record = db.prepare(`
+        SELECT s.* FROM sms_records s WHERE ${clauses.join(' AND ')}
+        ORDER BY s.created_at_ms DESC, s.id DESC LIMIT 1
+    `).get(...params);
+    if (!record) return null;
+
+    const withTimes = withIsoTimes(record, ['sms_time', 'created_at'], timezone);
+    return {
+        id: record.id,
+        code: record.otp_code,
+        service: record.otp_service,
+        dev_id: record.dev_id,
+        slot: record.slot,
+        phone_num: record.phone_num,
+        content: record.content,
+        sms_time: withTimes.sms_time,
+        received_at: withTimes.created_at,
+        expires_at: toIsoString(record.created_at_ms + expirySeconds * 1000, parseTimezone(timezone ?? record.timezone))
+    };
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/**
+ * GET /api/sms/otp/latest
+ * 有效期（OTP_EXPIRY_SECONDS）内收到的最新验证码，参数 phone、service、devId、slot、timezone
+ */
+router.get('/sms/otp/latest', (req, res) => {
+    try {
+        const otp = latestOtp(req.query, parseTimezone(req.query.timezone, null));
+        if (!otp) return res.status(404).json({ success: false, error: '没有有效期内的验证码' });
+        res.json({ success: true, data: otp });
+    } catch (error) {
+        console.error('[OTP] 查询验证码失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = {
+    extractOtp,
+    latestOtp,
+    router
+};
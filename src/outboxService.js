@@ -0,0 +1,354 @@
+/**
+ * 短信发送队列
+ * 短信先写入 sms_outbox，到 send_at 后由后台任务通过 sendsms 命令下发，状态依次为：
+ * queued（等待发送）→ sending（下发中）→ accepted（开发板已收到，401）→ done（开发板已处理，402）
+ * → confirmed（收到外发成功推送，502）。下发后的状态由 smsDelivery 按 tid 跟踪，队列只同步其结果：
+ * 设备离线、连接被拒绝或开发板返回错误时按退避间隔重新排队，超过重试次数为 failed；应答超时、
+ * 超时未收到 502 等无法确定是否已发出的直接标记为 failed，避免用新的 tid 重复发送，之后收到 502 时仍会确认。
+ * 带 rate_per_minute/daily_cap 的短信在下发时按卡槽的实际下发记录（含重试）限速，受限时推迟到可以发送的时间。
+ * 等待发送的短信可取消（cancelled），失败或已取消的可重新排队。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+const tcpGateway = require('./tcpGateway');
+const smsDelivery = require('./smsDelivery');
+const { sendCommandToDevice } = require('./deviceControl');
+const { calculateAdminToken } = require('./boardProtocol');
+const { DEFAULT_TIMEZONE, parseTimezone, parseWallClock, toEpochMs, toIsoString, formatDateTime, dayStart } = require('./timeUtils');
+
+const STATUSES = ['queued', 'sending', 'accepted', 'done', 'confirmed', 'failed', 'cancelled'];
+const IN_FLIGHT = ['sending', 'accepted', 'done'];
+const TIME_FIELDS = ['send_at', 'next_attempt_at', 'created_at', 'updated_at', 'accepted_at', 'done_at', 'confirmed_at'];
+const TID_PREFIX = 'outbox-';
+const POLL_INTERVAL_MS = 1000;
+const BATCH_SIZE = 20;
+const MAX_LIMIT = 200;
+// 下发记录只用于当天的上限统计，保留两天
+const SEND_LOG_RETENTION_MS = 2 * 24 * 3600 * 1000;
+
+let processing = false;
+let pollTimer = null;
+
+function retryDelayMs(attempts) {
+    return Math.min(config.outbox.retryBaseSeconds * 1000 * 2 ** (attempts - 1), 3600 * 1000);
+}
+
+/**
+ * 接口输出：时间转为 ISO-8601，不返回开发板 token
+ */
+function formatItem(row, timezone = null) {
+    const { token, ...item } = row;
+    const zone = parseTimezone(timezone);
+    for (const field of TIME_FIELDS) {
+        const ms = row[`${field}_ms`];
+        item[field] = ms === null || ms === undefined ? null : toIsoString(ms, zone);
+    }
+    return item;
+}
+
+function getItem(id) {
+    return db.prepare('SELECT * FROM sms_outbox WHERE id = ?').get(id);
+}
+
+/**
+ * 解析发送时间：秒/毫秒时间戳、带偏移的 ISO-8601，或按 timezone 解析的 YYYY-MM-DD HH:mm[:ss]
+ * @returns {number|null} 未指定时为当前时间，无法识别时返回 null
+ */
+function parseSendAt(value, timezone) {
+    if (value === undefined || value === null || value === '') return Date.now();
+    return parseWallClock(value, parseTimezone(timezone)) ?? toEpochMs(value);
+}
+
+/**
+ * 加入发送队列
+ * @param {object} input - devId、slot、phone、content、sendAt、timezone、token 或 adminUser/adminPassword、transport、maxAttempts，
+ *   以及该卡槽的限速 ratePerMinute、dailyCap
+ * @param {object} [actor] - 发起的账号（req.user）
+ * @returns {object} 新建的队列记录
+ */
+function enqueue(input, actor) {
+    const { devId, phone, content, transport = 'auto' } = input;
+    const slot = parseInt(input.slot, 10);
+    if (!devId) throw badRequest('缺少必要参数: devId');
+    if (![1, 2].includes(slot)) throw badRequest('无效的卡槽号(1或2)');
+    if (!phone || !content) throw badRequest('电话号码和内容不能为空');
+    if (!['auto', 'http', 'tcp'].includes(transport)) throw badRequest('transport 仅支持 auto、http、tcp');
+    const sendAt = parseSendAt(input.sendAt, input.timezone);
+    if (sendAt === null) throw badRequest('无效的发送时间 sendAt');
+    const token = input.token || (input.adminPassword ? calculateAdminToken(input.adminPassword, input.adminUser || 'admin') : null);
+    if (transport === 'http' && !token) throw badRequest('HTTP通道缺少必要参数: token 或 adminPassword');
+    const maxAttempts = Math.max(parseInt(input.maxAttempts, 10) || config.outbox.maxAttempts, 1);
+    const ratePerMinute = parseInt(input.ratePerMinute, 10) || null;
+    const dailyCap = parseInt(input.dailyCap, 10) || null;
+    if (ratePerMinute !== null && ratePerMinute < 0) throw badRequest('ratePerMinute 不能为负数');
+    if (dailyCap !== null && dailyCap < 0) throw badRequest('dailyCap 不能为负数');
+
+    const now = Date.now();
+    const result = db.prepare(`
+        INSERT INTO sms_outbox (dev_id, slot, phone_num, content, status, transport, token, max_attempts, rate_per_minute, daily_cap,
+            created_by, send_at_ms, next_attempt_at_ms, created_at_ms, updated_at_ms)
+        VALUES (?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        devId, slot, String(phone), String(content), transport, token, maxAttempts, ratePerMinute, dailyCap,
+        actor ? actor.username : null, sendAt, sendAt, now, now
+    );
+    scheduleProcessing();
+    return getItem(result.lastInsertRowid);
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * 本次下发失败：确定未发出且未超过重试次数时重新排队，否则标记为失败。tid 不是最近一次下发的忽略
+ * @param {boolean} [retryable] - 为 false 表示开发板可能已发出短信，不再自动重试
+ */
+function fail(item, tid, error, retryable = true) {
+    const retry = retryable && item.attempts < item.max_attempts;
+    const now = Date.now();
+    const changed = db.prepare(`
+        UPDATE sms_outbox SET status = ?, next_attempt_at_ms = ?, last_error = ?, updated_at_ms = ?
+        WHERE id = ? AND tid = ? AND status IN ('sending', 'accepted', 'done')
+    `).run(retry ? 'queued' : 'failed', retry ? now + retryDelayMs(item.attempts) : item.next_attempt_at_ms, error, now, item.id, tid).changes;
+    if (changed) console.warn(`[Outbox] 短信 #${item.id} 第 ${item.attempts} 次发送失败${retry ? '，稍后重试' : ''}: ${error}`);
+}
+
+/**
+ * 同步外发记录的投递状态：下发中的跟随推进，失败时按是否确定未发出决定重试；
+ * 已重新排队或结果未知而失败的短信收到 502 后同样改为已确认
+ */
+function syncDelivery(record, { retryable }) {
+    const item = db.prepare('SELECT * FROM sms_outbox WHERE sms_record_id = ?').get(record.id);
+    if (!item) return;
+    const status = record.delivery_status;
+    if (status === 'failed') return fail(item, record.tid, record.delivery_error, retryable);
+    const from = status === 'confirmed' ? [...IN_FLIGHT, 'queued', 'failed'] : IN_FLIGHT;
+    const changed = db.prepare(`
+        UPDATE sms_outbox SET status = ?, accepted_at_ms = ?, done_at_ms = ?, confirmed_at_ms = ?, last_error = NULL, updated_at_ms = ?
+        WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})
+    `).run(status, record.accepted_at_ms, record.done_at_ms, record.confirmed_at_ms, Date.now(), item.id, ...from).changes;
+    if (changed && status === 'confirmed') console.log(`[Outbox] 短信 #${item.id} 已确认外发成功`);
+}
+
+function isOffline(devId) {
+    const device = db.prepare('SELECT status FROM devices WHERE dev_id = ?').get(devId);
+    return !device || device.status === 'offline';
+}
+
+/**
+ * 卡槽的限速：与上一次下发的间隔不少于 60 / rate_per_minute 秒，当天（北京时间）下发次数未达 daily_cap。
+ * 按卡槽的所有下发记录统计，重试同样计数
+ * @returns {number|null} 受限时返回可以下发的时间
+ */
+function throttledUntil(item, now) {
+    if (item.rate_per_minute) {
+        const { last } = db.prepare('SELECT MAX(sent_at_ms) AS last FROM sms_send_log WHERE dev_id = ? AND slot = ?')
+            .get(item.dev_id, item.slot);
+        if (last && now < last + 60000 / item.rate_per_minute) return last + 60000 / item.rate_per_minute;
+    }
+    if (item.daily_cap) {
+        const today = formatDateTime(now, DEFAULT_TIMEZONE).slice(0, 10);
+        const { count } = db.prepare('SELECT COUNT(*) AS count FROM sms_send_log WHERE dev_id = ? AND slot = ? AND sent_at_ms >= ?')
+            .get(item.dev_id, item.slot, dayStart(today, DEFAULT_TIMEZONE));
+        if (count >= item.daily_cap) return dayStart(today, DEFAULT_TIMEZONE, true);
+    }
+    return null;
+}
+
+async function sendItem(item) {
+    const attempts = item.attempts + 1;
+    const tid = `${TID_PREFIX}${item.id}-${attempts}`;
+    // 只领取仍在等待的记录，期间被取消的不再发送
+    const claimed = db.prepare(`
+        UPDATE sms_outbox SET status = 'sending', attempts = ?, tid = ?, updated_at_ms = ? WHERE id = ? AND status = 'queued'
+    `).run(attempts, tid, Date.now(), item.id).changes;
+    if (!claimed) return;
+    if (!tcpGateway.isConnected(item.dev_id) && isOffline(item.dev_id)) return fail({ ...item, attempts }, tid, '设备离线');
+
+    // 重试时复用上一次的外发记录；下发结果和之后的 401/402/502 由 smsDelivery 更新，再经 syncDelivery 同步到队列
+    const params = { p1: item.slot, p2: item.phone_num, p3: item.content, tid };
+    const recordId = smsDelivery.recordSend(item.dev_id, params, item.sms_record_id);
+    db.prepare('UPDATE sms_outbox SET sms_record_id = ? WHERE id = ?').run(recordId, item.id);
+    db.prepare('INSERT INTO sms_send_log (dev_id, slot, outbox_id, sent_at_ms) VALUES (?, ?, ?, ?)')
+        .run(item.dev_id, item.slot, item.id, Date.now());
+    try {
+        await sendCommandToDevice(item.dev_id, item.token, 'sendsms', params, {
+            transport: item.transport,
+            actor: item.created_by ? { username: item.created_by } : undefined,
+            deliveryId: recordId
+        });
+    } catch {
+        // 错误已记录在外发记录中
+    }
+}
+
+/**
+ * 下发到期的短信，卡槽受限的推迟到可以发送的时间
+ */
+async function processDue() {
+    if (processing) return;
+    processing = true;
+    try {
+        const due = db.prepare(`
+            SELECT * FROM sms_outbox WHERE status = 'queued' AND next_attempt_at_ms <= ?
+            ORDER BY next_attempt_at_ms, id LIMIT ?
+        `).all(Date.now(), BATCH_SIZE);
+        for (const item of due) {
+            const until = throttledUntil(item, Date.now());
+            if (until) {
+                db.prepare("UPDATE sms_outbox SET next_attempt_at_ms = ? WHERE id = ? AND status = 'queued'").run(Math.ceil(until), item.id);
+            } else {
+                await sendItem(item);
+            }
+        }
+    } catch (error) {
+        console.error('[Outbox] 处理发送队列失败:', error);
+    } finally {
+        processing = false;
+    }
+}
+
+function poll() {
+    db.prepare('DELETE FROM sms_send_log WHERE sent_at_ms < ?').run(Date.now() - SEND_LOG_RETENTION_MS);
+    processDue();
+}
+
+function scheduleProcessing() {
+    setImmediate(processDue);
+}
+
+/**
+ * 查询队列
+ * @param {object} filters - status（可逗号分隔）、devId、page、limit
+ */
+function list(filters = {}, timezone = null) {
+    const clauses = ['1=1'];
+    const params = [];
+    const statuses = String(filters.status || '').split(',').map(status => status.trim()).filter(status => STATUSES.includes(status));
+    if (statuses.length > 0) {
+        clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    if (filters.devId) {
+        clauses.push('dev_id = ?');
+        params.push(filters.devId);
+    }
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_LIMIT);
+    const where = clauses.join(' AND ');
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM sms_outbox WHERE ${where}`).get(...params);
+    const rows = db.prepare(`
+        SELECT * FROM sms_outbox WHERE ${where}
+        ORDER BY send_at_ms DESC, id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, (page - 1) * limit);
+    return { data: rows.map(row => formatItem(row, timezone)), total, page, limit };
+}
+
+/**
+ * 取消等待发送的短信
+ * @returns {boolean} 记录不存在或已开始发送时返回 false
+ */
+function cancel(id) {
+    return db.prepare("UPDATE sms_outbox SET status = 'cancelled', updated_at_ms = ? WHERE id = ? AND status = 'queued'")
+        .run(Date.now(), id).changes > 0;
+}
+
+/**
+ * 失败或已取消的短信重新排队，重试次数清零
+ */
+function requeue(id) {
+    const now = Date.now();
+    const changed = db.prepare(`
+        UPDATE sms_outbox SET status = 'queued', attempts = 0, last_error = NULL, next_attempt_at_ms = ?, updated_at_ms = ?
+        WHERE id = ? AND status IN ('failed', 'cancelled')
+    `).run(now, now, id).changes > 0;
+    if (changed) scheduleProcessing();
+    return changed;
+}
+
+/**
+ * 启动后台发送。重启前正在下发的短信无法确定是否已发出，标记为失败，避免重复发送
+ */
+function start() {
+    const interrupted = db.prepare(`
+        UPDATE sms_outbox SET status = 'failed', last_error = '服务重启时正在下发，发送结果未知', updated_at_ms = ?
+        WHERE status = 'sending'
+    `).run(Date.now());
+    if (interrupted.changes > 0) console.warn(`[Outbox] ${interrupted.changes} 条短信因服务重启中断，已标记为失败`);
+    smsDelivery.onDeliveryUpdate(syncDelivery);
+    if (!pollTimer) pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    scheduleProcessing();
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/**
+ * GET /api/sms/outbox
+ * 发送队列，参数 status（可逗号分隔）、devId、page、limit、timezone
+ */
+router.get('/sms/outbox', (req, res) => {
+    try {
+        const result = list(req.query, parseTimezone(req.query.timezone, null));
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: { page: result.page, limit: result.limit, total: result.total }
+        });
+    } catch (error) {
+        console.error('[Outbox] 获取发送队列失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms/outbox
+ * 加入发送队列，sendAt 为空时立即发送
+ */
+router.post('/sms/outbox', (req, res) => {
+    try {
+        const item = enqueue(req.body, req.user);
+        res.json({ success: true, data: formatItem(item, parseTimezone(req.body.timezone, null)) });
+    } catch (error) {
+        if (!error.statusCode) console.error('[Outbox] 加入发送队列失败:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms/outbox/:id/cancel
+ * 取消等待发送的短信
+ */
+router.post('/sms/outbox/:id/cancel', (req, res) => {
+    const item = getItem(req.params.id);
+    if (!item) return res.status(404).json({ success: false, error: '记录不存在' });
+    if (!cancel(item.id)) return res.status(400).json({ success: false, error: `当前状态（${item.status}）不能取消，只能取消等待发送的短信` });
+    res.json({ success: true, data: formatItem(getItem(item.id)) });
+});
+
+/**
+ * POST /api/sms/outbox/:id/retry
+ * 失败或已取消的短信重新排队
+ */
+router.post('/sms/outbox/:id/retry', (req, res) => {
+    const item = getItem(req.params.id);
+    if (!item) return res.status(404).json({ success: false, error: '记录不存在' });
+    if (!requeue(item.id)) return res.status(400).json({ success: false, error: `当前状态（${item.status}）不能重新发送` });
+    res.json({ success: true, data: formatItem(getItem(item.id)) });
+});
+
+module.exports = {
+    enqueue,
+    list,
+    cancel,
+    requeue,
+    processDue,
+    start,
+    router
+};
@@ -124,6 +124,8 @@ class PushService {
         let content = '';
         let markdown = '';
         let feishuCard = null;
+        // 邮件中醒目显示的内容（如验证码）
+        let highlight = '';
 
         // 辅助函数：生成飞书卡片
         const createFeishuCard = (title, color, elements) => ({
@@ -136,19 +138,29 @@ class PushService {
                 const isSent = data.direction === 'out';
                 const actionTitle = isSent ? '短信外发成功' : '收到新短信';
                 const senderLabel = isSent ? '发送给' : '来自';
-                const cardColor = isSent ? 'green' : 'blue';
+                const cardColor = data.otp_code ? 'orange' : (isSent ? 'green' : 'blue');
+                // 验证码放在标题和正文最前面，通知预览中即可看到
+                const otpService = data.otp_service ? `（${data.otp_service}）` : '';
 
-                title = actionTitle;
-                content = `内容: ${data.content}\n\n${senderLabel}: ${data.phone_num}\n设备: ${devName}\n卡槽: ${slot}\n时间: ${time}`;
+                title = data.otp_code ? `${data.otp_service ? `${data.otp_service} ` : ''}验证码 ${data.otp_code}` : actionTitle;
+                content = `${data.otp_code ? `验证码: ${data.otp_code}${otpService}\n\n` : ''}内容: ${data.content}\n\n${senderLabel}: ${data.phone_num}\n设备: ${devName}\n卡槽: ${slot}\n时间: ${time}`;
                 
                 markdown = `### ${actionTitle}\n` +
+                           (data.otp_code ? `验证码: <font color="warning">**${data.otp_code}**</font>${otpService}\n` : '') +
                            `${senderLabel}: <font color="info">${data.phone_num}</font>\n` +
                            `内容: \n> ${data.content}\n\n` +
                            `<font color="comment">设备: ${devName}</font>\n` +
                            `<font color="comment">卡槽: ${slot}</font>\n` +
                            `<font color="comment">时间: ${time}</font>`;
                 
-                feishuCard = createFeishuCard(actionTitle, cardColor, [
+                feishuCard = createFeishuCard(title, cardColor, [
+                    ...(data.otp_code ? [{
+                        tag: 'div',
+                        text: {
+                            tag: 'lark_md',
+                            content: `**验证码**: <font color='red'>**${data.otp_code}**</font>${otpService}`
+                        }
+                    }] : []),
                     { 
                         tag: 'div', 
                         text: { 
@@ -171,6 +183,10 @@ class PushService {
                         ] 
                     }
                 ]);
+                if (data.otp_code) {
+                    highlight = `<div style="font-size: 13px; color: #64748b;">验证码${otpService}</div>` +
+                        `<div style="font-size: 32px; font-weight: bold; letter-spacing: 4px; color: #4f46e5; margin: 6px 0 16px;">${data.otp_code}</div>`;
+                }
                 break;
 
             case 'call':
@@ -272,6 +288,7 @@ class PushService {
                     <div style="background: #4f46e5; color: white; padding: 15px 20px;">
                     </div>
                     <div style="padding: 20px;">
+                        ${highlight}
                         <pre style="background: #f8fafc; padding: 15px; border-radius: 6px; font-family: sans-serif; white-space: pre-wrap; color: #334155; border: 1px solid #e2e8f0;">${content}</pre>
                     </div>
                     <div style="background: #f8fafc; padding: 10px 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e0e0e0;">
@@ -0,0 +1,66 @@
+/**
+ * 推送接口的 HMAC 签名校验，替代在查询参数中明文传递 API Key
+ *
+ * 请求头:
+ *   X-Timestamp  Unix 秒级时间戳
+ *   X-Nonce      每次请求唯一的随机串（8-128 位）
+ *   X-Signature  hex(HMAC-SHA256(secret, `${timestamp}.${nonce}.${body}`))
+ * POST 的 body 为原始请求体；GET 为 ? 之后的原始查询字符串。
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+// nonce -> 过期时间(ms)，只需保留到时间窗口结束，之后旧时间戳本身就会被拒绝
+const seenNonces = new Map();
+
+function signPush(secret, timestamp, nonce, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`).digest('hex');
+}
+
+function rememberNonce(nonce, now) {
+    for (const [value, expiresAt] of seenNonces) {
+        if (expiresAt > now) break;
+        seenNonces.delete(value);
+    }
+    seenNonces.set(nonce, now + config.apiKey.signatureWindowSeconds * 2000);
+}
+
+function signedPayload(req) {
+    if (req.method === 'GET') {
+        const index = req.originalUrl.indexOf('?');
+        return index === -1 ? '' : req.originalUrl.slice(index + 1);
+    }
+    return req.rawBody ? req.rawBody.toString('utf8') : '';
+}
+
+/**
+ * 校验签名推送
+ * @returns {string|null} 失败原因；校验通过返回 null
+ */
+function verifyPushSignature(req) {
+    const secret = config.apiKey.hmacSecret;
+    if (!secret) return '服务端未配置 API_HMAC_SECRET，不支持签名推送';
+
+    const timestamp = String(req.headers['x-timestamp'] || '');
+    const nonce = String(req.headers['x-nonce'] || '');
+    const signature = String(req.headers['x-signature'] || '').toLowerCase();
+    if (!/^\d{9,11}$/.test(timestamp)) return 'X-Timestamp 无效';
+    if (!/^[0-9A-Za-z_-]{8,128}$/.test(nonce)) return 'X-Nonce 无效';
+
+    const now = Date.now();
+    if (Math.abs(now / 1000 - Number(timestamp)) > config.apiKey.signatureWindowSeconds) return '签名已过期，请检查设备时间';
+
+    const expected = Buffer.from(signPush(secret, timestamp, nonce, signedPayload(req)));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return '签名校验失败';
+
+    if (seenNonces.has(nonce)) return 'X-Nonce 已使用，疑似重放请求';
+    rememberNonce(nonce, now);
+    return null;
+}
+
+module.exports = {
+    signPush,
+    verifyPushSignature
+};
@@ -160,17 +160,6 @@ function deleteByDevice(devId) {
     for (const row of rows) removeRecording(row);
 }
 
-function cleanupExpired() {
-    const days = config.recordings.retentionDays;
-    if (!days || days <= 0) return 0;
-    const threshold = new Date(Date.now() - days * 86400000).toISOString().replace('T', ' ').slice(0, 19);
-    const rows = db.prepare('SELECT * FROM recordings WHERE uploaded_at < ?').all(threshold);
-    let deleted = 0;
-    for (const row of rows) deleted += removeRecording(row);
-    if (deleted) console.log(`[Recording] 自动清理 ${deleted} 条过期录音`);
-    return deleted;
-}
-
 const router = express.Router();
 
 router.get('/', (req, res) => {
@@ -226,4 +215,4 @@ router.post('/batch-delete', (req, res) => {
     res.json({ success: true, deleted });
 });
 
-module.exports = { uploadAuth, receiveUpload, router, recordResult, deleteByDevice, cleanupExpired, recordingsDir };
+module.exports = { uploadAuth, receiveUpload, router, recordResult, removeRecording, deleteByDevice, recordingsDir };
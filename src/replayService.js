@@ -0,0 +1,127 @@
+/**
+ * 原始消息重放
+ * 将 messages 表中保存的 raw_data 重新交给 messageHandler，用于处理逻辑修复后重建 sms_records / call_records。
+ * 记录通过 source_message_id 关联原始消息，重放时原地更新而不会重复插入。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const { MESSAGE_TYPES, getMessageCategory } = require('./constants');
+const messageHandler = require('./messageHandler');
+const { dayStart, parseTimezone, toIsoString } = require('./timeUtils');
+
+// 只有短信和电话消息会生成记录；联网、SIM 等消息重放会把设备状态改回历史值
+const REPLAY_CATEGORIES = ['sms', 'call'];
+const MAX_LIMIT = 10000;
+
+function categoryTypes(category) {
+    return Object.entries(MESSAGE_TYPES)
+        .filter(([, info]) => info.category === category)
+        .map(([type]) => parseInt(type, 10));
+}
+
+/**
+ * 按筛选条件确定要重放的消息类型
+ * @returns {number[]} 类型列表；条件无效时抛出异常
+ */
+function resolveTypes({ type, msgCategory }) {
+    if (msgCategory) {
+        if (!REPLAY_CATEGORIES.includes(msgCategory)) throw new Error(`msgCategory 仅支持 ${REPLAY_CATEGORIES.join('、')}`);
+        return categoryTypes(msgCategory);
+    }
+    if (type !== undefined && type !== null && type !== '') {
+        const types = String(type).split(',').map(item => parseInt(item, 10));
+        const invalid = types.filter(item => !REPLAY_CATEGORIES.includes(getMessageCategory(item)));
+        if (invalid.length > 0) throw new Error(`消息类型 ${invalid.join(',')} 不支持重放，仅支持短信和电话消息`);
+        return types;
+    }
+    return REPLAY_CATEGORIES.flatMap(categoryTypes);
+}
+
+function selectMessages(filters) {
+    const types = resolveTypes(filters);
+    const clauses = [`type IN (${types.map(() => '?').join(',')})`];
+    const params = [...types];
+    if (filters.devId) {
+        clauses.push('dev_id = ?');
+        params.push(filters.devId);
+    }
+    if (filters.dateStart) {
+        clauses.push('created_at_ms >= ?');
+        params.push(dayStart(filters.dateStart, filters.timezone));
+    }
+    if (filters.dateEnd) {
+        clauses.push('created_at_ms < ?');
+        params.push(dayStart(filters.dateEnd, filters.timezone, true));
+    }
+    const where = clauses.join(' AND ');
+    const limit = Math.min(parseInt(filters.limit, 10) || 1000, MAX_LIMIT);
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM messages WHERE ${where}`).get(...params);
+    const rows = db.prepare(`SELECT id, dev_id, type, raw_data, created_at_ms FROM messages WHERE ${where} ORDER BY id LIMIT ?`)
+        .all(...params, limit);
+    return { rows, total };
+}
+
+/**
+ * 重放原始消息
+ * @param {object} filters - devId、type（可逗号分隔）、msgCategory、dateStart、dateEnd（按 timezone 划分，默认北京时间）、limit
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - 只计算每条消息将新增/更新的记录，不写入
+ * @param {boolean} [options.suppressPush] - 重放时不发送推送通知
+ */
+function replayMessages(filters, { dryRun = false, suppressPush = false } = {}) {
+    const { rows, total } = selectMessages(filters);
+    const summary = { matched: total, processed: 0, insert: 0, update: 0, unchanged: 0, failed: 0 };
+    const items = [];
+
+    for (const row of rows) {
+        const item = { messageId: row.id, devId: row.dev_id, type: row.type, createdAt: toIsoString(row.created_at_ms, parseTimezone(filters.timezone)) };
+        try {
+            const data = JSON.parse(row.raw_data);
+            const preview = messageHandler.previewReplay(row.type, data, row.id);
+            Object.assign(item, preview);
+            if (!dryRun) {
+                const result = messageHandler.handleMessage(data, { replay: true, sourceMessageId: row.id, suppressPush });
+                if (result && result.success === false) throw new Error(result.error || '消息处理失败');
+            }
+            summary[preview.action]++;
+        } catch (error) {
+            item.action = 'failed';
+            item.error = error.message;
+            summary.failed++;
+        }
+        summary.processed++;
+        items.push(item);
+    }
+
+    return { dryRun, suppressPush, summary, truncated: total > rows.length, items };
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/**
+ * POST /api/messages/replay
+ * 请求体 { devId, type, msgCategory, dateStart, dateEnd, timezone, limit, dryRun, suppressPush }
+ */
+router.post('/messages/replay', (req, res) => {
+    const body = req.body || {};
+    const dryRun = body.dryRun === true || body.dryRun === 'true';
+    const suppressPush = body.suppressPush === true || body.suppressPush === 'true';
+    let result;
+    try {
+        result = replayMessages(body, { dryRun, suppressPush });
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    const { summary } = result;
+    console.log(`[Replay] ${req.user ? req.user.username : '-'} ${dryRun ? '预演' : '执行'}重放 ${summary.processed}/${summary.matched} 条消息: ` +
+        `新增 ${summary.insert}, 更新 ${summary.update}, 无变化 ${summary.unchanged}, 失败 ${summary.failed}${suppressPush ? ' (不推送)' : ''}`);
+    res.json({ success: true, data: result });
+});
+
+module.exports = {
+    replayMessages,
+    router
+};
@@ -0,0 +1,192 @@
+/**
+ * 数据保留规则
+ * 按数据类型（短信收/发、通话记录、消息日志、各状态的录音）配置保留天数，可针对单个设备覆盖全局规则。
+ * 规则保存在 retention_rules 表，由数据库定期清理任务执行；没有全局规则时消息日志和录音沿用
+ * LOG_RETENTION_DAYS、RECORDING_RETENTION_DAYS。
+ */
+
+const express = require('express');
+const config = require('./config');
+const { dbWrapper: db, registerCleanupTask } = require('./database');
+const recordingService = require('./recordingService');
+
+// 过期阈值：短信、通话和消息日志按 UTC 毫秒时间戳比较，录音仍为服务器本地时间文本
+const EPOCH_NOW = { sql: '?', param: days => Date.now() - days * 86400000 };
+const LOCAL_NOW = { sql: "datetime('now', 'localtime', ?)", param: days => `-${days} days` };
+
+const TARGETS = {
+    sms_in: { label: '接收短信', table: 'sms_records', timeColumn: 'created_at_ms', now: EPOCH_NOW, filter: "direction = 'in'" },
+    sms_out: { label: '发送短信', table: 'sms_records', timeColumn: 'created_at_ms', now: EPOCH_NOW, filter: "direction = 'out'" },
+    calls: { label: '通话记录', table: 'call_records', timeColumn: 'created_at_ms', now: EPOCH_NOW },
+    messages: { label: '消息日志', table: 'messages', timeColumn: 'created_at_ms', now: EPOCH_NOW, defaultDays: () => config.log.retentionDays },
+    recordings_uploaded: { label: '录音（待确认）', table: 'recordings', timeColumn: 'uploaded_at', now: LOCAL_NOW, filter: "status = 'uploaded'", defaultDays: () => config.recordings.retentionDays },
+    recordings_confirmed: { label: '录音（已确认）', table: 'recordings', timeColumn: 'uploaded_at', now: LOCAL_NOW, filter: "status = 'confirmed'", defaultDays: () => config.recordings.retentionDays },
+    recordings_failed: { label: '录音（失败）', table: 'recordings', timeColumn: 'uploaded_at', now: LOCAL_NOW, filter: "status = 'failed'", defaultDays: () => config.recordings.retentionDays }
+};
+
+function listRules() {
+    return db.prepare('SELECT * FROM retention_rules ORDER BY target, dev_id').all();
+}
+
+/**
+ * 校验并规范化一条规则
+ * @returns {{ target: string, dev_id: string, days: number }} 格式错误时抛出异常
+ */
+function normalizeRule(input = {}) {
+    const target = String(input.target || '');
+    if (!TARGETS[target]) throw new Error(`不支持的数据类型: ${target || '(空)'}，可选 ${Object.keys(TARGETS).join('、')}`);
+    const days = Number(input.days);
+    if (!Number.isInteger(days) || days < 0) throw new Error('保留天数必须是非负整数，0 表示永久保留');
+    return { target, dev_id: String(input.devId ?? input.dev_id ?? '').trim(), days };
+}
+
+/**
+ * 根据规则生成每种数据类型的过期条件。设备规则只作用于该设备，全局规则作用于其余设备
+ * @param {object[]} rules - retention_rules 行
+ * @returns {{ target: string, where: string, params: any[] }[]} 不需要清理的类型不返回
+ */
+function buildPlan(rules) {
+    const plan = [];
+    for (const [target, definition] of Object.entries(TARGETS)) {
+        const targetRules = rules.filter(rule => rule.target === target);
+        const deviceRules = targetRules.filter(rule => rule.dev_id);
+        const globalRule = targetRules.find(rule => !rule.dev_id);
+        const globalDays = globalRule ? globalRule.days : (definition.defaultDays ? definition.defaultDays() : 0);
+
+        const expired = `${definition.timeColumn} < ${definition.now.sql}`;
+        const clauses = [];
+        const params = [];
+        for (const rule of deviceRules.filter(rule => rule.days > 0)) {
+            clauses.push(`(dev_id = ? AND ${expired})`);
+            params.push(rule.dev_id, definition.now.param(rule.days));
+        }
+        if (globalDays > 0) {
+            const excluded = deviceRules.map(rule => rule.dev_id);
+            clauses.push(excluded.length
+                ? `(dev_id NOT IN (${excluded.map(() => '?').join(', ')}) AND ${expired})`
+                : `(${expired})`);
+            params.push(...excluded, definition.now.param(globalDays));
+        }
+        if (!clauses.length) continue;
+
+        const where = `${definition.filter ? definition.filter + ' AND ' : ''}(${clauses.join(' OR ')})`;
+        plan.push({ target, where, params });
+    }
+    return plan;
+}
+
+/**
+ * 统计按规则将被删除的记录数
+ * @param {object[]} [rules] - 默认使用已保存的规则
+ * @returns {{ target: string, label: string, count: number }[]}
+ */
+function preview(rules = listRules()) {
+    const counts = new Map(buildPlan(rules).map(({ target, where, params }) => {
+        const row = db.prepare(`SELECT COUNT(*) AS count FROM ${TARGETS[target].table} WHERE ${where}`).get(...params);
+        return [target, row ? row.count : 0];
+    }));
+    return Object.entries(TARGETS).map(([target, definition]) => ({ target, label: definition.label, count: counts.get(target) || 0 }));
+}
+
+/**
+ * 按已保存的规则删除过期记录，录音同时删除文件
+ * @returns {object} 各数据类型删除的条数，没有删除时为空对象
+ */
+function applyRules() {
+    const deleted = {};
+    for (const { target, where, params } of buildPlan(listRules())) {
+        const { table } = TARGETS[target];
+        let changes = 0;
+        if (table === 'recordings') {
+            for (const row of db.prepare(`SELECT * FROM recordings WHERE ${where}`).all(...params)) {
+                changes += recordingService.removeRecording(row);
+            }
+        } else {
+            changes = db.prepare(`DELETE FROM ${table} WHERE ${where}`).run(...params).changes || 0;
+        }
+        if (changes > 0) deleted[target] = changes;
+    }
+    if (Object.keys(deleted).length > 0) {
+        console.log(`[Retention] 自动清理: ${Object.entries(deleted).map(([target, count]) => `${TARGETS[target].label} ${count} 条`).join('，')}`);
+    }
+    return deleted;
+}
+
+registerCleanupTask('保留规则', applyRules);
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/** GET /api/retention/rules - 规则列表、可配置的数据类型及其默认保留天数 */
+router.get('/retention/rules', (req, res) => {
+    res.json({
+        success: true,
+        data: listRules(),
+        targets: Object.entries(TARGETS).map(([target, definition]) => ({
+            target,
+            label: definition.label,
+            defaultDays: definition.defaultDays ? definition.defaultDays() : 0
+        }))
+    });
+});
+
+/**
+ * POST /api/retention/rules
+ * 新增或覆盖规则 { target, devId, days }，devId 为空表示全局规则
+ */
+router.post('/retention/rules', (req, res) => {
+    let rule;
+    try {
+        rule = normalizeRule(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    db.prepare(`
+        INSERT INTO retention_rules (target, dev_id, days) VALUES (?, ?, ?)
+        ON CONFLICT(target, dev_id) DO UPDATE SET days = excluded.days, updated_at = datetime('now', 'localtime')
+    `).run(rule.target, rule.dev_id, rule.days);
+    console.log(`[Retention] ${req.user ? req.user.username : '-'} 设置保留规则: ${TARGETS[rule.target].label} ${rule.dev_id || '全局'} ${rule.days || '永久'}${rule.days ? ' 天' : ''}`);
+    res.json({ success: true, data: db.prepare('SELECT * FROM retention_rules WHERE target = ? AND dev_id = ?').get(rule.target, rule.dev_id) });
+});
+
+/** DELETE /api/retention/rules/:id - 删除规则，该设备/类型恢复使用全局规则或默认值 */
+router.delete('/retention/rules/:id', (req, res) => {
+    const result = db.prepare('DELETE FROM retention_rules WHERE id = ?').run(parseInt(req.params.id, 10));
+    if (!result.changes) return res.status(404).json({ success: false, error: '规则不存在' });
+    res.json({ success: true });
+});
+
+/**
+ * POST /api/retention/preview
+ * 预览将被删除的记录数。请求体可带一条尚未保存的规则 { target, devId, days }，按保存后的效果统计
+ */
+router.post('/retention/preview', (req, res) => {
+    let rules = listRules();
+    if (req.body && req.body.target !== undefined) {
+        let candidate;
+        try {
+            candidate = normalizeRule(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        rules = rules.filter(rule => rule.target !== candidate.target || rule.dev_id !== candidate.dev_id).concat(candidate);
+    }
+    const data = preview(rules);
+    res.json({ success: true, data, total: data.reduce((sum, item) => sum + item.count, 0) });
+});
+
+/** POST /api/retention/run - 立即按已保存的规则清理 */
+router.post('/retention/run', (req, res) => {
+    const deleted = applyRules();
+    console.log(`[Retention] ${req.user ? req.user.username : '-'} 手动执行清理`);
+    res.json({ success: true, data: deleted });
+});
+
+module.exports = {
+    TARGETS,
+    buildPlan,
+    preview,
+    applyRules,
+    router
+};
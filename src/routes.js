@@ -5,152 +5,19 @@
 
 const express = require('express');
 const router = express.Router();
-const { dbWrapper: db } = require('./database');
+const { dbWrapper: db, getMigrationStatus } = require('./database');
 const { MESSAGE_TYPES } = require('./constants');
-const { decryptData } = require('./aesDecrypt');
-const config = require('./config');
 const pushService = require('./pushService');
 const { COMMANDS, calculateAdminToken, resolveCommand, mapCommandParams } = require('./boardProtocol');
 const recordingService = require('./recordingService');
 const tcpGateway = require('./tcpGateway');
+const { sendCommandToDevice } = require('./deviceControl');
+const smsSearch = require('./smsSearch');
+const { SMS_FLAGS, SMS_TIME_FIELDS, flagCondition, withSmsFlags, setSmsFlag } = require('./threadService');
+const { parseTimezone, dayStart, formatDateTime, withIsoTimes, localDateTime } = require('./timeUtils');
 
 // ==================== 设备控制指令 API ====================
 
-/**
- * 发送指令到设备
- * @param {string} deviceIp - 设备IP
- * @param {string} token - 认证token
- * @param {string} cmd - 命令名称
- * @param {object} params - 命令参数
- */
-async function sendCommandToDevice(deviceTarget, token, cmd, params = {}, options = {}) {
-    if (!deviceTarget || !cmd) {
-        throw new Error('缺少必要参数: deviceIp/devId, cmd');
-    }
-
-    const target = String(deviceTarget);
-    const transport = String(options.transport || 'auto').toLowerCase();
-    if (!['auto', 'http', 'tcp'].includes(transport)) throw new Error('transport 仅支持 auto、http、tcp');
-
-    if (transport !== 'http' && tcpGateway.isConnected(target)) {
-        return tcpGateway.sendCommand(target, cmd, params, {
-            timeout: options.timeout || config.tcp.commandTimeout
-        });
-    }
-    if (transport === 'tcp') {
-        const error = new Error(`设备 ${target} 当前没有可用的TCP连接`);
-        error.statusCode = 503;
-        throw error;
-    }
-
-    // 支持传入 devId 自动查找 IP
-    let targetIp = target;
-    // 简单判断：如果不包含点(.)且不包含冒号(:)，则视为设备ID，尝试从数据库查找IP
-    if (targetIp && !targetIp.includes('.') && !targetIp.includes(':')) {
-        const device = db.prepare('SELECT last_ip FROM devices WHERE dev_id = ?').get(targetIp);
-        if (device && device.last_ip) {
-            console.log(`[Control] 根据设备ID ${targetIp} 解析到 IP: ${device.last_ip}`);
-            targetIp = device.last_ip;
-        } else {
-            throw new Error(`未找到设备 ${targetIp} 的IP记录，请确保设备已上线`);
-        }
-    }
-    
-    if (!token) {
-        throw new Error('缺少必要参数: token');
-    }
-    
-    // 构建URL参数
-    const urlParams = new URLSearchParams();
-    urlParams.append('token', token);
-    urlParams.append('cmd', cmd);
-    
-    // 添加其他参数 (p1, p2, p3, tid等)
-    for (const [key, value] of Object.entries(params)) {
-        if (value !== undefined && value !== null && value !== '') {
-            urlParams.append(key, value);
-        }
-    }
-    
-    const url = `http://${targetIp}/ctrl?${urlParams.toString()}`;
-    console.log(`[Control] 通过HTTP发送 ${cmd} 指令到 ${targetIp}`);
-    
-    // 发送HTTP请求到设备
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), config.deviceControl.timeout);
-    
-    try {
-        const response = await fetch(url, {
-            method: 'GET',
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-        
-        const contentType = response.headers.get('content-type');
-        let result;
-        
-        if (contentType && contentType.includes('application/json')) {
-            result = await response.json();
-        } else {
-            result = await response.text();
-            // 尝试解析为JSON
-            try {
-                result = JSON.parse(result);
-            } catch (e) {
-                result = { raw: result };
-            }
-        }
-        
-        // 如果启用了AES加密，尝试解密设备响应
-        let decryptedResult = result;
-        if (config.aes.enabled && result) {
-            try {
-                // 如果是对象，尝试解密
-                if (typeof result === 'object' && result !== null) {
-                    decryptedResult = decryptData(result, config.aes);
-                    console.log(`[Control] 设备响应已解密:`, decryptedResult);
-                } else if (typeof result === 'string') {
-                    // 如果是字符串，可能是加密的Base64
-                    try {
-                        const temp = decryptData({ p: result }, config.aes);
-                        decryptedResult = temp;
-                        console.log(`[Control] 设备响应已解密:`, decryptedResult);
-                    } catch (e) {
-                        console.log(`[Control] 设备响应(未加密):`, result);
-                        decryptedResult = result;
-                    }
-                }
-            } catch (decryptError) {
-                console.warn(`[Control] 解密设备响应失败:`, decryptError.message);
-                console.log(`[Control] 设备响应(原始):`, result);
-                decryptedResult = result;
-            }
-        } else {
-            console.log(`[Control] 设备响应:`, result);
-        }
-        
-        const deviceCode = decryptedResult && typeof decryptedResult === 'object' && decryptedResult.code !== undefined
-            ? Number(decryptedResult.code)
-            : undefined;
-        const success = response.ok && (deviceCode === undefined || deviceCode === 0);
-        return {
-            success,
-            transport: 'http',
-            data: decryptedResult,
-            command: { cmd, params, target: targetIp },
-            httpStatus: response.status,
-            ...(success ? {} : { error: decryptedResult?.note || `开发板返回 code=${deviceCode ?? response.status}` })
-        };
-        
-    } catch (fetchError) {
-        clearTimeout(timeoutId);
-        if (fetchError.name === 'AbortError') {
-            throw new Error('设备请求超时，请检查设备IP是否正确，设备是否在线');
-        }
-        throw fetchError;
-    }
-}
-
 /**
  * POST /api/control/send
  * 向开发板发送控制指令
@@ -184,7 +51,7 @@ router.post('/control/send', async (req, res) => {
         const canonical = resolveCommand(cmd);
         if (!canonical) return res.status(400).json({ success: false, error: `不支持的开发板命令: ${cmd}` });
         const mapped = mapCommandParams(canonical, params);
-        const result = await sendCommandToDevice(target, effectiveToken, mapped.command, mapped.params, { transport, timeout });
+        const result = await sendCommandToDevice(target, effectiveToken, mapped.command, mapped.params, { transport, timeout, actor: req.user });
         res.json(result);
         
     } catch (error) {
@@ -228,7 +95,7 @@ router.post('/control/:command', async (req, res, next) => {
         }
 
         const mapped = mapCommandParams(command, req.body);
-        const result = await sendCommandToDevice(target, effectiveToken, mapped.command, mapped.params, { transport, timeout });
+        const result = await sendCommandToDevice(target, effectiveToken, mapped.command, mapped.params, { transport, timeout, actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(error.statusCode || 500).json({ success: false, error: error.message });
@@ -302,7 +169,7 @@ router.post('/control/chpwduser', async (req, res) => {
         if (!password || password.length < 4) {
             return res.status(400).json({ success: false, error: '密码长度不能少于4位' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'chpwduser', { p1: password });
+        const result = await sendCommandToDevice(deviceIp, token, 'chpwduser', { p1: password }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -318,7 +185,7 @@ router.post('/control/now', async (req, res) => {
         const { deviceIp, token, time, auto = 15, timezone = 8 } = req.body;
         const params = { p2: auto, p3: timezone };
         if (time) params.p1 = time;
-        const result = await sendCommandToDevice(deviceIp, token, 'now', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'now', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -332,7 +199,7 @@ router.post('/control/now', async (req, res) => {
 router.post('/control/stat', async (req, res) => {
     try {
         const { deviceIp, token } = req.body;
-        const result = await sendCommandToDevice(deviceIp, token, 'stat');
+        const result = await sendCommandToDevice(deviceIp, token, 'stat', {}, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -346,7 +213,7 @@ router.post('/control/stat', async (req, res) => {
 router.post('/control/restart', async (req, res) => {
     try {
         const { deviceIp, token } = req.body;
-        const result = await sendCommandToDevice(deviceIp, token, 'restart');
+        const result = await sendCommandToDevice(deviceIp, token, 'restart', {}, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -363,7 +230,7 @@ router.post('/control/pingsec', async (req, res) => {
         if (!seconds || seconds < 10) {
             return res.status(400).json({ success: false, error: '间隔秒数不能小于10' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'pingsec', { p1: seconds });
+        const result = await sendCommandToDevice(deviceIp, token, 'pingsec', { p1: seconds }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -380,7 +247,7 @@ router.post('/control/dailyrst', async (req, res) => {
         if (hour === undefined || hour < 0) {
             return res.status(400).json({ success: false, error: '无效的小时数' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'dailyrst', { p1: hour });
+        const result = await sendCommandToDevice(deviceIp, token, 'dailyrst', { p1: hour }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -399,7 +266,7 @@ router.post('/control/slotoff', async (req, res) => {
         if (![1, 2].includes(parseInt(slot))) {
             return res.status(400).json({ success: false, error: '无效的卡槽号(1或2)' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'slotoff', { p1: slot });
+        const result = await sendCommandToDevice(deviceIp, token, 'slotoff', { p1: slot }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -416,7 +283,7 @@ router.post('/control/slotrst', async (req, res) => {
         if (![1, 2].includes(parseInt(slot))) {
             return res.status(400).json({ success: false, error: '无效的卡槽号(1或2)' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'slotrst', { p1: slot });
+        const result = await sendCommandToDevice(deviceIp, token, 'slotrst', { p1: slot }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -433,7 +300,7 @@ router.post('/control/slotplmn', async (req, res) => {
         if (![1, 2].includes(parseInt(slot))) {
             return res.status(400).json({ success: false, error: '无效的卡槽号(1或2)' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'slotplmn', { p1: slot, p2: operatorCode || 0 });
+        const result = await sendCommandToDevice(deviceIp, token, 'slotplmn', { p1: slot, p2: operatorCode || 0 }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -452,7 +319,7 @@ router.post('/control/wf', async (req, res) => {
         if (!['on', 'off'].includes(action)) {
             return res.status(400).json({ success: false, error: '无效的动作(on或off)' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'wf', { p1: action });
+        const result = await sendCommandToDevice(deviceIp, token, 'wf', { p1: action }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -469,7 +336,7 @@ router.post('/control/addwf', async (req, res) => {
         if (!ssid || !password) {
             return res.status(400).json({ success: false, error: 'SSID和密码不能为空' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'addwf', { p1: ssid, p2: password });
+        const result = await sendCommandToDevice(deviceIp, token, 'addwf', { p1: ssid, p2: password }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -486,7 +353,7 @@ router.post('/control/delwf', async (req, res) => {
         if (!ssid) {
             return res.status(400).json({ success: false, error: 'SSID不能为空' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'delwf', { p1: ssid });
+        const result = await sendCommandToDevice(deviceIp, token, 'delwf', { p1: ssid }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -516,7 +383,7 @@ router.post('/control/sendsms', async (req, res) => {
             p2: phone, 
             p3: content,
             tid: tid
-        });
+        }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -532,7 +399,7 @@ router.post('/control/querysms', async (req, res) => {
         const { deviceIp, token, offset = 1, limit = 10, keyword } = req.body;
         const params = { p1: offset, p2: limit };
         if (keyword) params.p3 = keyword;
-        const result = await sendCommandToDevice(deviceIp, token, 'querysms', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'querysms', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -564,7 +431,7 @@ router.post('/control/teldial', async (req, res) => {
             p7: action
         };
         if (tid) params.tid = tid;
-        const result = await sendCommandToDevice(deviceIp, token, 'teldial', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'teldial', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -590,7 +457,7 @@ router.post('/control/telanswer', async (req, res) => {
             p6: action
         };
         if (tid) params.tid = tid;
-        const result = await sendCommandToDevice(deviceIp, token, 'telanswer', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'telanswer', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -609,7 +476,7 @@ router.post('/control/telhangup', async (req, res) => {
         }
         const params = { p1: slot };
         if (tid) params.tid = tid;
-        const result = await sendCommandToDevice(deviceIp, token, 'telhangup', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'telhangup', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -637,7 +504,7 @@ router.post('/control/telstarttts', async (req, res) => {
             p5: action
         };
         if (tid) params.tid = tid;
-        const result = await sendCommandToDevice(deviceIp, token, 'telstarttts', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'telstarttts', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -656,7 +523,7 @@ router.post('/control/telstoptts', async (req, res) => {
         }
         const params = { p1: slot, p2: action };
         if (tid) params.tid = tid;
-        const result = await sendCommandToDevice(deviceIp, token, 'telstoptts', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'telstoptts', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -683,7 +550,7 @@ router.post('/control/telkeypress', async (req, res) => {
             p4: interval
         };
         if (tid) params.tid = tid;
-        const result = await sendCommandToDevice(deviceIp, token, 'telkeypress', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'telkeypress', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -699,7 +566,7 @@ router.post('/control/querytel', async (req, res) => {
         const { deviceIp, token, offset = 1, limit = 10, type = 0, keyword } = req.body;
         const params = { p1: offset, p2: limit, p3: type };
         if (keyword) params.p4 = keyword;
-        const result = await sendCommandToDevice(deviceIp, token, 'querytel', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'querytel', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -718,7 +585,7 @@ router.post('/control/dailyota', async (req, res) => {
         if (hour === undefined || hour < 0) {
             return res.status(400).json({ success: false, error: '无效的小时数' });
         }
-        const result = await sendCommandToDevice(deviceIp, token, 'dailyota', { p1: hour });
+        const result = await sendCommandToDevice(deviceIp, token, 'dailyota', { p1: hour }, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -734,7 +601,7 @@ router.post('/control/otanow', async (req, res) => {
         const { deviceIp, token, tid } = req.body;
         const params = {};
         if (tid) params.tid = tid;
-        const result = await sendCommandToDevice(deviceIp, token, 'otanow', params);
+        const result = await sendCommandToDevice(deviceIp, token, 'otanow', params, { actor: req.user });
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -760,6 +627,20 @@ router.get('/control/token', (req, res) => {
 
 // ==================== 设备管理 API ====================
 
+/**
+ * 查看者时区：请求带 timezone 参数（小时）时按该时区输出时间，否则返回 null
+ */
+function viewerTimezone(req) {
+    return parseTimezone(req.query.timezone, null);
+}
+
+/**
+ * 记录的时间字段转为带偏移的 ISO-8601：指定查看者时区时按该时区，否则按记录所属 SIM 卡的时区
+ */
+function withRecordTimes(records, fields, timezone) {
+    return records.map(record => withIsoTimes(record, fields, timezone));
+}
+
 /**
  * GET /api/devices
  * 获取设备列表
@@ -779,15 +660,16 @@ router.get('/devices', (req, res) => {
             params.push(status);
         }
         
-        sql += ' ORDER BY last_seen_at DESC LIMIT ? OFFSET ?';
+        sql += ' ORDER BY last_seen_at_ms DESC LIMIT ? OFFSET ?';
         
         const devices = db.prepare(sql).all(...params, parseInt(limit), parseInt(offset));
         const { total } = db.prepare(countSql).get(...params);
         
         // 获取每个设备的SIM卡信息
+        const timezone = viewerTimezone(req);
         const devicesWithSim = devices.map(device => {
             const simCards = db.prepare('SELECT * FROM sim_cards WHERE dev_id = ?').all(device.dev_id);
-            return { ...device, sim_cards: simCards };
+            return { ...withIsoTimes(device, ['last_seen_at'], timezone), sim_cards: simCards };
         });
         
         res.json({
@@ -868,12 +750,11 @@ router.post('/devices/refresh', async (req, res) => {
             clearTimeout(timeoutId);
             
             // 设备响应，说明在线，更新最后在线时间
-            const now = new Date().toISOString();
             db.prepare(`
                 UPDATE devices 
-                SET status = 'online', last_seen_at = ?, updated_at = ?
+                SET status = 'online', last_seen_at_ms = ?, updated_at = ?
                 WHERE dev_id = ?
-            `).run(now, now, devId);
+            `).run(Date.now(), localDateTime(), devId);
             
             let result;
             try {
@@ -892,12 +773,11 @@ router.post('/devices/refresh', async (req, res) => {
             clearTimeout(timeoutId);
             
             // 设备无响应，标记为离线
-            const now = new Date().toISOString();
             db.prepare(`
                 UPDATE devices 
                 SET status = 'offline', updated_at = ?
                 WHERE dev_id = ?
-            `).run(now, devId);
+            `).run(localDateTime(), devId);
             
             res.json({
                 success: true,
@@ -947,12 +827,11 @@ router.post('/devices/refresh-all', async (req, res) => {
                 clearTimeout(timeoutId);
                 
                 // 在线
-                const now = new Date().toISOString();
                 db.prepare(`
                     UPDATE devices 
-                    SET status = 'online', last_seen_at = ?, updated_at = ?
+                    SET status = 'online', last_seen_at_ms = ?, updated_at = ?
                     WHERE dev_id = ?
-                `).run(now, now, device.dev_id);
+                `).run(Date.now(), localDateTime(), device.dev_id);
                 
                 return { devId: device.dev_id, status: 'online' };
                 
@@ -960,12 +839,11 @@ router.post('/devices/refresh-all', async (req, res) => {
                 clearTimeout(timeoutId);
                 
                 // 离线
-                const now = new Date().toISOString();
                 db.prepare(`
                     UPDATE devices 
                     SET status = 'offline', updated_at = ?
                     WHERE dev_id = ?
-                `).run(now, device.dev_id);
+                `).run(localDateTime(), device.dev_id);
                 
                 return { devId: device.dev_id, status: 'offline' };
             }
@@ -1009,7 +887,7 @@ router.get('/devices/:devId', (req, res) => {
         
         res.json({
             success: true,
-            data: { ...device, sim_cards: simCards }
+            data: { ...withIsoTimes(device, ['last_seen_at'], viewerTimezone(req)), sim_cards: simCards }
         });
     } catch (error) {
         console.error('[API] 获取设备详情失败:', error);
@@ -1035,7 +913,7 @@ router.post('/devices', (req, res) => {
             return res.status(400).json({ success: false, error: '设备ID已存在' });
         }
         
-        const now = new Date().toISOString();
+        const now = localDateTime();
         const stmt = db.prepare(`
             INSERT INTO devices (dev_id, name, last_ip, status, created_at, updated_at)
             VALUES (?, ?, ?, 'offline', ?, ?)
@@ -1091,6 +969,8 @@ router.delete('/devices/:devId', (req, res) => {
         db.prepare('DELETE FROM messages WHERE dev_id = ?').run(devId);
         db.prepare('DELETE FROM sms_records WHERE dev_id = ?').run(devId);
         db.prepare('DELETE FROM call_records WHERE dev_id = ?').run(devId);
+        db.prepare('DELETE FROM device_api_keys WHERE dev_id = ?').run(devId);
+        db.prepare('DELETE FROM retention_rules WHERE dev_id = ?').run(devId);
         recordingService.deleteByDevice(devId);
         
         const result = db.prepare('DELETE FROM devices WHERE dev_id = ?').run(devId);
@@ -1134,70 +1014,128 @@ router.post('/sms/batch-delete', (req, res) => {
     }
 });
 
+/**
+ * 批量设置短信状态的处理函数，请求体 { ids, [flag]: true|false }，省略时为设置
+ */
+function batchUpdateSmsFlag(flag) {
+    const { label } = SMS_FLAGS[flag];
+    return (req, res) => {
+        try {
+            const { ids } = req.body;
+            const value = req.body[flag] !== false;
+            
+            if (!ids || !Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({ success: false, error: '请提供要更新的记录ID' });
+            }
+            
+            const updated = setSmsFlag(flag, ids, value);
+            res.json({
+                success: true,
+                message: `成功${value ? '标记' : '取消'}${label} ${updated} 条记录`,
+                updated
+            });
+        } catch (error) {
+            console.error(`[API] 批量更新短信${label}状态失败:`, error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    };
+}
+
+/**
+ * POST /api/sms/batch-read
+ * 批量标记已读，{ read: false } 改回未读
+ */
+router.post('/sms/batch-read', batchUpdateSmsFlag('read'));
+
+/**
+ * POST /api/sms/batch-star
+ * 批量加星标，{ starred: false } 取消星标
+ */
+router.post('/sms/batch-star', batchUpdateSmsFlag('starred'));
+
+/**
+ * POST /api/sms/batch-archive
+ * 批量归档，{ archived: false } 取消归档
+ */
+router.post('/sms/batch-archive', batchUpdateSmsFlag('archived'));
+
 /**
  * GET /api/sms
- * 获取短信记录
+ * 获取短信记录，q 为内容关键词时按相关度排序并返回 score、snippet（高亮摘要）
+ * 时间字段为带偏移的 ISO-8601；timezone 参数同时决定 dateStart/dateEnd 按哪个时区划分日期（默认北京时间）
+ * read、starred、archived 为 1/0 时按已读、星标、归档状态筛选，省略则不限
+ * delivery 按外发短信的投递状态筛选，可逗号分隔多个，如 sending,accepted,done
  */
 router.get('/sms', (req, res) => {
     try {
-        const { devId, phoneNum, direction, dateStart, dateEnd, page = 1, limit = 50, export: exportType } = req.query;
+        const { devId, phoneNum, direction, dateStart, dateEnd, q, page = 1, limit = 50, export: exportType } = req.query;
         const offset = (page - 1) * limit;
+        const timezone = viewerTimezone(req);
         
-        let sql = 'SELECT * FROM sms_records WHERE 1=1';
-        let countSql = 'SELECT COUNT(*) as total FROM sms_records WHERE 1=1';
+        // 筛选条件同时用于普通列表和全文搜索
+        let where = '';
         const params = [];
         
         if (devId) {
-            sql += ' AND dev_id = ?';
-            countSql += ' AND dev_id = ?';
+            where += ' AND dev_id = ?';
             params.push(devId);
         }
         if (req.query.ids) {
             const ids = req.query.ids.split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
             if (ids.length > 0) {
                 const placeholders = ids.map(() => '?').join(',');
-                sql += ` AND id IN (${placeholders})`;
-                countSql += ` AND id IN (${placeholders})`;
+                where += ` AND id IN (${placeholders})`;
                 params.push(...ids);
             }
         }
         if (phoneNum) {
-            sql += ' AND phone_num LIKE ?';
-            countSql += ' AND phone_num LIKE ?';
+            where += ' AND phone_num LIKE ?';
             params.push(`%${phoneNum}%`);
         }
         if (direction) {
-            sql += ' AND direction = ?';
-            countSql += ' AND direction = ?';
+            where += ' AND direction = ?';
             params.push(direction);
         }
         if (req.query.slot) {
-            sql += ' AND slot = ?';
-            countSql += ' AND slot = ?';
+            where += ' AND slot = ?';
             params.push(req.query.slot);
         }
+        for (const flag of Object.keys(SMS_FLAGS)) {
+            const condition = flagCondition(flag, req.query[flag]);
+            if (condition) where += ` AND ${condition}`;
+        }
+        const deliveryStatuses = String(req.query.delivery || '').split(',').map(status => status.trim()).filter(Boolean);
+        if (deliveryStatuses.length > 0) {
+            where += ` AND delivery_status IN (${deliveryStatuses.map(() => '?').join(',')})`;
+            params.push(...deliveryStatuses);
+        }
         if (dateStart) {
-            // sms_time 已经是 YYYY-MM-DD HH:mm:ss 格式，直接截取日期比较
-            sql += ` AND DATE(sms_time) >= ?`;
-            countSql += ` AND DATE(sms_time) >= ?`;
-            params.push(dateStart);
+            where += ' AND sms_time_ms >= ?';
+            params.push(dayStart(dateStart, timezone));
         }
         if (dateEnd) {
-            sql += ` AND DATE(sms_time) <= ?`;
-            countSql += ` AND DATE(sms_time) <= ?`;
-            params.push(dateEnd);
+            where += ' AND sms_time_ms < ?';
+            params.push(dayStart(dateEnd, timezone, true));
         }
         
-        sql += ' ORDER BY created_at DESC';
-        
-        // 如果不是导出，则添加分页
-        if (exportType !== 'csv') {
-            sql += ' LIMIT ? OFFSET ?';
-            params.push(parseInt(limit), parseInt(offset));
+        let records;
+        let total;
+        // q 为内容关键词：按相关度排序，附带高亮摘要
+        const matches = q ? smsSearch.search(q, { where, params }) : null;
+        if (matches) {
+            total = matches.length;
+            records = exportType === 'csv' ? matches : matches.slice(offset, offset + parseInt(limit));
+        } else {
+            let sql = `SELECT * FROM sms_records WHERE 1=1${where} ORDER BY created_at_ms DESC, id DESC`;
+            const listParams = [...params];
+            // 如果不是导出，则添加分页
+            if (exportType !== 'csv') {
+                sql += ' LIMIT ? OFFSET ?';
+                listParams.push(parseInt(limit), parseInt(offset));
+            }
+            records = db.prepare(sql).all(...listParams);
         }
         
-        const records = db.prepare(sql).all(...params);
-        
         if (exportType === 'csv') {
             const headers = ['ID', '设备ID', '卡槽', '方向', '号码', '内容', '时间'];
             const csvContent = [
@@ -1209,7 +1147,7 @@ router.get('/sms', (req, res) => {
                     r.direction === 'in' ? '接收' : '发送',
                     r.phone_num,
                     `"${(r.content || '').replace(/"/g, '""')}"`,
-                    r.sms_time || r.created_at
+                    formatDateTime(r.sms_time_ms ?? r.created_at_ms, parseTimezone(timezone ?? r.timezone))
                 ].join(','))
             ].join('\n');
             
@@ -1218,11 +1156,13 @@ router.get('/sms', (req, res) => {
             return res.send('\uFEFF' + csvContent); // 添加BOM以支持Excel中文
         }
         
-        const { total } = db.prepare(countSql).get(...params.slice(0, params.length - 2)); // 去掉limit和offset参数
+        if (total === undefined) {
+            total = db.prepare(`SELECT COUNT(*) as total FROM sms_records WHERE 1=1${where}`).get(...params).total;
+        }
         
         res.json({
             success: true,
-            data: records,
+            data: withRecordTimes(records, SMS_TIME_FIELDS, timezone).map(withSmsFlags),
             pagination: { page: parseInt(page), limit: parseInt(limit), total }
         });
     } catch (error) {
@@ -1240,28 +1180,14 @@ router.get('/sms/latest-text', (req, res) => {
         const limit = parseInt(req.query.limit) || 2;
         const direction = req.query.direction || 'in';
         
-        let sql = 'SELECT * FROM sms_records WHERE direction = ? ORDER BY created_at DESC LIMIT ?';
+        const timezone = viewerTimezone(req);
+        
+        let sql = 'SELECT * FROM sms_records WHERE direction = ? ORDER BY created_at_ms DESC, id DESC LIMIT ?';
         const records = db.prepare(sql).all(direction, limit);
         
         const text = records.map(r => {
-            let timeStr = r.sms_time || r.created_at;
-            // 如果是时间戳（纯数字），转换为可读格式
-            if (timeStr && /^\d+$/.test(timeStr)) {
-                try {
-                    // 假设服务器是UTC时间，或者时间戳是UTC时间
-                    // 用户要求+8小时才是北京时间，说明当前输出的是UTC时间
-                    // 我们直接在UTC时间戳基础上加8小时，然后用UTC方法获取时间
-                    // 这样可以得到 "UTC+8" 的时间值
-                    const ts = parseInt(timeStr) * 1000;
-                    const date = new Date(ts + 8 * 3600 * 1000);
-                    
-                    const pad = n => n < 10 ? '0' + n : n;
-                    // 使用 getUTC* 方法，获取的是加上8小时后的时间
-                    timeStr = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
-                } catch (e) {
-                    // 转换失败则保持原样
-                }
-            }
+            // 按 SIM 卡所在时区（或 timezone 参数）显示本地时间
+            const timeStr = formatDateTime(r.sms_time_ms ?? r.created_at_ms, parseTimezone(timezone ?? r.timezone));
             return `来自: ${r.phone_num}\n时间: ${timeStr}\n内容: ${r.content}`;
         }).join('\n\n----------------\n\n');
         
@@ -1281,11 +1207,12 @@ router.get('/sms/:devId', (req, res) => {
         const { devId } = req.params;
         const { page = 1, limit = 50 } = req.query;
         const offset = (page - 1) * limit;
+        const timezone = viewerTimezone(req);
         
         const records = db.prepare(`
             SELECT * FROM sms_records 
             WHERE dev_id = ? 
-            ORDER BY created_at DESC 
+            ORDER BY created_at_ms DESC, id DESC 
             LIMIT ? OFFSET ?
         `).all(devId, parseInt(limit), parseInt(offset));
         
@@ -1293,7 +1220,7 @@ router.get('/sms/:devId', (req, res) => {
         
         res.json({
             success: true,
-            data: records,
+            data: withRecordTimes(records, SMS_TIME_FIELDS, timezone).map(withSmsFlags),
             pagination: { page: parseInt(page), limit: parseInt(limit), total }
         });
     } catch (error) {
@@ -1338,6 +1265,7 @@ router.get('/calls', (req, res) => {
     try {
         const { devId, phoneNum, callType, dateStart, dateEnd, page = 1, limit = 50, export: exportType } = req.query;
         const offset = (page - 1) * limit;
+        const timezone = viewerTimezone(req);
         
         let sql = 'SELECT * FROM call_records WHERE 1=1';
         let countSql = 'SELECT COUNT(*) as total FROM call_records WHERE 1=1';
@@ -1373,18 +1301,17 @@ router.get('/calls', (req, res) => {
             params.push(req.query.slot);
         }
         if (dateStart) {
-            // start_time 已经是 YYYY-MM-DD HH:mm:ss 格式，直接截取日期比较
-            sql += ` AND DATE(start_time) >= ?`;
-            countSql += ` AND DATE(start_time) >= ?`;
-            params.push(dateStart);
+            sql += ' AND start_time_ms >= ?';
+            countSql += ' AND start_time_ms >= ?';
+            params.push(dayStart(dateStart, timezone));
         }
         if (dateEnd) {
-            sql += ` AND DATE(start_time) <= ?`;
-            countSql += ` AND DATE(start_time) <= ?`;
-            params.push(dateEnd);
+            sql += ' AND start_time_ms < ?';
+            countSql += ' AND start_time_ms < ?';
+            params.push(dayStart(dateEnd, timezone, true));
         }
         
-        sql += ' ORDER BY created_at DESC';
+        sql += ' ORDER BY created_at_ms DESC, id DESC';
         
         if (exportType !== 'csv') {
             sql += ' LIMIT ? OFFSET ?';
@@ -1404,7 +1331,7 @@ router.get('/calls', (req, res) => {
                     r.msg_type,
                     r.call_type,
                     r.phone_num,
-                    r.start_time || r.created_at,
+                    formatDateTime(r.start_time_ms ?? r.created_at_ms, parseTimezone(timezone ?? r.timezone)),
                     r.duration
                 ].join(','))
             ].join('\n');
@@ -1418,7 +1345,7 @@ router.get('/calls', (req, res) => {
         
         res.json({
             success: true,
-            data: records,
+            data: withRecordTimes(records, ['start_time', 'created_at'], timezone),
             pagination: { page: parseInt(page), limit: parseInt(limit), total }
         });
     } catch (error) {
@@ -1463,10 +1390,10 @@ router.get('/messages', (req, res) => {
     try {
         const { devId, type, msgType, msgCategory, dateStart, dateEnd, page = 1, limit = 100, export: exportType } = req.query;
         const offset = (page - 1) * limit;
+        // 消息日志不区分卡槽，未指定 timezone 时按北京时间显示
+        const timezone = viewerTimezone(req);
         
-        // 修复时间显示问题：数据库存储的是UTC时间，查询时转换为UTC+8
-        // 注意：现在 created_at 已经是北京时间格式，不需要再转换
-        let sql = "SELECT id, dev_id, type, type_name, raw_data, created_at FROM messages WHERE 1=1";
+        let sql = "SELECT id, dev_id, type, type_name, raw_data, created_at, created_at_ms FROM messages WHERE 1=1";
         let countSql = 'SELECT COUNT(*) as total FROM messages WHERE 1=1';
         const params = [];
         
@@ -1508,17 +1435,17 @@ router.get('/messages', (req, res) => {
             }
         }
         if (dateStart) {
-            sql += " AND DATE(created_at) >= ?";
-            countSql += " AND DATE(created_at) >= ?";
-            params.push(dateStart);
+            sql += ' AND created_at_ms >= ?';
+            countSql += ' AND created_at_ms >= ?';
+            params.push(dayStart(dateStart, timezone));
         }
         if (dateEnd) {
-            sql += " AND DATE(created_at) <= ?";
-            countSql += " AND DATE(created_at) <= ?";
-            params.push(dateEnd);
+            sql += ' AND created_at_ms < ?';
+            countSql += ' AND created_at_ms < ?';
+            params.push(dayStart(dateEnd, timezone, true));
         }
         
-        sql += ' ORDER BY created_at DESC';
+        sql += ' ORDER BY created_at_ms DESC, id DESC';
         
         if (exportType !== 'csv') {
             sql += ' LIMIT ? OFFSET ?';
@@ -1537,7 +1464,7 @@ router.get('/messages', (req, res) => {
                     r.type,
                     r.type_name,
                     `"${(r.raw_data || '').replace(/"/g, '""')}"`,
-                    r.created_at
+                    formatDateTime(r.created_at_ms, parseTimezone(timezone))
                 ].join(','))
             ].join('\n');
             
@@ -1550,7 +1477,7 @@ router.get('/messages', (req, res) => {
         
         res.json({
             success: true,
-            data: records,
+            data: withRecordTimes(records, ['created_at'], timezone),
             pagination: { page: parseInt(page), limit: parseInt(limit), total }
         });
     } catch (error) {
@@ -1559,6 +1486,20 @@ router.get('/messages', (req, res) => {
     }
 });
 
+// ==================== 系统 API ====================
+
+/**
+ * GET /api/system/migrations
+ * 数据库版本及已执行、待执行的迁移
+ */
+router.get('/system/migrations', (req, res) => {
+    try {
+        res.json({ success: true, data: getMigrationStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ==================== 统计 API ====================
 
 /**
@@ -1570,18 +1511,18 @@ router.get('/stats', (req, res) => {
         const deviceCount = db.prepare('SELECT COUNT(*) as count FROM devices').get();
         const onlineCount = db.prepare("SELECT COUNT(*) as count FROM devices WHERE status = 'online'").get();
         const smsCount = db.prepare('SELECT COUNT(*) as count FROM sms_records').get();
+        const unreadByDevice = db.prepare(`
+            SELECT dev_id, SUM(${SMS_FLAGS.read.unset}) as unread
+            FROM sms_records GROUP BY dev_id ORDER BY dev_id
+        `).all();
         const callCount = db.prepare('SELECT COUNT(*) as count FROM call_records').get();
         const recordingCount = db.prepare("SELECT COUNT(*) as count FROM recordings WHERE stored_name != ''").get();
         
-        // 今日统计
-        const todaySms = db.prepare(`
-            SELECT COUNT(*) as count FROM sms_records 
-            WHERE date(created_at, '+8 hours') = date('now', '+8 hours')
-        `).get();
-        const todayCalls = db.prepare(`
-            SELECT COUNT(*) as count FROM call_records 
-            WHERE date(created_at, '+8 hours') = date('now', '+8 hours')
-        `).get();
+        // 今日统计，“今日”按 timezone 参数划分（默认北京时间）
+        const timezone = parseTimezone(req.query.timezone);
+        const todayStart = dayStart(formatDateTime(Date.now(), timezone).slice(0, 10), timezone);
+        const todaySms = db.prepare('SELECT COUNT(*) as count FROM sms_records WHERE created_at_ms >= ?').get(todayStart);
+        const todayCalls = db.prepare('SELECT COUNT(*) as count FROM call_records WHERE created_at_ms >= ?').get(todayStart);
         const todayRecordings = db.prepare(`
             SELECT COUNT(*) as count FROM recordings
             WHERE stored_name != '' AND date(uploaded_at) = date('now', 'localtime')
@@ -1597,7 +1538,9 @@ router.get('/stats', (req, res) => {
                 },
                 sms: {
                     total: smsCount.count,
-                    today: todaySms.count
+                    today: todaySms.count,
+                    unread: unreadByDevice.reduce((sum, row) => sum + row.unread, 0),
+                    unreadByDevice
                 },
                 calls: {
                     total: callCount.count,
@@ -0,0 +1,178 @@
+/**
+ * 长短信拼接
+ * 部分运营商的长短信会拆成多条 501 推送。推送带拼接参数（smsRef/smsTotal/smsSeq）时，
+ * 按设备、卡槽、号码和参考号缓存分段，收齐后按序号合并；没有拼接参数且开启了时间窗口时，长度恰好为单段
+ * 最大长度的短信视为未结束的分段，窗口期内同一号码的后续短信依次拼接，遇到不满长度的短信结束。
+ * 超过单段长度的短信说明开发板已自行合并，不再等待。
+ * 分段缓存在 sms_segments 中，重启后继续等待；超时未收齐的按已收到的部分合并。
+ */
+
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+
+// 单段的最大长度（已扣除拼接头）：GSM 7 位编码 153 个字符，UCS-2 编码 67 个字符
+const GSM_SEGMENT_LENGTH = 153;
+const UCS2_SEGMENT_LENGTH = 67;
+// 可见 ASCII 字符按 GSM 7 位编码计算，其余按 UCS-2 计算
+const GSM_TEXT = /^[\x20-\x7E\r\n]*$/;
+const FLUSH_INTERVAL_MS = 1000;
+
+const GROUP_WHERE = 'dev_id = ? AND slot IS ? AND phone_num = ? AND ref IS ?';
+
+let onAssembled = null;
+let flushTimer = null;
+
+/**
+ * 读取推送中的拼接参数，兼容 concatRef/concatTotal/concatSeq 写法
+ * @returns {{ ref: string, total: number, seq: number } | null} 没有或无效时返回 null
+ */
+function segmentInfo(data) {
+    const ref = data.smsRef ?? data.concatRef;
+    const total = parseInt(data.smsTotal ?? data.concatTotal, 10);
+    const seq = parseInt(data.smsSeq ?? data.concatSeq, 10);
+    if (ref === undefined || ref === null || ref === '' || !(total > 1) || !(seq >= 1 && seq <= total)) return null;
+    return { ref: String(ref), total, seq };
+}
+
+/**
+ * 内容长度是否恰好等于单段最大长度，即可能还有后续分段
+ */
+function isFullSegment(content) {
+    const text = String(content || '');
+    return text.length === (GSM_TEXT.test(text) ? GSM_SEGMENT_LENGTH : UCS2_SEGMENT_LENGTH);
+}
+
+function groupKey(data, ref) {
+    const slot = parseInt(data.slot, 10);
+    return {
+        devId: (data.devId || '').trim(),
+        slot: isNaN(slot) ? null : slot,
+        phoneNum: data.phoneNum || data.phNum || data.msIsdn || data.msisdn || 'unknown',
+        ref
+    };
+}
+
+function groupParams(key) {
+    return [key.devId, key.slot, key.phoneNum, key.ref];
+}
+
+function loadSegments(key) {
+    return db.prepare(`SELECT * FROM sms_segments WHERE ${GROUP_WHERE} ORDER BY seq, id`).all(...groupParams(key));
+}
+
+function saveSegment(key, total, seq, data, context) {
+    db.prepare(`
+        INSERT INTO sms_segments (dev_id, slot, phone_num, ref, total, seq, data, source_message_id, replay, suppress_push, received_at_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        ...groupParams(key), total, seq, JSON.stringify(data),
+        context.sourceMessageId || null, context.replay ? 1 : 0, context.suppressPush ? 1 : 0, Date.now()
+    );
+}
+
+/**
+ * 合并一组分段并移出缓存。合并后的推送内容和处理上下文沿用第一段，_parts/_partsTotal 记录分段数
+ * @returns {{ data: Object, context: Object }}
+ */
+function assemble(key, segments) {
+    db.prepare(`DELETE FROM sms_segments WHERE ${GROUP_WHERE}`).run(...groupParams(key));
+    const parts = segments.map(segment => JSON.parse(segment.data));
+    const first = segments[0];
+    return {
+        data: {
+            ...parts[0],
+            content: parts.map(part => part.content || part.smsBd || '').join(''),
+            _parts: segments.length,
+            _partsTotal: first.total
+        },
+        context: {
+            sourceMessageId: first.source_message_id,
+            replay: Boolean(first.replay),
+            suppressPush: Boolean(first.suppress_push)
+        }
+    };
+}
+
+function deliver(assembled) {
+    try {
+        if (onAssembled) onAssembled(assembled.data, assembled.context);
+    } catch (error) {
+        console.error('[SMS] 处理合并后的长短信失败:', error);
+    }
+}
+
+/**
+ * 收集一条接收短信
+ * @param {Object} data - 推送内容
+ * @param {Object} [context] - 处理上下文（sourceMessageId、replay、suppressPush）
+ * @returns {{ data: Object, context: Object } | null} 需要继续处理的短信（原样或合并后的），分段已缓存、等待后续分段时返回 null
+ */
+function collect(data, context = {}) {
+    if (data._parts) return { data, context };
+
+    const info = segmentInfo(data);
+    if (info) {
+        const key = groupKey(data, info.ref);
+        // 开发板重复推送的同一分段只保留一份
+        if (!loadSegments(key).some(segment => segment.seq === info.seq)) saveSegment(key, info.total, info.seq, data, context);
+        const segments = loadSegments(key);
+        if (segments.length < info.total) return null;
+        return assemble(key, segments);
+    }
+
+    const windowSeconds = config.smsConcat.windowSeconds;
+    if (!windowSeconds) return { data, context };
+    const key = groupKey(data, null);
+    let segments = loadSegments(key);
+    // 上一组已超出窗口但定时任务还未处理，先单独合并
+    if (segments.length > 0 && segments[segments.length - 1].received_at_ms < Date.now() - windowSeconds * 1000) {
+        deliver(assemble(key, segments));
+        segments = [];
+    }
+    const full = isFullSegment(data.content || data.smsBd);
+    if (segments.length === 0 && !full) return { data, context };
+
+    saveSegment(key, null, segments.length + 1, data, context);
+    if (full) return null;
+    return assemble(key, loadSegments(key));
+}
+
+/**
+ * 合并等待超时的分段：带参考号的从第一段起超过 timeoutSeconds，按时间窗口拼接的从最后一段起超过 windowSeconds
+ */
+function flushExpired() {
+    const now = Date.now();
+    const groups = db.prepare(`
+        SELECT dev_id, slot, phone_num, ref FROM sms_segments
+        GROUP BY dev_id, slot, phone_num, ref
+        HAVING (ref IS NOT NULL AND MIN(received_at_ms) <= ?) OR (ref IS NULL AND MAX(received_at_ms) <= ?)
+    `).all(now - config.smsConcat.timeoutSeconds * 1000, now - config.smsConcat.windowSeconds * 1000);
+
+    for (const group of groups) {
+        const key = { devId: group.dev_id, slot: group.slot, phoneNum: group.phone_num, ref: group.ref };
+        const segments = loadSegments(key);
+        if (segments.length === 0) continue;
+        if (key.ref !== null) {
+            console.warn(`[SMS] 长短信等待超时，按已收到的 ${segments.length}/${segments[0].total} 段合并: ${key.phoneNum}`);
+        }
+        deliver(assemble(key, segments));
+    }
+}
+
+/**
+ * 启动超时检查
+ * @param {(data: Object, context: Object) => void} handler - 处理合并后的短信
+ */
+function start(handler) {
+    onAssembled = handler;
+    flushExpired();
+    if (!flushTimer) flushTimer = setInterval(flushExpired, FLUSH_INTERVAL_MS);
+}
+
+module.exports = {
+    segmentInfo,
+    isFullSegment,
+    collect,
+    flushExpired,
+    start
+};
@@ -0,0 +1,219 @@
+/**
+ * 外发短信投递跟踪
+ * 下发 sendsms 时先写入一条待确认的外发记录（delivery_status=sending），以 tid 关联开发板的 401（已收到）、
+ * 402（已处理）应答和 502 外发成功推送，依次更新为 accepted、done、confirmed；
+ * 下发出错、开发板返回错误或超过 SMS_DELIVERY_TIMEOUT_SECONDS 未收到 502 时标记为 failed。
+ * 发送队列等调用方通过 onDeliveryUpdate 读取状态变化，不另行跟踪；重试时复用同一条外发记录。
+ */
+
+const { dbWrapper: db } = require('./database');
+const config = require('./config');
+const { DEFAULT_TIMEZONE } = require('./timeUtils');
+
+// 应答推进的状态及其时间列；已到达更后面状态的记录不回退
+const PROGRESS = {
+    accepted: { column: 'accepted_at_ms', from: ['sending'] },
+    done: { column: 'done_at_ms', from: ['sending', 'accepted'] },
+    confirmed: { column: 'confirmed_at_ms', from: ['sending', 'accepted', 'done'] }
+};
+const PENDING = ['sending', 'accepted', 'done'];
+const PENDING_SQL = `delivery_status IN (${PENDING.map(status => `'${status}'`).join(', ')})`;
+const EXPIRE_INTERVAL_MS = 1000;
+// 连接阶段的网络错误，命令确定没有送达开发板
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+let expireTimer = null;
+const listeners = [];
+
+/**
+ * 注册投递状态变化的回调，参数为更新后的外发记录和 { retryable }（失败时短信是否确定没有发出）
+ */
+function onDeliveryUpdate(listener) {
+    listeners.push(listener);
+}
+
+function notify(id, retryable = false) {
+    if (listeners.length === 0) return;
+    const record = db.prepare('SELECT * FROM sms_records WHERE id = ?').get(id);
+    for (const listener of listeners) {
+        try {
+            listener(record, { retryable });
+        } catch (error) {
+            console.error(`[SMS] 同步外发短信 #${id} 的投递状态失败:`, error);
+        }
+    }
+}
+
+/**
+ * 控制目标为 IP 时按 devices.last_ip 查找设备ID，开发板推送的 401/402/502 以设备ID标识
+ */
+function resolveDevId(target) {
+    const value = String(target);
+    if (!value.includes('.') && !value.includes(':')) return value;
+    const device = db.prepare('SELECT dev_id FROM devices WHERE last_ip = ?').get(value);
+    return device ? device.dev_id : value;
+}
+
+function slotTimezone(devId, slot) {
+    const simCard = db.prepare('SELECT timezone FROM sim_cards WHERE dev_id = ? AND slot = ? AND timezone IS NOT NULL').get(devId, slot);
+    return simCard ? simCard.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * 下发 sendsms 前写入待确认的外发记录
+ * @param {string} target - 设备ID或IP
+ * @param {object} params - sendsms 参数（p1 卡槽、p2 号码、p3 内容、tid）
+ * @param {number} [recordId] - 重试时复用的外发记录，仅已失败的记录可以复用
+ * @returns {number} sms_records.id
+ */
+function recordSend(target, params, recordId = null) {
+    const devId = resolveDevId(target);
+    let slot = parseInt(params.p1, 10);
+    if (isNaN(slot)) slot = null;
+    const now = Date.now();
+    if (recordId) {
+        const reused = db.prepare(`
+            UPDATE sms_records SET tid = ?, delivery_status = 'sending', delivery_error = NULL, accepted_at_ms = NULL, done_at_ms = NULL,
+                sms_time_ms = ?, created_at_ms = ?
+            WHERE id = ? AND direction = 'out' AND delivery_status = 'failed'
+        `).run(String(params.tid), now, now, recordId).changes;
+        if (reused) return recordId;
+    }
+    const result = db.prepare(`
+        INSERT INTO sms_records (dev_id, slot, phone_num, content, sms_time_ms, timezone, direction, tid, delivery_status, created_at_ms)
+        VALUES (?, ?, ?, ?, ?, ?, 'out', ?, 'sending', ?)
+    `).run(
+        devId, slot, String(params.p2 || 'unknown'), String(params.p3 || ''),
+        now, slotTimezone(devId, slot), String(params.tid), now
+    );
+    return result.lastInsertRowid;
+}
+
+/**
+ * 推进到开发板应答对应的状态
+ */
+function advance(id, status) {
+    const { column, from } = PROGRESS[status];
+    const changed = db.prepare(`
+        UPDATE sms_records SET delivery_status = ?, ${column} = ?, delivery_error = NULL
+        WHERE id = ? AND delivery_status IN (${from.map(() => '?').join(', ')})
+    `).run(status, Date.now(), id, ...from).changes > 0;
+    if (changed) notify(id);
+    return changed;
+}
+
+/**
+ * 标记投递失败，已确认或已失败的记录不变
+ * @param {boolean} [retryable] - 短信确定没有发出，调用方可以重新发送
+ */
+function fail(id, error, retryable = false) {
+    const changed = db.prepare(`UPDATE sms_records SET delivery_status = 'failed', delivery_error = ? WHERE id = ? AND ${PENDING_SQL}`)
+        .run(error, id).changes > 0;
+    if (changed) {
+        console.warn(`[SMS] 外发短信 #${id} 投递失败: ${error}`);
+        notify(id, retryable);
+    }
+    return changed;
+}
+
+/**
+ * 下发出错时命令是否确定没有送达开发板：设备离线、没有可用的 TCP 连接或连接被拒绝。
+ * 应答超时、连接中途断开等情况开发板可能已经发出短信
+ */
+function notDelivered(error) {
+    return Boolean(error.notDelivered) || error.statusCode === 503 || UNREACHABLE_CODES.includes(error.cause?.code || error.code);
+}
+
+/**
+ * 根据下发结果更新：TCP 通道在 401/402 应答时返回，HTTP 通道开发板收到请求即返回；
+ * 开发板明确返回错误时短信没有发出
+ */
+function trackResult(id, result) {
+    if (result.success) advance(id, result.final ? 'done' : 'accepted');
+    else fail(id, result.error || result.data?.note || `开发板返回 code=${result.data?.code}`, true);
+}
+
+/**
+ * 下发出错，无法确定是否已送达的注明发送结果未知
+ */
+function trackError(id, error) {
+    if (notDelivered(error)) fail(id, error.message, true);
+    else fail(id, `${error.message}，发送结果未知`);
+}
+
+/**
+ * 处理开发板的命令应答（401 已收到、402 已处理）
+ */
+function handleCommandAck(type, data) {
+    if (!data.tid) return;
+    const record = db.prepare(`SELECT id FROM sms_records WHERE tid = ? AND dev_id = ? AND ${PENDING_SQL}`)
+        .get(String(data.tid), data.devId);
+    if (!record) return;
+
+    const code = Number(data.code ?? 0);
+    if (code !== 0) fail(record.id, data.note || `开发板返回 code=${code}`, true);
+    else advance(record.id, type === 401 ? 'accepted' : 'done');
+}
+
+/**
+ * 查找 502 外发成功推送对应的待确认记录：优先按 tid 匹配，
+ * 没有 tid 时匹配同一设备、卡槽、号码和内容中最早一条未确认的
+ * @param {object} record - 由 502 推送生成的短信记录
+ */
+function findPending(record) {
+    if (record.tid) {
+        const linked = db.prepare(`SELECT * FROM sms_records WHERE tid = ? AND dev_id = ? AND direction = 'out' AND delivery_status != 'confirmed'`)
+            .get(record.tid, record.dev_id);
+        if (linked) return linked;
+    }
+    return db.prepare(`
+        SELECT * FROM sms_records
+        WHERE dev_id = ? AND slot IS ? AND phone_num = ? AND content = ? AND direction = 'out' AND ${PENDING_SQL}
+        ORDER BY id LIMIT 1
+    `).get(record.dev_id, record.slot, record.phone_num, record.content);
+}
+
+/**
+ * 用 502 推送的内容更新待确认记录并标记为已确认
+ * 超时已标记为失败的记录收到 502 后同样改为已确认
+ */
+function confirm(pending, record, context = {}) {
+    const values = { ...record, tid: record.tid || pending.tid, delivery_status: 'confirmed', delivery_error: null, confirmed_at_ms: Date.now() };
+    const columns = Object.keys(values);
+    const result = db.prepare(`UPDATE sms_records SET ${columns.map(column => `${column} = ?`).join(', ')}, source_message_id = ? WHERE id = ?`)
+        .run(...Object.values(values), context.sourceMessageId || pending.source_message_id, pending.id);
+    if (result.changes === 0) throw new Error(`更新外发短信 #${pending.id} 失败`);
+    console.log(`[SMS] 外发短信 #${pending.id} 已确认发送成功`);
+    notify(pending.id);
+}
+
+/**
+ * 超时未收到 502 的外发记录标记为失败，开发板可能已经发出
+ */
+function expirePending() {
+    const timeoutSeconds = config.smsDelivery.timeoutSeconds;
+    if (!timeoutSeconds) return;
+    const expired = db.prepare(`SELECT id FROM sms_records WHERE ${PENDING_SQL} AND created_at_ms <= ?`)
+        .all(Date.now() - timeoutSeconds * 1000);
+    for (const { id } of expired) fail(id, '等待外发结果超时，发送结果未知');
+}
+
+/**
+ * 启动超时检查
+ */
+function start() {
+    expirePending();
+    if (!expireTimer) expireTimer = setInterval(expirePending, EXPIRE_INTERVAL_MS);
+}
+
+module.exports = {
+    onDeliveryUpdate,
+    recordSend,
+    trackResult,
+    trackError,
+    handleCommandAck,
+    findPending,
+    confirm,
+    expirePending,
+    start
+};
@@ -0,0 +1,96 @@
+/**
+ * 短信规则的匹配条件（自动回复、短信转发共用）
+ * 规则的 dev_id、slot、sender_pattern、content_pattern 为空表示不限；sender_pattern 为逗号分隔的号码，
+ * * 匹配任意字符，content_pattern 为不区分大小写的正则。
+ */
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * 可选的整数参数，未提供或为空时返回 null，不是整数时返回 NaN
+ */
+function optionalInteger(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * 发件号码匹配：逗号分隔多个号码，* 匹配任意字符，例如 10086,1069*
+ * @returns {RegExp|null} 为空时返回 null（不限号码）
+ */
+function compileSenderPattern(pattern) {
+    const parts = String(pattern || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+    const alternatives = parts.map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*'));
+    return new RegExp(`^(?:${alternatives.join('|')})$`);
+}
+
+function compileContentPattern(pattern) {
+    return pattern ? new RegExp(pattern, 'i') : null;
+}
+
+/**
+ * 校验并规范化匹配条件，字段为接口入参的驼峰形式
+ * @returns {{ dev_id: string|null, slot: number|null, sender_pattern: string|null, content_pattern: string|null }}
+ */
+function normalizeFilters(input) {
+    const slot = optionalInteger(input.slot);
+    if (slot !== null && ![1, 2].includes(slot)) throw badRequest('无效的卡槽号(1或2)，留空表示不限');
+    const contentPattern = String(input.contentPattern || '').trim() || null;
+    try {
+        compileContentPattern(contentPattern);
+    } catch (error) {
+        throw badRequest(`内容正则无效: ${error.message}`);
+    }
+    return {
+        dev_id: String(input.devId || '').trim() || null,
+        slot,
+        sender_pattern: String(input.senderPattern || '').trim() || null,
+        content_pattern: contentPattern
+    };
+}
+
+/**
+ * 已保存的匹配条件转为接口入参形式
+ */
+function filterInput(row) {
+    return {
+        devId: row.dev_id,
+        slot: row.slot,
+        senderPattern: row.sender_pattern,
+        contentPattern: row.content_pattern
+    };
+}
+
+/**
+ * 规则是否匹配这条短信，正则在保存时已校验，运行时出错的规则视为不匹配
+ * @param {object} rule - 带匹配条件列的规则行
+ * @param {object} record - sms_records 字段
+ */
+function matchesRule(rule, record) {
+    if (rule.dev_id && rule.dev_id !== record.dev_id) return false;
+    if (rule.slot && rule.slot !== record.slot) return false;
+    try {
+        const sender = compileSenderPattern(rule.sender_pattern);
+        if (sender && !sender.test(record.phone_num)) return false;
+        const content = compileContentPattern(rule.content_pattern);
+        return !content || content.test(record.content || '');
+    } catch (error) {
+        console.error(`[Rules] 规则 #${rule.id} 匹配失败:`, error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    badRequest,
+    optionalInteger,
+    compileSenderPattern,
+    normalizeFilters,
+    filterInput,
+    matchesRule
+};
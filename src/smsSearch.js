@@ -0,0 +1,183 @@
+/**
+ * 短信内容全文搜索
+ * sql.js 内置的 FTS4 分词器不识别中文词边界，这里先在 JS 中分词再写入 sms_fts：
+ * 中日韩文字切成相邻二元组（每段末尾补一个单字），其他文字按字母数字连续串切分并转小写。
+ * 查询按同样规则切分，中文片段作为二元组短语匹配，结果按 BM25 排序并生成高亮摘要。
+ */
+
+const { dbWrapper: db, registerCleanupTask } = require('./database');
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const SEGMENT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}]+/gu;
+const SYNC_BATCH = 200;
+const SNIPPET_LENGTH = 60;
+
+/**
+ * 把文本切成中日韩片段和其他单词
+ * @returns {{ text: string, cjk: boolean }[]}
+ */
+function segments(text) {
+    return Array.from(String(text || '').matchAll(SEGMENT), match => {
+        const value = match[0];
+        return { text: CJK.test(value[0]) ? value : value.toLowerCase(), cjk: CJK.test(value[0]) };
+    });
+}
+
+function bigrams(text) {
+    const chars = Array.from(text);
+    const grams = [];
+    for (let i = 0; i < chars.length - 1; i++) grams.push(chars[i] + chars[i + 1]);
+    return grams;
+}
+
+/**
+ * 生成写入索引的词序列（空格分隔）
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const segment of segments(text)) {
+        if (!segment.cjk) {
+            tokens.push(segment.text);
+            continue;
+        }
+        // 末尾单字使单字查询（前缀匹配）能覆盖每个位置
+        tokens.push(...bigrams(segment.text), Array.from(segment.text).pop());
+    }
+    return tokens.join(' ');
+}
+
+/**
+ * 把用户输入转换为 FTS4 MATCH 表达式，各片段之间为“与”关系
+ * @returns {{ match: string, terms: string[] } | null} 没有可搜索的内容时返回 null
+ */
+function parseQuery(query) {
+    const parts = segments(query);
+    if (!parts.length) return null;
+    const match = parts.map(({ text, cjk }) => {
+        if (cjk && Array.from(text).length > 1) return `"${bigrams(text).join(' ')}"`;
+        // 单字和普通单词按前缀匹配，输入 "bank" 也能找到 "banking"
+        return `"${text}*"`;
+    }).join(' ');
+    return { match, terms: parts.map(part => part.text) };
+}
+
+/**
+ * 为触发器记录的待索引短信建立索引，搜索前和定期清理时调用
+ * @returns {number} 处理的短信数
+ */
+function syncIndex() {
+    const pending = db.prepare(`
+        SELECT p.sms_id AS id, s.content FROM sms_fts_pending p
+        LEFT JOIN sms_records s ON s.id = p.sms_id
+    `).all();
+    if (!pending.length) return 0;
+
+    db.transaction(() => {
+        for (let offset = 0; offset < pending.length; offset += SYNC_BATCH) {
+            const batch = pending.slice(offset, offset + SYNC_BATCH);
+            const placeholders = batch.map(() => '?').join(', ');
+            const ids = batch.map(row => row.id);
+            db.prepare(`DELETE FROM sms_fts WHERE docid IN (${placeholders})`).run(...ids);
+            const rows = batch.filter(row => row.content !== null && row.content !== undefined);
+            if (rows.length) {
+                db.prepare(`INSERT INTO sms_fts (docid, tokens) VALUES ${rows.map(() => '(?, ?)').join(', ')}`)
+                    .run(...rows.flatMap(row => [row.id, tokenize(row.content)]));
+            }
+            db.prepare(`DELETE FROM sms_fts_pending WHERE sms_id IN (${placeholders})`).run(...ids);
+        }
+    })();
+    return pending.length;
+}
+
+registerCleanupTask('短信索引', syncIndex);
+
+/**
+ * 由 matchinfo(sms_fts, 'pcnalx') 计算 BM25 分数，越大越相关
+ */
+function bm25(matchinfo, k1 = 1.2, b = 0.75) {
+    // 复制一份，保证按 4 字节对齐读取
+    const info = new Uint32Array(Uint8Array.from(matchinfo instanceof Uint8Array ? matchinfo : Object.values(matchinfo || {})).buffer);
+    const [phrases, columns, total] = info;
+    const avgLength = info[3] || 1;
+    const length = info[3 + columns];
+    const hitsBase = 3 + columns * 2;
+    let score = 0;
+    for (let phrase = 0; phrase < phrases; phrase++) {
+        const offset = hitsBase + phrase * columns * 3;
+        const hits = info[offset];
+        const docsWithHits = info[offset + 2];
+        const idf = Math.max(Math.log((total - docsWithHits + 0.5) / (docsWithHits + 0.5)), 0.01);
+        score += idf * hits * (k1 + 1) / (hits + k1 * (1 - b + b * length / avgLength));
+    }
+    return score;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * 截取第一个命中附近的内容，命中部分包在 <mark> 中，其余内容已做 HTML 转义
+ */
+function buildSnippet(content, terms) {
+    const text = String(content || '');
+    const lower = text.toLowerCase();
+    const ranges = [];
+    for (const term of terms) {
+        for (let index = lower.indexOf(term); index !== -1; index = lower.indexOf(term, index + term.length)) {
+            ranges.push([index, index + term.length]);
+        }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+    }
+
+    const first = merged.length ? merged[0][0] : 0;
+    const start = text.length <= SNIPPET_LENGTH ? 0 : Math.max(0, Math.min(first - 10, text.length - SNIPPET_LENGTH));
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    let html = start > 0 ? '…' : '';
+    let cursor = start;
+    for (const [from, to] of merged) {
+        if (to <= start || from >= end) continue;
+        html += escapeHtml(text.slice(cursor, Math.max(from, start)));
+        html += `<mark>${escapeHtml(text.slice(Math.max(from, start), Math.min(to, end)))}</mark>`;
+        cursor = Math.min(to, end);
+    }
+    html += escapeHtml(text.slice(cursor, end));
+    return end < text.length ? html + '…' : html;
+}
+
+/**
+ * 按内容搜索短信
+ * @param {string} query - 搜索词
+ * @param {object} filter - 其他筛选条件
+ * @param {string} filter.where - 附加在 WHERE 之后的条件（以 AND 开头，列名不加表前缀）
+ * @param {any[]} filter.params
+ * @returns {object[] | null} 按相关度排序的记录（附带 score、snippet）；没有可搜索的内容时返回 null
+ */
+function search(query, { where = '', params = [] } = {}) {
+    const parsed = parseQuery(query);
+    if (!parsed) return null;
+    syncIndex();
+
+    const rows = db.prepare(`
+        SELECT s.*, matchinfo(sms_fts, 'pcnalx') AS _matchinfo
+        FROM sms_fts JOIN sms_records s ON s.id = sms_fts.docid
+        WHERE sms_fts MATCH ? ${where}
+    `).all(parsed.match, ...params);
+
+    return rows
+        .map(({ _matchinfo, ...record }) => ({ ...record, score: Number(bm25(_matchinfo).toFixed(4)), snippet: buildSnippet(record.content, parsed.terms) }))
+        .sort((a, b) => b.score - a.score || (b.created_at_ms || 0) - (a.created_at_ms || 0) || b.id - a.id);
+}
+
+module.exports = {
+    tokenize,
+    parseQuery,
+    syncIndex,
+    search
+};
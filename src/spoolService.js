@@ -0,0 +1,272 @@
+/**
+ * 入站消息持久化队列
+ * 推送写入 inbound_spool，并追加到数据库文件旁的日志（<数据库文件>.spool）fdatasync 后再向开发板应答，
+ * 不必为每条推送导出整个数据库；并发推送的日志合并为一次写入。数据库文件保存后清空日志，
+ * 启动时把日志中尚未保存到数据库文件的消息补回队列。随后异步交给 messageHandler 处理。
+ * 处理抛出异常（包括写入数据库失败）时按指数退避重试，超过最大次数进入死信（dead），可通过 API 查看并重新处理。
+ * 第一次处理时记录的原始消息 id 保存在 source_message_id，重试时沿用，不重复写入消息日志。
+ */
+
+const fs = require('fs');
+const util = require('util');
+const express = require('express');
+const config = require('./config');
+const { dbWrapper: db, dbPath, onDatabaseSaved, saveDatabase } = require('./database');
+const messageHandler = require('./messageHandler');
+
+const STATUSES = ['pending', 'processing', 'dead'];
+const JOURNAL_PATH = `${dbPath}.spool`;
+const writeFile = util.promisify(fs.write);
+const datasync = util.promisify(fs.fdatasync);
+
+let processing = false;
+let retryTimer = null;
+let journalFd = null;
+let journalQueue = [];
+let journalWriting = false;
+
+/**
+ * 写入队列并等待追加日志落盘；写入失败时 reject，由开发板重新推送。
+ * 日志落盘前 next_attempt_at 为空，不会被处理，避免数据库文件中已删除的条目在日志里残留
+ * @param {object} data - normalizePushData 之后的消息
+ */
+async function enqueue(data) {
+    const entry = {
+        dev_id: data.devId ? String(data.devId) : null,
+        type: Number.isFinite(data.type) ? data.type : null,
+        transport: data._transport || null,
+        payload: JSON.stringify(data)
+    };
+    const result = db.prepare(`
+        INSERT INTO inbound_spool (dev_id, type, transport, payload, status, attempts, next_attempt_at)
+        VALUES (?, ?, ?, ?, 'pending', 0, NULL)
+    `).run(entry.dev_id, entry.type, entry.transport, entry.payload);
+    if (result.changes === 0) throw new Error('写入入站队列失败');
+    try {
+        await appendJournal({ id: result.lastInsertRowid, ...entry });
+    } catch (error) {
+        db.prepare('DELETE FROM inbound_spool WHERE id = ?').run(result.lastInsertRowid);
+        throw error;
+    }
+    db.prepare('UPDATE inbound_spool SET next_attempt_at = ? WHERE id = ?').run(Date.now(), result.lastInsertRowid);
+    scheduleProcessing();
+    return result;
+}
+
+// ==================== 追加日志 ====================
+
+function appendJournal(entry) {
+    return new Promise((resolve, reject) => {
+        journalQueue.push({ line: JSON.stringify(entry) + '\n', resolve, reject });
+        if (!journalWriting) writeJournal();
+    });
+}
+
+/**
+ * 把排队的日志行一次写入并 fdatasync，写入期间到达的推送在下一轮合并写入
+ */
+async function writeJournal() {
+    journalWriting = true;
+    while (journalQueue.length > 0) {
+        const batch = journalQueue;
+        journalQueue = [];
+        try {
+            await writeFile(journalFd, batch.map(item => item.line).join(''));
+            await datasync(journalFd);
+            batch.forEach(item => item.resolve());
+        } catch (error) {
+            console.error('[Spool] 写入追加日志失败:', error);
+            batch.forEach(item => item.reject(error));
+        }
+    }
+    journalWriting = false;
+}
+
+/**
+ * 数据库文件已包含此前入队的全部消息，清空日志。
+ * 正在写入的日志行会落在清空之后，对应的条目已在数据库文件中，恢复时按自增序号跳过
+ */
+function clearJournal() {
+    if (journalFd === null) return;
+    fs.ftruncateSync(journalFd, 0);
+    fs.fdatasyncSync(journalFd);
+}
+
+/**
+ * 把日志中尚未保存到数据库文件的消息补回队列：数据库文件中的自增序号之后的条目即为崩溃前已应答但未保存的
+ * @returns {number} 恢复的条数
+ */
+function recoverJournal() {
+    if (!fs.existsSync(JOURNAL_PATH)) return 0;
+    const sequence = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'inbound_spool'").get();
+    const saved = sequence ? sequence.seq : 0;
+    let recovered = 0;
+    for (const line of fs.readFileSync(JOURNAL_PATH, 'utf8').split('\n')) {
+        if (!line) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            // 崩溃时只写了一半的行，对应的推送没有应答，开发板会重新推送
+            continue;
+        }
+        if (!(entry.id > saved)) continue;
+        const result = db.prepare(`
+            INSERT OR IGNORE INTO inbound_spool (id, dev_id, type, transport, payload, status, attempts, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?, 'pending', 0, ?)
+        `).run(entry.id, entry.dev_id, entry.type, entry.transport, entry.payload, Date.now());
+        recovered += result.changes;
+    }
+    return recovered;
+}
+
+function scheduleProcessing() {
+    setImmediate(processPending);
+}
+
+function retryDelayMs(attempts) {
+    return Math.min(config.spool.retryBaseSeconds * 1000 * 2 ** (attempts - 1), 3600 * 1000);
+}
+
+/**
+ * 按入队顺序处理到期的消息
+ */
+function processPending() {
+    if (processing) return;
+    processing = true;
+    try {
+        const entries = db.prepare(`
+            SELECT * FROM inbound_spool
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY id LIMIT 100
+        `).all(Date.now());
+        entries.forEach(processEntry);
+    } finally {
+        processing = false;
+    }
+}
+
+function processEntry(entry) {
+    db.prepare("UPDATE inbound_spool SET status = 'processing', updated_at = datetime('now', 'localtime') WHERE id = ?").run(entry.id);
+    const attempts = entry.attempts + 1;
+    try {
+        const result = messageHandler.handleMessage(JSON.parse(entry.payload), {
+            sourceMessageId: entry.source_message_id,
+            onRecorded: id => db.prepare('UPDATE inbound_spool SET source_message_id = ? WHERE id = ?').run(id, entry.id)
+        });
+        if (result && result.success === false) {
+            // 数据本身无效，重试也不会成功，直接进入死信
+            return markFailed(entry, attempts, result.error || '消息处理失败', true);
+        }
+        db.prepare('DELETE FROM inbound_spool WHERE id = ?').run(entry.id);
+    } catch (error) {
+        console.error(`[Spool] 处理消息 #${entry.id} 失败 (第${attempts}次):`, error);
+        markFailed(entry, attempts, error.message, false);
+    }
+}
+
+function markFailed(entry, attempts, error, permanent) {
+    const dead = permanent || attempts >= config.spool.maxAttempts;
+    const delay = retryDelayMs(attempts);
+    db.prepare(`
+        UPDATE inbound_spool
+        SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = datetime('now', 'localtime')
+        WHERE id = ?
+    `).run(dead ? 'dead' : 'pending', attempts, String(error).slice(0, 500), dead ? null : Date.now() + delay, entry.id);
+    if (dead) {
+        console.warn(`[Spool] 消息 #${entry.id} 已进入死信队列: ${error}`);
+    } else if (delay < 5000) {
+        // 定时器每 5 秒扫描一次，更短的退避单独安排
+        setTimeout(processPending, delay);
+    }
+}
+
+/**
+ * 启动时恢复上次中断的消息，并定时处理到期的重试
+ */
+function start() {
+    const journaled = recoverJournal();
+    if (journaled > 0) console.log(`[Spool] 从追加日志恢复 ${journaled} 条未保存的消息`);
+    const recovered = db.prepare(`
+        UPDATE inbound_spool SET status = 'pending', next_attempt_at = ?
+        WHERE status = 'processing' OR (status = 'pending' AND next_attempt_at IS NULL)
+    `).run(Date.now());
+    if (recovered.changes > 0) console.log(`[Spool] 恢复 ${recovered.changes} 条未处理完成的消息`);
+    onDatabaseSaved(clearJournal);
+    journalFd = fs.openSync(JOURNAL_PATH, 'a');
+    // 恢复的消息写入数据库文件后才清空日志
+    if (journaled > 0) saveDatabase();
+    else clearJournal();
+    if (!retryTimer) retryTimer = setInterval(processPending, 5000);
+    scheduleProcessing();
+}
+
+function retry(where, params) {
+    const result = db.prepare(`
+        UPDATE inbound_spool
+        SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = datetime('now', 'localtime')
+        WHERE ${where}
+    `).run(Date.now(), ...params);
+    scheduleProcessing();
+    return result.changes;
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/** GET /api/spool - 队列统计及条目列表，可按 status、devId 筛选 */
+router.get('/spool', (req, res) => {
+    const { status, devId, page = 1, limit = 50 } = req.query;
+    const clauses = [];
+    const params = [];
+    if (status) {
+        if (!STATUSES.includes(status)) return res.status(400).json({ success: false, error: `status 仅支持 ${STATUSES.join('、')}` });
+        clauses.push('status = ?');
+        params.push(status);
+    }
+    if (devId) {
+        clauses.push('dev_id = ?');
+        params.push(devId);
+    }
+    const where = clauses.length ? ' WHERE ' + clauses.join(' AND ') : '';
+    const rows = db.prepare(`SELECT * FROM inbound_spool${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+        .all(...params, parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM inbound_spool${where}`).get(...params);
+    const counts = Object.fromEntries(STATUSES.map(name => [name, 0]));
+    db.prepare('SELECT status, COUNT(*) as count FROM inbound_spool GROUP BY status').all()
+        .forEach(row => { counts[row.status] = row.count; });
+
+    res.json({
+        success: true,
+        data: rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })),
+        counts,
+        pagination: { page: parseInt(page), limit: parseInt(limit), total }
+    });
+});
+
+/** POST /api/spool/retry-dead - 重新处理全部死信 */
+router.post('/spool/retry-dead', (req, res) => {
+    res.json({ success: true, data: { retried: retry("status = 'dead'", []) } });
+});
+
+/** POST /api/spool/:id/retry - 立即重新处理指定条目 */
+router.post('/spool/:id/retry', (req, res) => {
+    const retried = retry("id = ? AND status != 'processing'", [parseInt(req.params.id, 10)]);
+    if (retried === 0) return res.status(404).json({ success: false, error: '队列条目不存在' });
+    res.json({ success: true, data: { retried } });
+});
+
+/** DELETE /api/spool/:id - 丢弃条目 */
+router.delete('/spool/:id', (req, res) => {
+    const result = db.prepare("DELETE FROM inbound_spool WHERE id = ? AND status != 'processing'").run(parseInt(req.params.id, 10));
+    if (result.changes === 0) return res.status(404).json({ success: false, error: '队列条目不存在' });
+    res.json({ success: true });
+});
+
+module.exports = {
+    enqueue,
+    processPending,
+    start,
+    router
+};
@@ -0,0 +1,221 @@
+/**
+ * 短信会话与状态
+ * 按设备、卡槽和对方号码把 sms_records 归并为会话，收发消息按短信时间排列，用于聊天式查看。
+ * 回复通过远程控制的 sendsms 命令发出，开发板回报发送成功（502）后作为发出的短信进入同一会话。
+ * 每条短信另有已读、星标、归档三种状态，值为设置时间（UTC 毫秒），NULL 表示未设置；发出的短信始终视为已读。
+ */
+
+const express = require('express');
+const { dbWrapper: db } = require('./database');
+const { parseTimezone, withIsoTimes } = require('./timeUtils');
+
+// 会话内按短信时间排序，缺少短信时间的旧记录用入库时间
+const MESSAGE_TIME = 'COALESCE(sms_time_ms, created_at_ms)';
+const MAX_LIMIT = 200;
+// 短信接口输出为 ISO-8601 的时间字段，accepted_at、done_at、confirmed_at 为外发短信收到 401、402、502 的时间，
+// read_at、starred_at、archived_at 为标记已读、星标、归档的时间
+const SMS_TIME_FIELDS = ['sms_time', 'created_at', 'accepted_at', 'done_at', 'confirmed_at', 'read_at', 'starred_at', 'archived_at'];
+
+const SMS_FLAGS = {
+    read: { column: 'read_at_ms', label: '已读', set: "(direction = 'out' OR read_at_ms IS NOT NULL)", unset: "(direction = 'in' AND read_at_ms IS NULL)" },
+    starred: { column: 'starred_at_ms', label: '星标', set: 'starred_at_ms IS NOT NULL', unset: 'starred_at_ms IS NULL' },
+    archived: { column: 'archived_at_ms', label: '归档', set: 'archived_at_ms IS NOT NULL', unset: 'archived_at_ms IS NULL' }
+};
+
+/**
+ * 按状态筛选的 SQL 条件
+ * @param {string} flag - read、starred、archived
+ * @param {string} value - '1'/'true' 为已设置，'0'/'false' 为未设置
+ * @returns {string|null} 值无法识别时返回 null
+ */
+function flagCondition(flag, value) {
+    if (['1', 'true'].includes(String(value))) return SMS_FLAGS[flag].set;
+    if (['0', 'false'].includes(String(value))) return SMS_FLAGS[flag].unset;
+    return null;
+}
+
+/**
+ * 接口输出前附加 is_read、starred、archived 布尔字段
+ */
+function withSmsFlags(record) {
+    return {
+        ...record,
+        is_read: record.direction === 'out' || record.read_at_ms !== null,
+        starred: record.starred_at_ms !== null,
+        archived: record.archived_at_ms !== null
+    };
+}
+
+/**
+ * 批量设置或清除短信状态
+ * @param {string} flag - read、starred、archived
+ * @param {number[]} ids
+ * @param {boolean} value
+ * @returns {number} 状态发生变化的条数
+ */
+function setSmsFlag(flag, ids, value) {
+    const { column } = SMS_FLAGS[flag];
+    const placeholders = ids.map(() => '?').join(',');
+    // 已是目标状态的记录保持原设置时间
+    return db.prepare(`
+        UPDATE sms_records SET ${column} = ?
+        WHERE id IN (${placeholders}) AND ${column} IS ${value ? 'NULL' : 'NOT NULL'}
+    `).run(value ? Date.now() : null, ...ids).changes;
+}
+
+function pageOptions(query, defaultLimit) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_LIMIT);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+function lastMessage(thread) {
+    return db.prepare(`
+        SELECT * FROM sms_records WHERE dev_id = ? AND slot = ? AND phone_num = ?
+        ORDER BY ${MESSAGE_TIME} DESC, id DESC LIMIT 1
+    `).get(thread.dev_id, thread.slot, thread.phone_num);
+}
+
+/**
+ * 查询会话列表，按最后一条消息的时间倒序
+ * @param {object} filters - devId、slot、phoneNum（模糊匹配）、unread（只看有未读的会话）、page、limit
+ * @param {number|null} [timezone] - 查看者时区，未指定时按 SIM 卡时区输出时间
+ * @returns {{ data: object[], total: number, page: number, limit: number }}
+ */
+function listThreads(filters = {}, timezone = null) {
+    const clauses = ['1=1'];
+    const params = [];
+    if (filters.devId) {
+        clauses.push('dev_id = ?');
+        params.push(filters.devId);
+    }
+    if (filters.slot) {
+        clauses.push('slot = ?');
+        params.push(parseInt(filters.slot, 10));
+    }
+    if (filters.phoneNum) {
+        clauses.push('phone_num LIKE ?');
+        params.push(`%${filters.phoneNum}%`);
+    }
+    const having = filters.unread === '1' || filters.unread === 'true' || filters.unread === true ? 'HAVING unread > 0' : '';
+    const grouped = `
+        SELECT dev_id, slot, phone_num,
+            COUNT(*) AS total,
+            SUM(direction = 'in') AS inbound,
+            SUM(direction = 'out') AS outbound,
+            SUM(direction = 'in' AND read_at_ms IS NULL) AS unread,
+            MAX(${MESSAGE_TIME}) AS last_time
+        FROM sms_records WHERE ${clauses.join(' AND ')}
+        GROUP BY dev_id, slot, phone_num ${having}
+    `;
+    const { page, limit, offset } = pageOptions(filters, 50);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM (${grouped})`).get(...params);
+    const threads = db.prepare(`${grouped} ORDER BY last_time DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+
+    const data = threads.map(({ last_time, ...thread }) => ({
+        ...thread,
+        last_message: withSmsFlags(withIsoTimes(lastMessage(thread), SMS_TIME_FIELDS, timezone))
+    }));
+    return { data, total, page, limit };
+}
+
+/**
+ * 查询单个会话的消息。第 1 页为最新的消息，页内按时间正序排列，便于向上加载更早的消息
+ * @returns {{ thread: object, data: object[], total: number, page: number, limit: number } | null} 会话不存在时返回 null
+ */
+function getThread(devId, slot, phoneNum, query = {}, timezone = null) {
+    const key = [devId, parseInt(slot, 10), phoneNum];
+    const summary = db.prepare(`
+        SELECT dev_id, slot, phone_num,
+            COUNT(*) AS total,
+            SUM(direction = 'in') AS inbound,
+            SUM(direction = 'out') AS outbound,
+            SUM(direction = 'in' AND read_at_ms IS NULL) AS unread
+        FROM sms_records WHERE dev_id = ? AND slot = ? AND phone_num = ?
+    `).get(...key);
+    if (!summary || !summary.total) return null;
+
+    const { page, limit, offset } = pageOptions(query, 50);
+    const messages = db.prepare(`
+        SELECT * FROM sms_records WHERE dev_id = ? AND slot = ? AND phone_num = ?
+        ORDER BY ${MESSAGE_TIME} DESC, id DESC LIMIT ? OFFSET ?
+    `).all(...key, limit, offset);
+
+    return {
+        thread: summary,
+        data: messages.reverse().map(message => withSmsFlags(withIsoTimes(message, SMS_TIME_FIELDS, timezone))),
+        total: summary.total,
+        page,
+        limit
+    };
+}
+
+/**
+ * 把会话中的接收短信标记为已读
+ * @returns {number} 新标记的条数
+ */
+function markThreadRead(devId, slot, phoneNum) {
+    return db.prepare(`
+        UPDATE sms_records SET read_at_ms = ?
+        WHERE dev_id = ? AND slot = ? AND phone_num = ? AND direction = 'in' AND read_at_ms IS NULL
+    `).run(Date.now(), devId, parseInt(slot, 10), phoneNum).changes;
+}
+
+// ==================== 管理API ====================
+
+const router = express.Router();
+
+/**
+ * GET /api/sms/threads
+ * 会话列表，参数 devId、slot、phoneNum、unread、page、limit、timezone
+ */
+router.get('/sms/threads', (req, res) => {
+    try {
+        const result = listThreads(req.query, parseTimezone(req.query.timezone, null));
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: { page: result.page, limit: result.limit, total: result.total }
+        });
+    } catch (error) {
+        console.error('[Threads] 获取会话列表失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/sms/threads/:devId/:slot/:phone
+ * 会话详情，分页同 getThread
+ */
+router.get('/sms/threads/:devId/:slot/:phone', (req, res) => {
+    const { devId, slot, phone } = req.params;
+    const result = getThread(devId, slot, phone, req.query, parseTimezone(req.query.timezone, null));
+    if (!result) return res.status(404).json({ success: false, error: '会话不存在' });
+    res.json({
+        success: true,
+        thread: result.thread,
+        data: result.data,
+        pagination: { page: result.page, limit: result.limit, total: result.total }
+    });
+});
+
+/**
+ * POST /api/sms/threads/:devId/:slot/:phone/read
+ * 标记会话已读
+ */
+router.post('/sms/threads/:devId/:slot/:phone/read', (req, res) => {
+    const { devId, slot, phone } = req.params;
+    res.json({ success: true, updated: markThreadRead(devId, slot, phone) });
+});
+
+module.exports = {
+    SMS_FLAGS,
+    SMS_TIME_FIELDS,
+    flagCondition,
+    withSmsFlags,
+    setSmsFlag,
+    listThreads,
+    getThread,
+    markThreadRead,
+    router
+};
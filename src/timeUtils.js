@@ -0,0 +1,132 @@
+/**
+ * 时间工具
+ * 短信、通话、消息日志和设备在线时间统一以 UTC 毫秒时间戳（*_ms 列）保存，
+ * 接口输出时再按 SIM 卡时区或查看者时区转换为带偏移的 ISO-8601 字符串。
+ */
+
+// 未配置时区时使用北京时间
+const DEFAULT_TIMEZONE = 8;
+const HOUR = 3600000;
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * 解析时区（小时，可为 5.5 这类半时区），无效时返回 fallback
+ */
+function parseTimezone(value, fallback = DEFAULT_TIMEZONE) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const timezone = Number(value);
+    return Number.isFinite(timezone) && timezone >= -12 && timezone <= 14 ? timezone : fallback;
+}
+
+/**
+ * 秒/毫秒时间戳或带时区的时间字符串转为毫秒时间戳，无法识别时返回 null
+ */
+function toEpochMs(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        const timestamp = Number(value);
+        return timestamp < 10000000000 ? timestamp * 1000 : timestamp;
+    }
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * 把 YYYY-MM-DD HH:mm:ss 形式的本地时间按给定时区解析为毫秒时间戳
+ * @returns {number|null}
+ */
+function parseWallClock(text, timezone = DEFAULT_TIMEZONE) {
+    const match = WALL_CLOCK.exec(String(text || '').trim());
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match.map(value => Number(value || 0));
+    return Date.UTC(year, month - 1, day, hour, minute, second) - timezone * HOUR;
+}
+
+/**
+ * 开发板上报的时间戳是把 SIM 卡所在地的本地时间当作北京时间编码的，
+ * 按卡槽时区换算回真实的 UTC 时间；没有时间时使用当前时间
+ * @param {number|string} value - 秒/毫秒时间戳或时间字符串
+ * @param {number} timezone - 卡槽时区
+ */
+function deviceTimeToEpoch(value, timezone = DEFAULT_TIMEZONE) {
+    if (typeof value === 'string' && WALL_CLOCK.test(value.trim())) {
+        return parseWallClock(value, timezone);
+    }
+    const timestamp = toEpochMs(value);
+    if (timestamp === null) return Date.now();
+    return timestamp + (DEFAULT_TIMEZONE - Number(timezone)) * HOUR;
+}
+
+function offsetText(timezone) {
+    const minutes = Math.round(timezone * 60);
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * 毫秒时间戳转为给定时区的本地时间 YYYY-MM-DD HH:mm:ss
+ */
+function formatDateTime(ms, timezone = DEFAULT_TIMEZONE) {
+    if (ms === undefined || ms === null) return '';
+    const date = new Date(Number(ms) + timezone * HOUR);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+}
+
+/**
+ * 毫秒时间戳转为带偏移的 ISO-8601 字符串，如 2025-12-11T07:40:10+08:00
+ */
+function toIsoString(ms, timezone = DEFAULT_TIMEZONE) {
+    if (ms === undefined || ms === null) return null;
+    return formatDateTime(ms, timezone).replace(' ', 'T') + offsetText(timezone);
+}
+
+/**
+ * 按日期筛选时某一天在给定时区内的起始时间戳
+ * @param {string} date - YYYY-MM-DD
+ * @param {number|null} [timezone] - 未指定时按北京时间
+ * @param {boolean} [nextDay] - 返回次日零点，用于结束日期（不含）
+ * @returns {number|null}
+ */
+function dayStart(date, timezone, nextDay = false) {
+    const start = parseWallClock(`${date} 00:00:00`, parseTimezone(timezone));
+    if (start === null) return null;
+    return nextDay ? start + 24 * HOUR : start;
+}
+
+/**
+ * 接口输出前把 *_ms 列转换为 ISO 字符串写回对应的时间字段
+ * @param {object} row
+ * @param {string[]} fields - 时间字段名，对应的时间戳列为 `${field}_ms`
+ * @param {number} [timezone] - 默认使用记录自身的 timezone 列
+ */
+function withIsoTimes(row, fields, timezone) {
+    const zone = parseTimezone(timezone ?? row.timezone);
+    const result = { ...row };
+    for (const field of fields) {
+        const ms = row[`${field}_ms`];
+        if (ms !== undefined && ms !== null) result[field] = toIsoString(ms, zone);
+    }
+    return result;
+}
+
+/**
+ * 服务器本地时间 YYYY-MM-DD HH:mm:ss，与 datetime('now', 'localtime') 一致
+ */
+function localDateTime(date = new Date()) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    parseTimezone,
+    toEpochMs,
+    parseWallClock,
+    deviceTimeToEpoch,
+    formatDateTime,
+    toIsoString,
+    dayStart,
+    withIsoTimes,
+    localDateTime
+};
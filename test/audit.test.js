@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { startApp, freePort } = require('./helpers');
+
+test('控制指令写入审计记录，密码参数脱敏并支持筛选和导出', async t => {
+    const device = http.createServer((req, res) => {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ code: 0, note: 'ok' }));
+    });
+    await new Promise(resolve => device.listen(0, '127.0.0.1', resolve));
+    t.after(() => device.close());
+    const app = await startApp({ AUTH_ENABLED: 'true', AUTH_USERNAME: 'root', AUTH_PASSWORD: 'root-pass' });
+    t.after(() => app.stop());
+
+    const auth = 'Basic ' + Buffer.from('root:root-pass').toString('base64');
+    const api = (method, path, body) => fetch(`${app.baseUrl}${path}`, {
+        method,
+        headers: { authorization: auth, 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const deviceIp = `127.0.0.1:${device.address().port}`;
+    const sent = await api('POST', '/api/control/addwifi', { deviceIp, token: 't', transport: 'http', ssid: 'office', password: 'wifi-secret' });
+    assert.equal(sent.status, 200);
+    const closedPort = await freePort();
+    const failed = await api('POST', '/api/control/restart', { deviceIp: `127.0.0.1:${closedPort}`, token: 't', transport: 'http' });
+    assert.equal(failed.status, 500);
+
+    const all = await api('GET', '/api/audit').then(response => response.json());
+    assert.equal(all.pagination.total, 2);
+    const wifi = all.data.find(item => item.command === 'addwf');
+    assert.equal(wifi.username, 'root');
+    assert.equal(wifi.transport, 'http');
+    assert.equal(wifi.success, true);
+    assert.equal(wifi.result_code, 0);
+    assert.deepEqual(wifi.params, { p1: 'office', p2: '***' });
+
+    const failures = await api('GET', '/api/audit?success=0').then(response => response.json());
+    assert.deepEqual(failures.data.map(item => item.command), ['restart']);
+    assert.ok(failures.data[0].error);
+
+    const csv = await api('GET', '/api/audit?export=csv&command=addwf').then(response => response.text());
+    assert.match(csv, /addwf/);
+    assert.doesNotMatch(csv, /wifi-secret/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+function basic(username, password) {
+    return 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+}
+
+test('多账号按 viewer/operator/admin 角色限制管理API', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'true', AUTH_USERNAME: 'root', AUTH_PASSWORD: 'root-pass' });
+    t.after(() => app.stop());
+
+    const request = (auth, method, path, body) => fetch(`${app.baseUrl}${path}`, {
+        method,
+        headers: { authorization: auth, 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const admin = basic('root', 'root-pass');
+
+    assert.equal((await request(basic('root', 'wrong'), 'GET', '/api/sms')).status, 401);
+    const me = await request(admin, 'GET', '/api/auth/me').then(response => response.json());
+    assert.deepEqual({ username: me.data.username, role: me.data.role }, { username: 'root', role: 'admin' });
+
+    for (const [username, role] of [['alice', 'viewer'], ['bob', 'operator']]) {
+        const created = await request(admin, 'POST', '/api/users', { username, password: `${username}-pass`, role });
+        assert.equal(created.status, 200);
+    }
+    const viewer = basic('alice', 'alice-pass');
+    const operator = basic('bob', 'bob-pass');
+
+    assert.equal((await request(viewer, 'GET', '/api/sms')).status, 200);
+    assert.equal((await request(viewer, 'GET', '/api/calls')).status, 200);
+    assert.equal((await request(viewer, 'GET', '/api/recordings')).status, 200);
+    assert.equal((await request(viewer, 'GET', '/api/devices')).status, 403);
+    assert.equal((await request(viewer, 'POST', '/api/control/restart', { devId: 'dev001' })).status, 403);
+    assert.equal((await request(viewer, 'POST', '/api/sms/batch-delete', { ids: [1] })).status, 403);
+
+    const control = await request(operator, 'POST', '/api/control/restart', { devId: 'dev001', transport: 'tcp' });
+    assert.notEqual(control.status, 403);
+    assert.equal((await request(operator, 'GET', '/api/devices')).status, 200);
+    assert.equal((await request(operator, 'POST', '/api/push-config', { channel: 'wecom', enabled: false })).status, 403);
+    assert.equal((await request(operator, 'DELETE', '/api/devices/dev001')).status, 403);
+    assert.equal((await request(operator, 'GET', '/api/users')).status, 403);
+
+    assert.equal((await request(admin, 'POST', '/api/push-config', { channel: 'wecom', enabled: false })).status, 200);
+
+    const users = await request(admin, 'GET', '/api/users').then(response => response.json());
+    const rootUser = users.data.find(user => user.username === 'root');
+    assert.equal(users.data.some(user => 'password_hash' in user), false);
+    const demote = await request(admin, 'PUT', `/api/users/${rootUser.id}`, { role: 'viewer' });
+    assert.equal(demote.status, 400);
+});
+
+test('会话 token 登录、撤销与短期签名下载链接', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'true', AUTH_USERNAME: 'root', AUTH_PASSWORD: 'root-pass' });
+    t.after(() => app.stop());
+
+    const request = (auth, method, path, body) => fetch(`${app.baseUrl}${path}`, {
+        method,
+        headers: { ...(auth ? { authorization: auth } : {}), 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    assert.equal((await request(null, 'POST', '/api/auth/login', { username: 'root', password: 'wrong' })).status, 401);
+    const login = await request(null, 'POST', '/api/auth/login', { username: 'root', password: 'root-pass' })
+        .then(response => response.json());
+    assert.ok(login.data.token);
+    const bearer = `Bearer ${login.data.token}`;
+
+    assert.equal((await request(bearer, 'GET', '/api/sms')).status, 200);
+    const sessions = await request(bearer, 'GET', '/api/auth/sessions').then(response => response.json());
+    assert.equal(sessions.data.length, 1);
+    assert.equal(sessions.data[0].current, true);
+
+    // 查询参数中的明文凭证不再被接受
+    const legacy = encodeURIComponent('Basic ' + Buffer.from('root:root-pass').toString('base64'));
+    assert.equal((await request(null, 'GET', `/api/sms?export=csv&_auth=${legacy}`)).status, 401);
+
+    const signed = await request(bearer, 'POST', '/api/auth/signed-url', { path: '/api/sms?export=csv&direction=in' })
+        .then(response => response.json());
+    assert.match(signed.data.url, /_sig=/);
+    const download = await request(null, 'GET', signed.data.url);
+    assert.equal(download.status, 200);
+    assert.match(download.headers.get('content-type'), /csv/);
+    // 篡改查询参数后签名失效
+    assert.equal((await request(null, 'GET', signed.data.url.replace('direction=in', 'direction=out'))).status, 401);
+    assert.equal((await request(bearer, 'POST', '/api/auth/signed-url', { path: '/push' })).status, 400);
+    // 篡改绑定的会话同样失效
+    assert.equal((await request(null, 'GET', signed.data.url.replace(/_sid=\d+/, '_sid=999'))).status, 401);
+
+    assert.equal((await request(bearer, 'POST', '/api/auth/logout')).status, 200);
+    assert.equal((await request(bearer, 'GET', '/api/sms')).status, 401);
+    // 会话退出后签发的链接随之失效
+    assert.equal((await request(null, 'GET', signed.data.url)).status, 401);
+});
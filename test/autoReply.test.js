@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, freePort, waitFor, apiClient, connectBoard } = require('./helpers');
+
+test('收到短信按规则在同一卡槽自动回复，同一号码冷却时间内只回复一次并记录触发', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort),
+        AUTO_REPLY_COOLDOWN_SECONDS: '3600'
+    });
+    t.after(() => app.stop());
+
+    const api = apiClient(app.baseUrl);
+
+    const board = await connectBoard(tcpPort, { accept: true });
+    t.after(() => board.close());
+    const { commands } = board;
+
+    assert.equal((await api('POST', '/api/auto-replies', { name: '无回复' })).status, 400);
+    assert.equal((await api('POST', '/api/auto-replies', { name: '坏正则', contentPattern: '(', reply: 'x' })).status, 400);
+    assert.equal((await api('POST', '/api/auto-replies', { name: '坏卡槽', slot: 3, reply: 'x' })).status, 400);
+
+    const balance = (await api('POST', '/api/auto-replies', {
+        name: '余额查询', contentPattern: '余额|balance', reply: '余额请登录网上营业厅查询', priority: 10, adminPassword: 'secret'
+    })).body.data;
+    assert.equal(balance.enabled, true);
+    assert.equal(balance.token, undefined);
+    const received = (await api('POST', '/api/auto-replies', {
+        name: '确认收到', devId: 'dev-tcp', slot: 2, senderPattern: '1069*, 95588', reply: '已收到', cooldownSeconds: 0
+    })).body.data;
+    assert.deepEqual((await api('GET', '/api/auto-replies')).body.data.map(rule => rule.id), [balance.id, received.id]);
+
+    const sms = (slot, phNum, smsBd, smsTs) => board.send({ type: 501, slot, phNum, smsBd, smsTs });
+    const replies = () => commands.filter(frame => frame.cmd === 'sendsms');
+
+    // 命中内容正则，在收到短信的卡槽回复
+    sms(1, '13800000000', '请问我的余额还有多少', 1765410000);
+    const reply = await waitFor(() => replies()[0]);
+    assert.deepEqual({ p1: reply.p1, p2: reply.p2, p3: reply.p3 }, { p1: 1, p2: '13800000000', p3: '余额请登录网上营业厅查询' });
+
+    // 冷却时间内同一号码不再回复，记录为跳过
+    sms(1, '13800000000', 'Balance?', 1765410060);
+    const log = async () => (await api('GET', '/api/auto-replies/log')).body.data;
+    await waitFor(async () => (await log()).length === 2);
+    const [skipped, sent] = await log();
+    assert.equal(skipped.status, 'cooldown');
+    assert.equal(skipped.content, 'Balance?');
+    assert.equal(sent.rule_name, '余额查询');
+    assert.equal(sent.status, 'accepted');
+    assert.ok(sent.outbox_id);
+
+    // 号码通配、设备和卡槽限定；规则冷却时间为 0 时每条都回复
+    sms(1, '10690001', '您的快递已签收', 1765410120);
+    sms(2, '10690001', '您的快递已签收', 1765410180);
+    sms(2, '95588', '账户变动通知', 1765410240);
+    sms(2, '95599', '账户变动通知', 1765410300);
+    await waitFor(async () => (await log()).length === 4);
+    await waitFor(() => replies().length === 3);
+    assert.deepEqual(replies().slice(1).map(frame => [frame.p1, frame.p2, frame.p3]), [
+        [2, '10690001', '已收到'],
+        [2, '95588', '已收到']
+    ]);
+
+    // 停用后不再触发，其余字段保持不变
+    const disabled = (await api('PUT', `/api/auto-replies/${received.id}`, { enabled: false })).body.data;
+    assert.equal(disabled.enabled, false);
+    assert.equal(disabled.sender_pattern, '1069*, 95588');
+    sms(2, '95588', '再次通知', 1765410360);
+    await waitFor(async () => (await api('GET', '/api/sms?direction=in')).body.data.some(item => item.content === '再次通知'));
+    assert.equal((await log()).length, 4);
+
+    assert.deepEqual((await api('GET', `/api/auto-replies/log?ruleId=${received.id}`)).body.data.map(entry => entry.phone_num), ['95588', '10690001']);
+    assert.equal((await api('DELETE', `/api/auto-replies/${received.id}`)).status, 200);
+    assert.equal((await api('DELETE', `/api/auto-replies/${received.id}`)).status, 404);
+    assert.equal((await api('PUT', `/api/auto-replies/${received.id}`, { enabled: true })).status, 404);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function tarNames(buffer) {
+    const names = [];
+    for (let offset = 0; offset + 512 <= buffer.length;) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const size = parseInt(field(124, 12), 8);
+        const prefix = field(345, 155);
+        names.push({ name: (prefix ? prefix + '/' : '') + field(0, 100), size });
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return names;
+}
+
+test('下载快照后可上传恢复，恢复前保留当前数据库，无效文件被拒绝', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', API_KEY: 'push-key' });
+    t.after(() => app.stop());
+
+    const api = (method, url, body) => fetch(`${app.baseUrl}${url}`, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const deviceIds = async () => (await api('GET', '/api/devices').then(response => response.json())).data.map(device => device.dev_id);
+    const restore = (buffer, filename) => {
+        const form = new FormData();
+        form.append('file', new Blob([buffer]), filename);
+        return fetch(`${app.baseUrl}/api/backup/restore`, { method: 'POST', body: form });
+    };
+
+    await fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify({ devId: 'dev001', type: 998 })
+    });
+    for (let attempt = 0; attempt < 50 && !(await deviceIds()).includes('dev001'); attempt++) await wait(100);
+
+    const download = await api('GET', '/api/backup/download');
+    assert.equal(download.status, 200);
+    assert.match(download.headers.get('content-disposition'), /lvyou-\d{8}-\d{6}\.db/);
+    const snapshot = Buffer.from(await download.arrayBuffer());
+    assert.equal(snapshot.toString('latin1', 0, 15), 'SQLite format 3');
+
+    assert.equal((await api('DELETE', '/api/devices/dev001')).status, 200);
+    assert.deepEqual(await deviceIds(), []);
+
+    const invalid = await restore(Buffer.from('not a database'), 'broken.db');
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /SQLite/);
+    assert.equal((await restore(Buffer.alloc(0), 'empty.db')).status, 400);
+
+    const restored = await restore(snapshot, 'lvyou.db').then(response => response.json());
+    assert.equal(restored.success, true);
+    assert.match(restored.data.keptAs, /^pre-restore-\d{8}-\d{6}\.db$/);
+    assert.deepEqual(await deviceIds(), ['dev001']);
+
+    const list = await api('GET', '/api/backup/snapshots').then(response => response.json());
+    assert.deepEqual(list.data.map(item => item.name), [restored.data.keptAs]);
+    assert.equal(list.settings.retentionDays, 7);
+
+    // 恢复的数据库已执行迁移
+    const migrations = await api('GET', '/api/system/migrations').then(response => response.json());
+    assert.equal(migrations.data.upToDate, true);
+});
+
+test('手动快照写入备份目录并按保留天数轮换，可打包录音下载', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', BACKUP_RETENTION_DAYS: '2' });
+    t.after(() => app.stop());
+
+    const backupDir = path.join(app.tempDir, 'backups');
+    fs.mkdirSync(backupDir, { recursive: true });
+    const expired = path.join(backupDir, 'lvyou-20200101-030000.db');
+    const keptAside = path.join(backupDir, 'pre-restore-20200101-030000.db');
+    for (const file of [expired, keptAside]) {
+        fs.writeFileSync(file, 'old');
+        const old = new Date(Date.now() - 3 * 24 * 3600 * 1000);
+        fs.utimesSync(file, old, old);
+    }
+    fs.writeFileSync(path.join(app.tempDir, 'recordings', 'call-1.amr'), Buffer.alloc(700, 1));
+
+    const created = await fetch(`${app.baseUrl}/api/backup/snapshots`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ includeRecordings: true })
+    }).then(response => response.json());
+    assert.equal(created.success, true);
+    assert.equal(created.data.files.length, 2);
+    assert.deepEqual(created.data.removed, ['lvyou-20200101-030000.db']);
+    assert.equal(fs.existsSync(expired), false);
+    assert.equal(fs.existsSync(keptAside), true);
+
+    const recordingsTar = fs.readFileSync(path.join(backupDir, created.data.files[1]));
+    assert.deepEqual(tarNames(recordingsTar), [{ name: 'call-1.amr', size: 700 }]);
+
+    const snapshot = await fetch(`${app.baseUrl}/api/backup/snapshots/${created.data.files[0]}`);
+    assert.equal(snapshot.status, 200);
+    assert.equal(Buffer.from(await snapshot.arrayBuffer()).toString('latin1', 0, 15), 'SQLite format 3');
+    assert.equal((await fetch(`${app.baseUrl}/api/backup/snapshots/..%2Ftest.db`)).status, 404);
+
+    const archive = await fetch(`${app.baseUrl}/api/backup/download?recordings=1`);
+    assert.equal(archive.headers.get('content-type'), 'application/x-tar');
+    const entries = tarNames(Buffer.from(await archive.arrayBuffer()));
+    assert.deepEqual(entries.map(entry => entry.name), ['lvyou.db', 'recordings/call-1.amr']);
+    assert.equal(entries[1].size, 700);
+});
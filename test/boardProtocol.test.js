@@ -4,7 +4,8 @@ const {
     COMMANDS,
     calculateAdminToken,
     resolveCommand,
-    mapCommandParams
+    mapCommandParams,
+    redactParams
 } = require('../src/boardProtocol');
 
 test('按新版固件规则生成管理员 token', () => {
@@ -40,3 +41,8 @@ test('录音命令参数与当前文档一致', () => {
     assert.deepEqual(mapCommandParams('telstoprecord', { slot: 2, upload: 'on' }).params, { p1: 2, p2: 'on' });
     assert.deepEqual(mapCommandParams('telrecordupload', { filename: 'call_01.amr' }).params, { p1: 'call_01.amr' });
 });
+
+test('审计日志中的密码类参数被脱敏', () => {
+    assert.deepEqual(redactParams('addwifi', { p1: 'office', p2: 'secret' }), { p1: 'office', p2: '***' });
+    assert.deepEqual(redactParams('sendsms', { p1: 1, p2: '10086' }), { p1: 1, p2: '10086' });
+});
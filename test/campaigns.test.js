@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, freePort, wait, waitFor, apiClient, connectBoard } = require('./helpers');
+
+test('群发任务按模板渲染、限速派发到发送队列，可暂停、继续、取消并导出结果', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort)
+    });
+    t.after(() => app.stop());
+
+    const api = apiClient(app.baseUrl);
+
+    const board = await connectBoard(tcpPort);
+    t.after(() => board.close());
+    const { commands } = board;
+
+    const base = {
+        name: '取件通知',
+        template: '{{name}}您好，取件码 {{code}}',
+        csv: 'phone,name,code\n10086,张三,A1\r\n10010,"李四, 先生",B2\n10086,重复,C3\n\n95588,王五,C3\n13800000000,赵六,D4\n',
+        pool: [{ devId: 'dev-tcp', slot: 1 }],
+        ratePerMinute: 60,
+        dailyCap: 2
+    };
+    assert.equal((await api('POST', '/api/campaigns', { ...base, template: '{{name}} {{amount}}' })).status, 400);
+    assert.equal((await api('POST', '/api/campaigns', { ...base, csv: 'name\n张三\n' })).status, 400);
+    assert.equal((await api('POST', '/api/campaigns', { ...base, pool: [] })).status, 400);
+    assert.equal((await api('POST', '/api/campaigns', { ...base, ratePerMinute: 600 })).status, 400);
+
+    const created = await api('POST', '/api/campaigns', base);
+    assert.equal(created.status, 200);
+    assert.equal(created.body.duplicates, 1);
+    const campaign = created.body.data;
+    assert.equal(campaign.status, 'running');
+    assert.equal(campaign.token, undefined);
+    assert.equal(campaign.summary.total, 4);
+
+    // 每张卡按速率逐条派发，状态随开发板应答和 502 更新
+    const first = await waitFor(() => commands.find(frame => frame.cmd === 'sendsms'));
+    assert.deepEqual([first.p1, first.p2, first.p3], [1, '10086', '张三您好，取件码 A1']);
+    board.send({ type: 401, code: 0, tid: first.tid });
+    board.send({ type: 502, slot: 1, phNum: '10086', smsBd: first.p3, smsTs: 1765410000, tid: first.tid });
+    const second = await waitFor(() => commands.find(frame => frame.cmd === 'sendsms' && frame.p2 === '10010'));
+    assert.equal(second.p3, '李四, 先生您好，取件码 B2');
+    board.send({ type: 401, code: 0, tid: second.tid });
+
+    const recipients = async () => (await api('GET', `/api/campaigns/${campaign.id}/recipients`)).body.data;
+    // 达到每日上限后第三条推迟到次日下发，同一张卡上的第四条等它下发后再派发
+    await waitFor(async () => (await recipients()).map(recipient => recipient.status).join() === 'confirmed,accepted,queued,pending');
+    await wait(1500);
+    assert.equal(commands.filter(frame => frame.cmd === 'sendsms').length, 2);
+    const [confirmed] = await recipients();
+    assert.deepEqual(confirmed.variables, { phone: '10086', name: '张三', code: 'A1' });
+    assert.ok(confirmed.dispatched_at && confirmed.confirmed_at);
+
+    const summary = (await api('GET', `/api/campaigns/${campaign.id}`)).body.data.summary;
+    assert.deepEqual([summary.confirmed, summary.accepted, summary.queued, summary.pending], [1, 1, 1, 1]);
+    const deferred = await waitFor(async () => {
+        const [item] = (await api('GET', '/api/sms/outbox?status=queued')).body.data;
+        return item.next_attempt_at_ms > Date.now() + 3600 * 1000 && item;
+    });
+    assert.equal(deferred.phone_num, '95588');
+
+    assert.equal((await api('POST', `/api/campaigns/${campaign.id}/pause`)).body.data.status, 'paused');
+    assert.equal((await api('POST', `/api/campaigns/${campaign.id}/pause`)).status, 400);
+    assert.equal((await api('POST', `/api/campaigns/${campaign.id}/resume`)).body.data.status, 'running');
+    const cancelled = await api('POST', `/api/campaigns/${campaign.id}/cancel`);
+    assert.equal(cancelled.body.data.status, 'cancelled');
+    assert.equal(cancelled.body.data.summary.cancelled, 2);
+    assert.equal((await api('POST', `/api/campaigns/${campaign.id}/resume`)).status, 400);
+    assert.equal((await api('GET', '/api/campaigns/999')).status, 404);
+
+    const csv = await fetch(`${app.baseUrl}/api/campaigns/${campaign.id}/recipients?export=csv`).then(response => response.text());
+    const lines = csv.replace(/^\uFEFF/, '').split('\n');
+    assert.equal(lines[0], '行号,号码,name,code,内容,设备ID,卡槽,状态,尝试次数,tid,错误,派发时间,确认时间');
+    assert.match(lines[1], /^2,10086,张三,A1,张三您好，取件码 A1,dev-tcp,1,已确认发送,1,/);
+    assert.match(lines[2], /^3,10010,"李四, 先生",B2,"李四, 先生您好，取件码 B2",dev-tcp,1,开发板已收到,/);
+    assert.match(lines[3], /^6,95588,王五,C3,王五您好，取件码 C3,dev-tcp,1,已取消,0,/);
+    assert.match(lines[4], /^7,13800000000,赵六,D4,赵六您好，取件码 D4,,,已取消,0,/);
+
+    // 创建时暂停的任务不派发
+    const paused = await api('POST', '/api/campaigns', { ...base, name: '稍后发送', start: false });
+    assert.equal(paused.body.data.status, 'paused');
+    assert.equal((await api('GET', '/api/campaigns')).body.data.length, 2);
+});
+
+test('群发短信在下发时按卡限速，重试计入每日上限', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort),
+        OUTBOX_RETRY_BASE_SECONDS: '0.1'
+    });
+    t.after(() => app.stop());
+    const api = apiClient(app.baseUrl);
+
+    // 开发板连接前创建任务，连接后同一张卡也不会连续下发
+    const created = await api('POST', '/api/campaigns', {
+        name: '限速',
+        template: '通知 {{phone}}',
+        csv: 'phone\n10086\n10010\n',
+        pool: [{ devId: 'dev-tcp', slot: 1 }],
+        ratePerMinute: 60,
+        dailyCap: 2
+    });
+    assert.equal(created.status, 200);
+    await wait(1500);
+
+    const board = await connectBoard(tcpPort);
+    t.after(() => board.close());
+    const sent = [];
+    const nextSend = async () => {
+        const command = await waitFor(() => board.commands.find(frame => frame.cmd === 'sendsms' && !sent.some(entry => entry.command === frame)));
+        sent.push({ command, at: Date.now() });
+        return command;
+    };
+
+    // 第一次下发被开发板拒绝，按速率间隔重试，重试占用当天的第二条额度
+    const first = await nextSend();
+    board.send({ type: 401, code: 1, note: '网络繁忙', tid: first.tid });
+    const retried = await nextSend();
+    assert.equal(retried.p2, '10086');
+    assert.notEqual(retried.tid, first.tid);
+    assert.ok(sent[1].at - sent[0].at >= 900);
+    board.send({ type: 401, code: 0, tid: retried.tid });
+
+    await wait(1500);
+    assert.equal(board.commands.filter(frame => frame.cmd === 'sendsms').length, 2);
+    const statuses = (await api('GET', `/api/campaigns/${created.body.data.id}/recipients`)).body.data.map(recipient => recipient.status);
+    assert.deepEqual(statuses, ['accepted', 'queued']);
+});
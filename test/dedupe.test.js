@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { once } = require('node:events');
+const { startApp, freePort } = require('./helpers');
+const { encodeFrame } = require('../src/tcpGateway');
+
+test('HTTP 与 TCP 重复推送同一条短信只入库一次且仍返回成功', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort)
+    });
+    t.after(() => app.stop());
+
+    const sms = { devId: 'dev001', type: 501, slot: 1, msgTs: 1765410010, smsTs: 1765410000, phNum: '10086', smsBd: '验证码 8831' };
+    const push = body => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify(body)
+    }).then(response => response.json());
+    const smsCount = () => fetch(`${app.baseUrl}/api/sms`).then(response => response.json()).then(result => result.pagination.total);
+
+    assert.deepEqual(await push(sms), { code: 0, message: 'OK' });
+    assert.deepEqual(await push(sms), { code: 0, message: 'OK' });
+    assert.equal(await smsCount(), 1);
+
+    const client = net.createConnection(tcpPort, '127.0.0.1');
+    await once(client, 'connect');
+    t.after(() => client.destroy());
+    client.write(encodeFrame(sms));
+    // 同一时间戳但内容不同的短信不是重试
+    client.write(encodeFrame({ ...sms, smsBd: '另一条短信' }));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(await smsCount(), 2);
+
+    // 没有时间戳的消息不参与去重
+    const { msgTs, smsTs, ...withoutTs } = sms;
+    await push(withoutTs);
+    await push(withoutTs);
+    assert.equal(await smsCount(), 4);
+});
+
+test('入库失败的推送不记录指纹，开发板重试时重新处理', async t => {
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        SPOOL_MAX_ATTEMPTS: '1'
+    });
+    t.after(() => app.stop());
+
+    const push = body => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify(body)
+    }).then(response => response.json());
+    const spool = () => fetch(`${app.baseUrl}/api/spool`).then(response => response.json());
+
+    // 没有 slot 的短信无法写入 sms_records
+    const sms = { devId: 'dev001', type: 501, msgTs: 1765410010, smsTs: 1765410000, phNum: '10086', smsBd: '验证码 8831' };
+    assert.deepEqual(await push(sms), { code: 0, message: 'OK' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepEqual(await push(sms), { code: 0, message: 'OK' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const result = await spool();
+    assert.equal(result.counts.dead, 2);
+    assert.ok(result.data.every(entry => /写入数据库失败/.test(entry.last_error)));
+});
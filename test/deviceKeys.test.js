@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+test('设备独立 API Key 只能推送自身 devId，并使全局密钥对该设备失效', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', API_KEY: 'global-key' });
+    t.after(() => app.stop());
+
+    const api = (method, path, body) => fetch(`${app.baseUrl}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+    const push = (key, devId) => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': key },
+        body: JSON.stringify({ devId, type: 998 })
+    }).then(response => response.status);
+
+    assert.equal((await api('POST', '/api/devices/nope/api-keys')).status, 404);
+    await api('POST', '/api/devices', { devId: 'dev001', name: '一号' });
+    const issued = await api('POST', '/api/devices/dev001/api-keys', { note: '机房' });
+    assert.equal(issued.status, 200);
+    const key = issued.body.data.key;
+
+    assert.equal(await push(key, 'dev001'), 200);
+    assert.equal(await push(key, 'dev002'), 403);
+    assert.equal(await push('global-key', 'dev001'), 403);
+    assert.equal(await push('global-key', 'dev002'), 200);
+    assert.equal(await push('wrong-key', 'dev002'), 403);
+
+    const listed = await api('GET', '/api/devices/dev001/api-keys');
+    assert.equal(listed.body.data.length, 1);
+    assert.equal('key' in listed.body.data[0], false);
+    assert.ok(listed.body.data[0].last_used_at);
+
+    const rotated = await api('POST', '/api/devices/dev001/api-keys', { rotate: true });
+    assert.equal(await push(key, 'dev001'), 403);
+    assert.equal(await push(rotated.body.data.key, 'dev001'), 200);
+
+    assert.equal((await api('DELETE', `/api/devices/dev001/api-keys/${rotated.body.data.id}`)).status, 200);
+    assert.equal(await push(rotated.body.data.key, 'dev001'), 403);
+    // 全部独立密钥吊销后回退到全局密钥
+    assert.equal(await push('global-key', 'dev001'), 200);
+});
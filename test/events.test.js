@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+/**
+ * 打开 SSE 连接，返回 next() 逐条读取事件
+ */
+async function openStream(url, headers) {
+    const controller = new AbortController();
+    const response = await fetch(url, { headers, signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    async function next() {
+        while (true) {
+            const index = buffer.indexOf('\n\n');
+            if (index !== -1) {
+                const block = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                const data = block.split('\n').find(line => line.startsWith('data: '));
+                if (data) return JSON.parse(data.slice(6));
+                continue;
+            }
+            const { value, done } = await reader.read();
+            if (done) return null;
+            buffer += decoder.decode(value, { stream: true });
+        }
+    }
+    return { response, next, close: () => controller.abort() };
+}
+
+test('事件流按角色、设备和类别推送处理完的消息', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'true', AUTH_USERNAME: 'root', AUTH_PASSWORD: 'root-pass', API_KEY: 'push-key' });
+    t.after(() => app.stop());
+
+    const basic = (user, pass) => 'Basic ' + Buffer.from(`${user}:${pass}`).toString('base64');
+    const admin = basic('root', 'root-pass');
+    await fetch(`${app.baseUrl}/api/users`, {
+        method: 'POST',
+        headers: { authorization: admin, 'content-type': 'application/json' },
+        body: JSON.stringify({ username: 'alice', password: 'alice-pass', role: 'viewer' })
+    });
+    const push = body => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify(body)
+    });
+
+    assert.equal((await fetch(`${app.baseUrl}/api/events`)).status, 401);
+    const adminStream = await openStream(`${app.baseUrl}/api/events?devId=dev001`, { authorization: admin });
+    const viewerStream = await openStream(`${app.baseUrl}/api/events`, { authorization: basic('alice', 'alice-pass') });
+    t.after(() => { adminStream.close(); viewerStream.close(); });
+    assert.match(adminStream.response.headers.get('content-type'), /text\/event-stream/);
+
+    await push({ devId: 'dev002', type: 204, slot: 1, msIsdn: '13800000000' });
+    await push({ devId: 'dev001', type: 204, slot: 1, msIsdn: '13900000000' });
+    await push({ devId: 'dev001', type: 501, slot: 1, phNum: '10086', smsBd: '余额提醒' });
+
+    const sim = await adminStream.next();
+    assert.deepEqual({ category: sim.category, devId: sim.devId, type: sim.type }, { category: 'sim', devId: 'dev001', type: 204 });
+    const sms = await adminStream.next();
+    assert.equal(sms.category, 'sms');
+    assert.equal(sms.data.smsBd, '余额提醒');
+    assert.equal('apiKey' in sms.data, false);
+
+    // viewer 看不到 SIM 状态事件，但能收到所有设备的短信
+    const viewerEvent = await viewerStream.next();
+    assert.deepEqual({ category: viewerEvent.category, devId: viewerEvent.devId }, { category: 'sms', devId: 'dev001' });
+});
+
+test('会话退出、被撤销或过期后断开以该会话打开的事件流', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'true', AUTH_USERNAME: 'root', AUTH_PASSWORD: 'root-pass', AUTH_SESSION_TTL_HOURS: '0.001' });
+    t.after(() => app.stop());
+
+    const login = async () => (await fetch(`${app.baseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ username: 'root', password: 'root-pass' })
+    }).then(response => response.json())).data.token;
+    const open = async token => {
+        const stream = await openStream(`${app.baseUrl}/api/events`, { authorization: `Bearer ${token}` });
+        t.after(() => stream.close());
+        assert.equal(stream.response.status, 200);
+        return stream;
+    };
+
+    const loggedOut = await login();
+    const revoked = await login();
+    const expiring = await login();
+    const [first, second, third] = [await open(loggedOut), await open(revoked), await open(expiring)];
+
+    await fetch(`${app.baseUrl}/api/auth/logout`, { method: 'POST', headers: { authorization: `Bearer ${loggedOut}` } });
+    assert.equal(await first.next(), null);
+
+    const sessions = await fetch(`${app.baseUrl}/api/auth/sessions`, { headers: { authorization: `Bearer ${expiring}` } }).then(response => response.json());
+    const target = sessions.data.find(session => !session.current);
+    await fetch(`${app.baseUrl}/api/auth/sessions/${target.id}`, { method: 'DELETE', headers: { authorization: `Bearer ${expiring}` } });
+    assert.equal(await second.next(), null);
+
+    // 3.6 秒后会话过期
+    const startedAt = Date.now();
+    assert.equal(await third.next(), null);
+    assert.ok(Date.now() - startedAt < 5000);
+});
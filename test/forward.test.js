@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, freePort, waitFor, apiClient, connectBoard } = require('./helpers');
+
+test('收到的短信加上发件号码和时间转发到目标号码，长内容拆分，转发的短信不再转发', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort),
+        FORWARD_SEGMENT_LENGTH: '30'
+    });
+    t.after(() => app.stop());
+
+    const api = apiClient(app.baseUrl);
+
+    const board = await connectBoard(tcpPort, { accept: true });
+    t.after(() => board.close());
+    const { commands } = board;
+
+    assert.equal((await api('POST', '/api/forward-rules', { name: '缺目标', targetDevId: 'dev-tcp', targetSlot: 2 })).status, 400);
+    assert.equal((await api('POST', '/api/forward-rules', { name: '坏卡槽', targetDevId: 'dev-tcp', targetSlot: 3, targetPhone: '13900000000' })).status, 400);
+
+    // 卡槽1收到的短信经卡槽2转发到个人手机；卡槽2的号码同时也是转发目标，用于验证不会循环转发
+    const rule = (await api('POST', '/api/forward-rules', {
+        name: '转发到个人手机', devId: 'dev-tcp', slot: 1, contentPattern: '^(?!广告)',
+        targetDevId: 'dev-tcp', targetSlot: 2, targetPhone: '13900000000', adminPassword: 'secret'
+    })).body.data;
+    assert.equal(rule.token, undefined);
+    await api('POST', '/api/forward-rules', {
+        name: '本机卡槽互转', devId: 'dev-tcp', slot: 2, targetDevId: 'dev-tcp', targetSlot: 1, targetPhone: '13800000000'
+    });
+
+    const sms = (slot, phNum, smsBd, smsTs) => board.send({ type: 501, slot, phNum, smsBd, smsTs });
+    const sent = () => commands.filter(frame => frame.cmd === 'sendsms');
+    const log = async () => (await api('GET', '/api/forward-rules/log')).body.data;
+
+    sms(1, '10086', '余额12元', 1765410000);
+    const [single] = await waitFor(() => sent().length === 1 && sent());
+    assert.deepEqual([single.p1, single.p2, single.p3], [2, '13900000000', '【转发】10086 12-11 07:40\n余额12元']);
+
+    // 超过 30 字拆分为多条，每条带序号
+    const long = '您的快递已到达小区东门丰巢柜，凭取件码 12345678 取件，如有疑问请联系快递员，电话 13700000000';
+    sms(1, '95546', long, 1765410060);
+    await waitFor(() => sent().length === 5);
+    const parts = sent().slice(1).map(frame => frame.p3);
+    assert.deepEqual(parts.map(text => text.match(/^【转发(\d\/\d)】/)[1]), ['1/4', '2/4', '3/4', '4/4']);
+    assert.ok(parts.every(text => Array.from(text).length <= 30));
+    assert.equal(parts.map(text => text.replace(/^【转发\d\/\d】/, '')).join(''), `95546 12-11 07:41\n${long}`);
+
+    // 过滤条件不匹配的不转发
+    sms(1, '10010', '广告：流量包特惠', 1765410120);
+
+    // 目标号码是本系统的卡时，转发过来的短信不会再次转发
+    sms(2, '13800000001', '【转发】10086 12-11 07:40\n余额12元', 1765410180);
+    sms(2, '13800000001', parts[1], 1765410240);
+    await waitFor(async () => (await api('GET', '/api/sms?direction=in')).body.data.length === 5);
+    assert.equal(sent().length, 5);
+
+    // 卡槽2收到的普通短信按第二条规则转发
+    sms(2, '10086', '话费提醒', 1765410300);
+    await waitFor(() => sent().length === 6);
+    assert.deepEqual([sent()[5].p1, sent()[5].p2], [1, '13800000000']);
+
+    const entries = await log();
+    assert.equal(entries.length, 6);
+    const first = entries[entries.length - 1];
+    assert.equal(first.rule_name, '转发到个人手机');
+    assert.equal(first.phone_num, '10086');
+    assert.equal(first.target_phone, '13900000000');
+    assert.equal(first.status, 'accepted');
+    assert.deepEqual((await api('GET', `/api/forward-rules/log?ruleId=${rule.id}&phone=95546`)).body.data.map(entry => `${entry.part}/${entry.parts}`), ['4/4', '3/4', '2/4', '1/4']);
+
+    // 停用后不再转发
+    assert.equal((await api('PUT', `/api/forward-rules/${rule.id}`, { enabled: false })).body.data.target_phone, '13900000000');
+    sms(1, '10086', '停用后的短信', 1765410360);
+    await waitFor(async () => (await api('GET', '/api/sms?direction=in')).body.data.some(item => item.content === '停用后的短信'));
+    assert.equal(sent().length, 6);
+    assert.equal((await api('DELETE', `/api/forward-rules/${rule.id}`)).status, 200);
+    assert.equal((await api('DELETE', `/api/forward-rules/${rule.id}`)).status, 404);
+});
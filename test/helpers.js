@@ -0,0 +1,128 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const net = require('node:net');
+const { once } = require('node:events');
+const { spawn } = require('node:child_process');
+const { encodeFrame, FrameDecoder } = require('../src/tcpGateway');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 每 50ms 调用一次 check，直到返回真值并返回该值，超时抛错
+ */
+async function waitFor(check, timeout = 5000) {
+    for (const deadline = Date.now() + timeout; Date.now() < deadline; await wait(50)) {
+        const value = await check();
+        if (value) return value;
+    }
+    throw new Error('等待条件超时');
+}
+
+async function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitForServer(url, child) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (child.exitCode !== null) throw new Error(`测试服务提前退出: ${child.exitCode}`);
+        try {
+            const response = await fetch(url);
+            if (response.ok) return;
+        } catch {}
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('等待测试服务启动超时');
+}
+
+/**
+ * 在临时数据目录中启动一个独立的 sms_web 进程。
+ * 返回的 stop() 会结束进程并清理临时目录。
+ */
+async function startApp(env = {}) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-test-'));
+    const port = await freePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const child = spawn(process.execPath, ['src/app.js'], {
+        cwd: path.resolve(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            TCP_ENABLED: 'false',
+            AES_ENABLED: 'false',
+            RECORDING_DIR: path.join(tempDir, 'recordings'),
+            DATABASE_PATH: path.join(tempDir, 'test.db'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk.toString(); });
+    child.stdout.resume();
+
+    try {
+        await waitForServer(baseUrl, child);
+    } catch (error) {
+        child.kill('SIGTERM');
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    return {
+        baseUrl,
+        tempDir,
+        child,
+        stderr: () => stderr,
+        async stop() {
+            if (child.exitCode === null && child.signalCode === null) {
+                child.kill('SIGTERM');
+                await new Promise(resolve => child.once('exit', resolve));
+            }
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * 以 JSON 调用测试服务的接口，返回 { status, body }
+ */
+function apiClient(baseUrl, headers = {}) {
+    return (method, url, body) => fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'content-type': 'application/json', ...headers },
+        body: body && JSON.stringify(body)
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+/**
+ * 模拟开发板连接 TCP 网关：发送 type 100 注册并等到服务端下发第一条指令。
+ * commands 依次记录收到的指令；accept 为 true 或返回 true 的函数时，对 sendsms 自动回复 401 成功。
+ */
+async function connectBoard(port, { devId = 'dev-tcp', accept = false } = {}) {
+    const client = net.createConnection(port, '127.0.0.1');
+    await once(client, 'connect');
+    const decoder = new FrameDecoder();
+    const commands = [];
+    const send = frame => client.write(encodeFrame({ devId, ...frame }));
+    client.on('data', chunk => {
+        for (const frame of decoder.push(chunk)) {
+            const command = JSON.parse(frame);
+            commands.push(command);
+            if (command.cmd === 'sendsms' && (accept === true || (typeof accept === 'function' && accept(command)))) {
+                send({ type: 401, code: 0, tid: command.tid });
+            }
+        }
+    });
+    send({ type: 100, netCh: 0 });
+    await waitFor(() => commands.length > 0);
+    return { commands, send, close: () => client.destroy() };
+}
+
+module.exports = { freePort, waitForServer, startApp, wait, waitFor, apiClient, connectBoard };
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('推送接口按设备白名单、devId 和来源 IP 限流，拒绝次数可查询', async t => {
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        RATE_LIMIT_IP_PER_MINUTE: '6',
+        RATE_LIMIT_DEVICE_PER_MINUTE: '3'
+    });
+    t.after(() => app.stop());
+
+    const api = (method, path, body) => fetch(`${app.baseUrl}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const push = devId => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify({ devId, type: 998 })
+    });
+
+    assert.equal((await push('dev001')).status, 200);
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const devices = await api('GET', '/api/devices').then(response => response.json());
+        if (devices.data.some(device => device.dev_id === 'dev001')) break;
+        await wait(100);
+    }
+
+    assert.equal((await api('PUT', '/api/devices/dev001/ip-allowlist', { allowlist: 'abc' })).status, 400);
+    assert.equal((await api('PUT', '/api/devices/missing/ip-allowlist', { allowlist: [] })).status, 404);
+    assert.equal((await api('PUT', '/api/devices/dev001/ip-allowlist', { allowlist: ['10.0.0.0/8'] })).status, 200);
+    assert.equal((await push('dev001')).status, 403);
+
+    const updated = await api('PUT', '/api/devices/dev001/ip-allowlist', { allowlist: '127.0.0.1, ::1' }).then(response => response.json());
+    assert.deepEqual(updated.data, ['127.0.0.1', '::1']);
+    assert.equal((await push('dev001')).status, 200);
+    assert.equal((await push('dev001')).status, 200);
+
+    const deviceLimited = await push('dev001');
+    assert.equal(deviceLimited.status, 429);
+    assert.ok(Number(deviceLimited.headers.get('retry-after')) >= 1);
+
+    assert.equal((await push('dev002')).status, 200);
+    assert.equal((await push('dev002')).status, 429);
+
+    const stats = await api('GET', '/api/ingress/stats').then(response => response.json());
+    assert.equal(stats.data.total, 3);
+    assert.deepEqual(stats.data.byReason, { ip_not_allowed: 1, device_rate_limit: 1, ip_rate_limit: 1 });
+    assert.deepEqual(stats.data.topDevices, [{ key: 'dev001', count: 2 }]);
+    assert.equal(stats.data.recent[0].reason, 'ip_rate_limit');
+
+    assert.equal((await api('DELETE', '/api/ingress/stats')).status, 200);
+    assert.equal((await api('GET', '/api/ingress/stats').then(response => response.json())).data.total, 0);
+});
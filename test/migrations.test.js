@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const initSqlJs = require('sql.js');
+const { startApp } = require('./helpers');
+
+const root = path.resolve(__dirname, '..');
+
+function runCli(dbPath, ...args) {
+    return spawnSync(process.execPath, ['migrate.js', ...args], {
+        cwd: root,
+        env: { ...process.env, DATABASE_PATH: dbPath },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+}
+
+async function withDatabase(dbPath, callback) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.existsSync(dbPath) ? fs.readFileSync(dbPath) : undefined);
+    const result = callback(db);
+    fs.writeFileSync(dbPath, Buffer.from(db.export()));
+    db.close();
+    return result;
+}
+
+test('新数据库启动后迁移到最新版本，可通过接口查看', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false' });
+    t.after(() => app.stop());
+
+    const status = await fetch(`${app.baseUrl}/api/system/migrations`).then(response => response.json());
+    assert.equal(status.success, true);
+    assert.ok(status.data.latestVersion >= 10);
+    assert.equal(status.data.currentVersion, status.data.latestVersion);
+    assert.deepEqual(status.data.pending, []);
+    assert.equal(status.data.applied[0].name, '001_initial_schema');
+});
+
+test('旧版数据库通过命令行补齐字段并修正时间格式，版本过新时拒绝启动', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-migrate-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const dbPath = path.join(dataDir, 'lvyou.db');
+
+    // 引入迁移之前的数据库：sim_cards 没有 timezone，通话记录没有 duration，短信时间为秒级时间戳
+    await withDatabase(dbPath, db => {
+        db.run('CREATE TABLE sim_cards (id INTEGER PRIMARY KEY AUTOINCREMENT, dev_id TEXT NOT NULL, slot INTEGER NOT NULL, updated_at TEXT, UNIQUE(dev_id, slot))');
+        db.run('CREATE TABLE call_records (id INTEGER PRIMARY KEY AUTOINCREMENT, dev_id TEXT NOT NULL, slot INTEGER NOT NULL, msisdn TEXT DEFAULT \'\', phone_num TEXT NOT NULL, msg_type INTEGER NOT NULL, call_type TEXT NOT NULL, start_time TEXT, created_at TEXT)');
+        db.run('CREATE TABLE sms_records (id INTEGER PRIMARY KEY AUTOINCREMENT, dev_id TEXT NOT NULL, slot INTEGER NOT NULL, msisdn TEXT DEFAULT \'\', phone_num TEXT NOT NULL, content TEXT NOT NULL, sms_time TEXT, direction TEXT DEFAULT \'in\', created_at TEXT)');
+        db.run("INSERT INTO sms_records (dev_id, slot, phone_num, content, sms_time) VALUES ('dev001', 1, '10086', '旧短信', '1765410010')");
+        db.run("INSERT INTO sms_records (dev_id, slot, phone_num, content, sms_time) VALUES ('dev001', 1, '10086', '已是标准格式', '2025-01-02 03:04:05')");
+    });
+
+    const status = runCli(dbPath, 'status');
+    assert.equal(status.status, 0, status.stderr);
+    assert.match(status.stdout, /当前版本: 0/);
+    assert.match(status.stdout, /002_sim_timezone_call_duration/);
+
+    const up = runCli(dbPath, 'up');
+    assert.equal(up.status, 0, up.stderr);
+    assert.match(up.stdout, /待执行 \(0\)/);
+
+    await withDatabase(dbPath, db => {
+        const columns = table => db.exec(`PRAGMA table_info(${table})`)[0].values.map(row => row[1]);
+        assert.ok(columns('sim_cards').includes('timezone'));
+        assert.ok(columns('call_records').includes('duration'));
+        assert.ok(columns('sms_records').includes('source_message_id'));
+        assert.deepEqual(db.exec('SELECT sms_time FROM sms_records ORDER BY id')[0].values, [['2025-12-11 07:40:10'], ['2025-01-02 03:04:05']]);
+        // 北京时间换算为 UTC 时间戳
+        assert.deepEqual(db.exec('SELECT sms_time_ms FROM sms_records ORDER BY id')[0].values, [[1765410010000], [Date.UTC(2025, 0, 1, 19, 4, 5)]]);
+        db.run("INSERT INTO schema_migrations (version, name) VALUES (999, '999_from_future')");
+    });
+
+    const newer = runCli(dbPath, 'status');
+    assert.equal(newer.status, 2);
+    await assert.rejects(startApp({ AUTH_ENABLED: 'false', DATABASE_PATH: dbPath }), /提前退出/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const initSqlJs = require('sql.js');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('接收短信识别验证码和服务名，按号码、服务查询有效期内最新的验证码', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-otp-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const env = {
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        DATABASE_PATH: path.join(dataDir, 'lvyou.db'),
+        RECORDING_DIR: path.join(dataDir, 'recordings'),
+        OTP_PATTERNS: JSON.stringify(['动态口令[:：]?(?<code>\\d{6})'])
+    };
+    let app = await startApp(env);
+    t.after(() => app.stop());
+
+    const api = url => fetch(`${app.baseUrl}${url}`).then(async response => ({ status: response.status, body: await response.json() }));
+    const messages = [
+        { type: 501, slot: 1, phNum: '1069555', smsBd: '【招商银行】您的验证码为：836104，5分钟内有效，请勿泄露。', smsTs: 1765410000 },
+        { type: 501, slot: 1, phNum: '1069666', smsBd: '384920是您的美团验证码，请勿告诉他人【美团】', smsTs: 1765410060 },
+        { type: 501, slot: 2, phNum: '+14155550100', smsBd: 'G-482913 is your Google verification code.', smsTs: 1765410120 },
+        { type: 501, slot: 2, phNum: '95588', smsBd: '【工商银行】动态口令:551203，请勿转发', smsTs: 1765410180 },
+        { type: 501, slot: 1, phNum: '10086', smsBd: '流量提醒：您已使用 1024MB，验证码将在10分钟后过期', smsTs: 1765410240 },
+        { type: 502, slot: 1, phNum: '1069555', smsBd: '验证码 123456', smsTs: 1765410300 }
+    ];
+    for (const message of messages) {
+        await fetch(`${app.baseUrl}/push`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+            body: JSON.stringify({ devId: 'dev001', ...message })
+        });
+        // 保证入库时间先后与推送顺序一致
+        await wait(20);
+    }
+    for (let attempt = 0; attempt < 50 && (await api('/api/sms')).body.pagination.total < messages.length; attempt++) await wait(100);
+
+    const byPhone = Object.fromEntries((await api('/api/sms?direction=in')).body.data.map(sms => [sms.phone_num, sms]));
+    assert.deepEqual([byPhone['1069555'].otp_code, byPhone['1069555'].otp_service], ['836104', '招商银行']);
+    assert.deepEqual([byPhone['1069666'].otp_code, byPhone['1069666'].otp_service], ['384920', '美团']);
+    assert.deepEqual([byPhone['+14155550100'].otp_code, byPhone['+14155550100'].otp_service], ['G-482913', 'Google']);
+    // 自定义规则先于内置规则匹配
+    assert.deepEqual([byPhone['95588'].otp_code, byPhone['95588'].otp_service], ['551203', '工商银行']);
+    assert.equal(byPhone['10086'].otp_code, null);
+
+    const latest = await api('/api/sms/otp/latest');
+    assert.equal(latest.status, 200);
+    assert.equal(latest.body.data.code, '551203');
+    assert.match(latest.body.data.expires_at, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\+08:00$/);
+    // 发出的短信不参与识别
+    assert.equal((await api('/api/sms/otp/latest?phone=1069555')).body.data.code, '836104');
+    assert.equal((await api('/api/sms/otp/latest?service=美团')).body.data.code, '384920');
+    assert.equal((await api('/api/sms/otp/latest?service=google&slot=2')).body.data.code, 'G-482913');
+    assert.equal((await api('/api/sms/otp/latest?service=微信')).status, 404);
+
+    // 超过有效期的验证码不再返回
+    await app.stop();
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(env.DATABASE_PATH));
+    db.run('UPDATE sms_records SET created_at_ms = created_at_ms - 601000');
+    fs.writeFileSync(env.DATABASE_PATH, Buffer.from(db.export()));
+    db.close();
+    app = await startApp(env);
+    assert.equal((await api('/api/sms/otp/latest')).status, 404);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, freePort, wait, waitFor, apiClient, connectBoard } = require('./helpers');
+
+test('短信发送队列按状态下发、重试、取消，并根据开发板应答和外发推送更新状态', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort),
+        OUTBOX_MAX_ATTEMPTS: '2',
+        OUTBOX_RETRY_BASE_SECONDS: '0.1'
+    });
+    t.after(() => app.stop());
+
+    const api = apiClient(app.baseUrl);
+    const item = async id => (await api('GET', '/api/sms/outbox?limit=200')).body.data.find(entry => entry.id === id);
+    const waitForStatus = (id, status) => waitFor(async () => {
+        const entry = await item(id);
+        return entry.status === status && entry;
+    });
+
+    assert.equal((await api('POST', '/api/sms/outbox', { devId: 'dev-tcp', slot: 3, phone: '10086', content: 'CXLL' })).status, 400);
+    assert.equal((await api('POST', '/api/sms/outbox', { devId: 'dev-tcp', slot: 1, phone: '10086', content: 'CXLL', sendAt: '明天' })).status, 400);
+
+    // 设备离线时按退避间隔重试，超过次数后失败
+    const offline = (await api('POST', '/api/sms/outbox', { devId: 'dev404', slot: 1, phone: '10086', content: 'CXLL' })).body.data;
+    assert.equal(offline.status, 'queued');
+    assert.equal(offline.token, undefined);
+    const failed = await waitForStatus(offline.id, 'failed');
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.last_error, '设备离线');
+    assert.equal((await api('POST', `/api/sms/outbox/${offline.id}/cancel`)).status, 400);
+
+    // 定时发送的短信到时间前可以取消
+    const scheduled = (await api('POST', '/api/sms/outbox', {
+        devId: 'dev-tcp', slot: 2, phone: '10010', content: '定时短信', sendAt: '2099-01-01 08:00', timezone: 8
+    })).body.data;
+    assert.equal(scheduled.send_at, '2099-01-01T08:00:00+08:00');
+    assert.deepEqual((await api('GET', '/api/sms/outbox?status=queued')).body.data.map(entry => entry.id), [scheduled.id]);
+    assert.equal((await api('POST', `/api/sms/outbox/${scheduled.id}/cancel`)).body.data.status, 'cancelled');
+    assert.equal((await api('POST', `/api/sms/outbox/${scheduled.id}/cancel`)).status, 400);
+    assert.equal((await api('POST', '/api/sms/outbox/9999/cancel')).status, 404);
+
+    const board = await connectBoard(tcpPort);
+    t.after(() => board.close());
+    const { commands } = board;
+
+    // 401 已收到 → 402 已处理 → 502 外发成功
+    const queued = (await api('POST', '/api/sms/outbox', { devId: 'dev-tcp', slot: 1, phone: '10086', content: '查话费' })).body.data;
+    const command = await waitFor(() => commands.find(frame => frame.cmd === 'sendsms'));
+    assert.deepEqual(command, { cmd: 'sendsms', p1: 1, p2: '10086', p3: '查话费', tid: `outbox-${queued.id}-1` });
+    assert.equal((await item(queued.id)).status, 'sending');
+    board.send({ type: 401, code: 0, tid: command.tid });
+    assert.ok((await waitForStatus(queued.id, 'accepted')).accepted_at);
+    board.send({ type: 402, code: 0, tid: command.tid });
+    assert.ok((await waitForStatus(queued.id, 'done')).done_at);
+    await fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify({ devId: 'dev-tcp', type: 502, slot: 1, phNum: '10086', smsBd: '查话费', smsTs: 1765410000 })
+    });
+    assert.ok((await waitForStatus(queued.id, 'confirmed')).confirmed_at);
+
+    // 开发板返回错误时重新下发，仍失败则记录错误
+    const rejected = (await api('POST', '/api/sms/outbox', { devId: 'dev-tcp', slot: 2, phone: '10010', content: '余额' })).body.data;
+    for (const attempt of [1, 2]) {
+        const tid = `outbox-${rejected.id}-${attempt}`;
+        await waitFor(() => commands.find(frame => frame.tid === tid));
+        board.send({ type: 401, code: 1, note: '卡槽无SIM卡', tid });
+    }
+    const rejectedItem = await waitForStatus(rejected.id, 'failed');
+    assert.equal(rejectedItem.last_error, '卡槽无SIM卡');
+    // 重试复用同一条外发记录
+    const records = (await api('GET', '/api/sms?direction=out')).body.data.filter(sms => sms.content === '余额');
+    assert.deepEqual(records.map(sms => [sms.id, sms.tid, sms.delivery_status]), [[rejectedItem.sms_record_id, `outbox-${rejected.id}-2`, 'failed']]);
+
+    // 重新发送时重置尝试次数
+    const retried = await api('POST', `/api/sms/outbox/${rejected.id}/retry`);
+    assert.equal(retried.body.data.status, 'queued');
+    assert.equal(retried.body.data.attempts, 0);
+    await waitFor(() => commands.filter(frame => frame.tid === `outbox-${rejected.id}-1`).length === 2);
+});
+
+test('下发后等待应答超时或迟迟未确认的短信标记为发送结果未知，不用新的 tid 重发', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort),
+        TCP_COMMAND_TIMEOUT: '300',
+        SMS_DELIVERY_TIMEOUT_SECONDS: '1',
+        OUTBOX_MAX_ATTEMPTS: '3',
+        OUTBOX_RETRY_BASE_SECONDS: '0.1'
+    });
+    t.after(() => app.stop());
+
+    const api = apiClient(app.baseUrl);
+
+    const board = await connectBoard(tcpPort, {
+        // 只应答 401，不再有 402 和 502
+        accept: command => command.p3 === '余额'
+    });
+    t.after(() => board.close());
+    const { commands } = board;
+
+    // 开发板收到命令但没有应答：可能已经发出，不再重试
+    const silent = (await api('POST', '/api/sms/outbox', { devId: 'dev-tcp', slot: 1, phone: '10086', content: '查话费' })).body.data;
+    const failed = await waitFor(async () => (await api('GET', '/api/sms/outbox?status=failed')).body.data.find(item => item.id === silent.id));
+    assert.equal(failed.attempts, 1);
+    assert.match(failed.last_error, /超时，发送结果未知/);
+    await wait(500);
+    assert.deepEqual(commands.filter(frame => frame.cmd === 'sendsms').map(frame => frame.tid), [`outbox-${silent.id}-1`]);
+
+    // 已接收但一直没有 402/502：超时后标记失败，迟到的 502 仍按 tid 确认
+    const accepted = (await api('POST', '/api/sms/outbox', { devId: 'dev-tcp', slot: 2, phone: '10010', content: '余额' })).body.data;
+    const expired = await waitFor(async () => (await api('GET', '/api/sms/outbox?status=failed')).body.data.find(item => item.id === accepted.id));
+    assert.ok(expired.accepted_at);
+    assert.equal(expired.last_error, '等待外发结果超时，发送结果未知');
+    board.send({ type: 502, slot: 2, phNum: '10010', smsBd: '余额', smsTs: 1765410000, tid: `outbox-${accepted.id}-1` });
+    const confirmed = await waitFor(async () => (await api('GET', '/api/sms/outbox?status=confirmed')).body.data.find(item => item.id === accepted.id));
+    assert.equal(confirmed.last_error, null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const initSqlJs = require('sql.js');
+const { startApp } = require('./helpers');
+
+async function readTable(dbPath, sql) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(dbPath));
+    try {
+        const [result] = db.exec(sql);
+        return result ? result.values : [];
+    } finally {
+        db.close();
+    }
+}
+
+test('推送应答前已写入追加日志，不导出整个数据库；进程崩溃后从日志恢复', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-persist-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const dbPath = path.join(dataDir, 'lvyou.db');
+    const env = {
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        DATABASE_PATH: dbPath,
+        DB_FLUSH_INTERVAL_MS: '600000'
+    };
+
+    const app = await startApp(env);
+    t.after(() => app.stop());
+    const push = (baseUrl, smsBd) => fetch(`${baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify({ devId: 'dev001', type: 501, slot: 1, phNum: '10086', smsBd })
+    }).then(response => response.json());
+    const smsTotal = baseUrl => fetch(`${baseUrl}/api/sms`).then(res => res.json()).then(sms => sms.pagination.total);
+
+    // 并发推送：应答时日志中已有全部条目，数据库文件还没有重新导出
+    const contents = ['落盘测试', '并发一', '并发二'];
+    assert.deepEqual(await Promise.all(contents.map(content => push(app.baseUrl, content))), contents.map(() => ({ code: 0, message: 'OK' })));
+    const journal = fs.readFileSync(`${dbPath}.spool`, 'utf8').trim().split('\n').map(line => JSON.parse(JSON.parse(line).payload).smsBd);
+    assert.deepEqual(journal.sort(), [...contents].sort());
+    assert.equal((await readTable(dbPath, 'SELECT id FROM inbound_spool')).length, 0);
+
+    for (let attempt = 0; attempt < 50 && await smsTotal(app.baseUrl) < 3; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal((await readTable(dbPath, 'SELECT id FROM sms_records')).length, 0);
+
+    // 模拟崩溃：处理结果没有保存，重启后从日志补回队列重新处理
+    app.child.kill('SIGKILL');
+    await new Promise(resolve => app.child.once('exit', resolve));
+    const restarted = await startApp(env);
+    t.after(() => restarted.stop());
+    for (let attempt = 0; attempt < 50 && await smsTotal(restarted.baseUrl) < 3; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(await smsTotal(restarted.baseUrl), 3);
+    // 恢复的条目已保存到数据库文件，日志随之清空
+    assert.equal(fs.readFileSync(`${dbPath}.spool`, 'utf8'), '');
+
+    await restarted.stop();
+    assert.deepEqual((await readTable(dbPath, 'SELECT content FROM sms_records ORDER BY content')).map(row => row[0]), [...contents].sort());
+    assert.equal((await readTable(dbPath, 'SELECT id FROM inbound_spool')).length, 0);
+    assert.equal(fs.existsSync(`${dbPath}.tmp`), false);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { startApp } = require('./helpers');
+
+const SECRET = 'hmac-test-secret';
+
+function sign(timestamp, nonce, payload) {
+    return crypto.createHmac('sha256', SECRET).update(`${timestamp}.${nonce}.${payload}`).digest('hex');
+}
+
+test('HMAC 签名推送校验时间窗口、nonce 防重放和请求体完整性', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', API_KEY: 'push-key', API_HMAC_SECRET: SECRET });
+    t.after(() => app.stop());
+
+    const signedPost = (body, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(8).toString('hex'), signedBody = body } = {}) =>
+        fetch(`${app.baseUrl}/push`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'x-timestamp': String(timestamp),
+                'x-nonce': nonce,
+                'x-signature': sign(timestamp, nonce, signedBody)
+            },
+            body
+        });
+
+    const body = JSON.stringify({ devId: 'dev001', type: 501, slot: 1, phNum: '10086', smsBd: '签名短信' });
+    assert.equal((await signedPost(body, { nonce: 'nonce-0001' })).status, 200);
+    assert.equal((await signedPost(body, { nonce: 'nonce-0001' })).status, 401);
+    assert.equal((await signedPost(body, { signedBody: body.replace('签名短信', '篡改') })).status, 401);
+    assert.equal((await signedPost(body, { timestamp: Math.floor(Date.now() / 1000) - 3600 })).status, 401);
+
+    const query = 'devId=dev001&type=998';
+    const timestamp = Math.floor(Date.now() / 1000);
+    const getResponse = await fetch(`${app.baseUrl}/push?${query}`, {
+        headers: { 'x-timestamp': String(timestamp), 'x-nonce': 'nonce-get-01', 'x-signature': sign(timestamp, 'nonce-get-01', query) }
+    });
+    assert.equal(getResponse.status, 200);
+
+    const sms = await fetch(`${app.baseUrl}/api/sms`).then(response => response.json());
+    assert.equal(sms.pagination.total, 1);
+
+    // 已启用独立密钥的设备不接受共享密钥签名的推送
+    const issued = await fetch(`${app.baseUrl}/api/devices/dev001/api-keys`, { method: 'POST' }).then(response => response.json());
+    assert.ok(issued.data.key);
+    const keyed = await signedPost(JSON.stringify({ devId: 'dev001', type: 501, slot: 1, phNum: '10086', smsBd: '冒充设备' }));
+    assert.equal(keyed.status, 403);
+    assert.match((await keyed.json()).message, /已启用独立 API Key/);
+    assert.equal((await signedPost(JSON.stringify({ devId: 'dev002', type: 998 }))).status, 200);
+});
@@ -3,31 +3,8 @@ const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const os = require('node:os');
 const path = require('node:path');
-const net = require('node:net');
 const { spawn } = require('node:child_process');
-
-async function freePort() {
-    return new Promise((resolve, reject) => {
-        const server = net.createServer();
-        server.once('error', reject);
-        server.listen(0, '127.0.0.1', () => {
-            const port = server.address().port;
-            server.close(() => resolve(port));
-        });
-    });
-}
-
-async function waitForServer(url, child) {
-    for (let attempt = 0; attempt < 50; attempt++) {
-        if (child.exitCode !== null) throw new Error(`测试服务提前退出: ${child.exitCode}`);
-        try {
-            const response = await fetch(url);
-            if (response.ok) return;
-        } catch {}
-        await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    throw new Error('等待测试服务启动超时');
-}
+const { freePort, waitForServer } = require('./helpers');
 
 test('录音上传、确认、下载和删除完整流程', async () => {
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-recording-'));
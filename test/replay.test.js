@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('重放原始消息按时区修正记录，预演不写入，重复重放不产生重复记录', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', API_KEY: 'push-key' });
+    t.after(() => app.stop());
+
+    const api = (method, path, body) => fetch(`${app.baseUrl}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    }).then(response => response.json());
+    const push = body => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify(body)
+    });
+
+    await push({ devId: 'dev001', type: 204, slot: 1, msIsdn: '13800000000' });
+    await push({ devId: 'dev001', type: 501, slot: 1, phNum: '10086', smsBd: '余额提醒', smsTs: 1765410010 });
+    await push({ devId: 'dev001', type: 603, slot: 1, phNum: '10010', telStartTs: 1765410000, telEndTs: 1765410060 });
+
+    let sms;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        await wait(100);
+        sms = await api('GET', '/api/sms');
+        const calls = await api('GET', '/api/calls');
+        if (sms.pagination.total === 1 && calls.pagination.total === 1) break;
+    }
+    assert.equal(sms.data[0].sms_time, '2025-12-11T07:40:10+08:00');
+
+    // 卡槽实际位于 UTC+0，修改配置后重放
+    assert.equal((await api('POST', '/api/devices/dev001/sim-config', { slot: 1, timezone: 0 })).success, true);
+
+    const preview = await api('POST', '/api/messages/replay', { devId: 'dev001', dryRun: true });
+    assert.equal(preview.success, true);
+    assert.deepEqual(preview.data.summary, { matched: 2, processed: 2, insert: 0, update: 2, unchanged: 0, failed: 0 });
+    const smsItem = preview.data.items.find(item => item.table === 'sms_records');
+    assert.deepEqual(smsItem.changes, {
+        sms_time_ms: { from: 1765410010000, to: 1765438810000 },
+        timezone: { from: 8, to: 0 }
+    });
+    assert.equal((await api('GET', '/api/sms')).data[0].sms_time, '2025-12-11T07:40:10+08:00');
+
+    const replayed = await api('POST', '/api/messages/replay', { msgCategory: 'sms', suppressPush: true });
+    assert.equal(replayed.data.summary.update, 1);
+    sms = await api('GET', '/api/sms');
+    assert.equal(sms.pagination.total, 1);
+    assert.equal(sms.data[0].sms_time, '2025-12-11T07:40:10+00:00');
+    // 按查看者时区显示同一时刻
+    assert.equal((await api('GET', '/api/sms?timezone=8')).data[0].sms_time, '2025-12-11T15:40:10+08:00');
+
+    const again = await api('POST', '/api/messages/replay', { msgCategory: 'sms', dryRun: true });
+    assert.equal(again.data.summary.unchanged, 1);
+
+    assert.equal((await api('POST', '/api/messages/replay', { devId: 'dev002', dryRun: true })).data.summary.matched, 0);
+    const invalid = await fetch(`${app.baseUrl}/api/messages/replay`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ msgCategory: 'network' })
+    });
+    assert.equal(invalid.status, 400);
+});
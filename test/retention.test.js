@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const initSqlJs = require('sql.js');
+const { startApp } = require('./helpers');
+
+async function withDatabase(dbPath, callback) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(dbPath));
+    const result = callback(db);
+    fs.writeFileSync(dbPath, Buffer.from(db.export()));
+    db.close();
+    return result;
+}
+
+test('按数据类型和设备配置保留规则，预览条数后由清理任务删除', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-retention-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const env = {
+        AUTH_ENABLED: 'false',
+        DATABASE_PATH: path.join(dataDir, 'lvyou.db'),
+        RECORDING_DIR: path.join(dataDir, 'recordings'),
+        LOG_RETENTION_DAYS: '30',
+        RECORDING_RETENTION_DAYS: '0'
+    };
+
+    // 先启动一次建好表结构，再写入不同时间的记录
+    await (await startApp(env)).stop();
+    fs.writeFileSync(path.join(dataDir, 'recordings', 'old.amr'), '#!AMR\n');
+    await withDatabase(env.DATABASE_PATH, db => {
+        const ago = days => `datetime('now', 'localtime', '-${days} days')`;
+        const agoMs = days => Date.now() - days * 86400000;
+        db.run(`INSERT INTO sms_records (dev_id, slot, phone_num, content, direction, created_at_ms) VALUES
+            ('dev001', 1, '10086', '旧的收信', 'in', ${agoMs(10)}),
+            ('dev001', 1, '10086', '旧的发信', 'out', ${agoMs(10)}),
+            ('dev002', 1, '10086', '豁免设备', 'in', ${agoMs(10)}),
+            ('dev001', 1, '10086', '新的收信', 'in', ${agoMs(1)})`);
+        db.run(`INSERT INTO call_records (dev_id, slot, phone_num, msg_type, call_type, created_at_ms) VALUES ('dev001', 1, '10086', 601, '来电', ${agoMs(10)})`);
+        db.run(`INSERT INTO messages (dev_id, type, type_name, raw_data, created_at_ms) VALUES ('dev001', 501, '短信', '{}', ${agoMs(20)})`);
+        db.run(`INSERT INTO recordings (stored_name, dev_id, status, uploaded_at) VALUES ('old.amr', 'dev001', 'confirmed', ${ago(10)}), ('', 'dev001', 'failed', ${ago(10)})`);
+    });
+
+    const app = await startApp(env);
+    t.after(() => app.stop());
+    const api = (method, url, body) => fetch(`${app.baseUrl}${url}`, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+    const counts = preview => Object.fromEntries(preview.data.filter(item => item.count > 0).map(item => [item.target, item.count]));
+
+    const rules = await api('GET', '/api/retention/rules');
+    assert.deepEqual(rules.body.data, []);
+    assert.equal(rules.body.targets.find(item => item.target === 'messages').defaultDays, 30);
+    assert.equal((await api('POST', '/api/retention/preview', {})).body.total, 0);
+
+    // 未保存的规则也能预览
+    assert.deepEqual(counts((await api('POST', '/api/retention/preview', { target: 'sms_in', days: 7 })).body), { sms_in: 2 });
+    assert.equal((await api('POST', '/api/retention/preview', { target: 'sms', days: 7 })).status, 400);
+    assert.equal((await api('POST', '/api/retention/rules', { target: 'sms_in', days: -1 })).status, 400);
+
+    assert.equal((await api('POST', '/api/retention/rules', { target: 'sms_in', days: 7 })).status, 200);
+    const exempt = await api('POST', '/api/retention/rules', { target: 'sms_in', devId: 'dev002', days: 0 });
+    assert.equal(exempt.body.data.dev_id, 'dev002');
+    assert.equal((await api('POST', '/api/retention/rules', { target: 'messages', days: 15 })).status, 200);
+    assert.equal((await api('POST', '/api/retention/rules', { target: 'recordings_confirmed', days: 5 })).status, 200);
+    // 同一类型和设备的规则覆盖而不是重复添加
+    assert.equal((await api('POST', '/api/retention/rules', { target: 'recordings_confirmed', days: 5 })).status, 200);
+    assert.equal((await api('GET', '/api/retention/rules')).body.data.length, 4);
+
+    const expected = { sms_in: 1, messages: 1, recordings_confirmed: 1 };
+    assert.deepEqual(counts((await api('POST', '/api/retention/preview', {})).body), expected);
+    assert.deepEqual((await api('POST', '/api/retention/run')).body.data, expected);
+
+    const sms = await api('GET', '/api/sms');
+    assert.deepEqual(sms.body.data.map(item => item.content).sort(), ['新的收信', '旧的发信', '豁免设备'].sort());
+    assert.equal((await api('GET', '/api/calls')).body.pagination.total, 1);
+    const recordings = await api('GET', '/api/recordings');
+    assert.deepEqual(recordings.body.data.map(item => item.status), ['failed']);
+    assert.equal(fs.existsSync(path.join(dataDir, 'recordings', 'old.amr')), false);
+
+    assert.equal((await api('DELETE', `/api/retention/rules/${exempt.body.data.id}`)).status, 200);
+    assert.equal((await api('DELETE', `/api/retention/rules/${exempt.body.data.id}`)).status, 404);
+    assert.deepEqual(counts((await api('POST', '/api/retention/preview', {})).body), { sms_in: 1 });
+});
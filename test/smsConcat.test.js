@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('长短信分段按拼接参数或时间窗口合并为一条记录，超时按已收到的分段合并', async t => {
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        SMS_CONCAT_TIMEOUT_SECONDS: '1',
+        SMS_CONCAT_WINDOW_SECONDS: '5'
+    });
+    t.after(() => app.stop());
+
+    const api = url => fetch(`${app.baseUrl}${url}`).then(response => response.json());
+    const push = message => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify({ devId: 'dev001', type: 501, slot: 1, smsTs: 1765410000, ...message })
+    });
+    const smsOf = async phone => (await api(`/api/sms?phoneNum=${encodeURIComponent(phone)}`)).data;
+    const waitFor = async (phone, count) => {
+        for (let attempt = 0; attempt < 50 && (await smsOf(phone)).length < count; attempt++) await wait(100);
+        return smsOf(phone);
+    };
+
+    // 带拼接参数：乱序到达，收齐后按序号合并
+    await push({ phNum: '10001', smsBd: '第二段', smsRef: 17, smsTotal: 3, smsSeq: 2 });
+    await push({ phNum: '10001', smsBd: '第一段', smsRef: 17, smsTotal: 3, smsSeq: 1 });
+    await push({ phNum: '10001', smsBd: '第一段', smsRef: 17, smsTotal: 3, smsSeq: 1, smsTs: 1765410001 });
+    await wait(300);
+    assert.equal((await smsOf('10001')).length, 0);
+    await push({ phNum: '10001', smsBd: '第三段', smsRef: 17, smsTotal: 3, smsSeq: 3 });
+    const [merged] = await waitFor('10001', 1);
+    assert.equal(merged.content, '第一段第二段第三段');
+    assert.equal(merged.parts, 3);
+    assert.equal(merged.parts_total, 3);
+
+    // 没有拼接参数：恰好满长度的短信等待后续分段，不满长度的一段结束；超过单段长度的是开发板已合并的，直接入库
+    const full = '尊敬的客户，您好'.repeat(9).slice(0, 67);
+    await push({ phNum: '10002', smsBd: full });
+    await push({ phNum: '10003', smsBd: '普通短信' });
+    await push({ phNum: '10005', smsBd: full.slice(0, 66) });
+    await push({ phNum: '10006', smsBd: `${full}感` });
+    await push({ phNum: '10007', smsBd: 'a'.repeat(154) });
+    assert.equal((await waitFor('10003', 1))[0].content, '普通短信');
+    assert.equal((await waitFor('10005', 1))[0].content, full.slice(0, 66));
+    assert.equal((await waitFor('10006', 1))[0].content, `${full}感`);
+    assert.equal((await waitFor('10007', 1))[0].content, 'a'.repeat(154));
+    assert.equal((await smsOf('10002')).length, 0);
+    await push({ phNum: '10002', smsBd: '感谢使用。' });
+    const [windowed] = await waitFor('10002', 1);
+    assert.equal(windowed.content, `${full}感谢使用。`);
+    assert.equal(windowed.parts, 2);
+    assert.equal(windowed.parts_total, null);
+
+    // 超时未收齐：按已收到的分段合并
+    await push({ phNum: '10004', smsBd: 'part one ', smsRef: 'a1', smsTotal: 3, smsSeq: 1 });
+    await push({ phNum: '10004', smsBd: 'part three', smsRef: 'a1', smsTotal: 3, smsSeq: 3 });
+    const [partial] = await waitFor('10004', 1);
+    assert.equal(partial.content, 'part one part three');
+    assert.equal(partial.parts, 2);
+    assert.equal(partial.parts_total, 3);
+
+    // 每个分段仍保留原始消息日志
+    assert.equal((await api('/api/messages?devId=dev001&limit=100')).data.filter(message => message.type === 501).length, 12);
+});
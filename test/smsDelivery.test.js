@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, freePort, waitFor, connectBoard } = require('./helpers');
+
+test('sendsms 下发时写入外发记录，按 tid 关联 401/402/502 更新投递状态', async t => {
+    const tcpPort = await freePort();
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        TCP_ENABLED: 'true',
+        TCP_HOST: '127.0.0.1',
+        TCP_PORT: String(tcpPort),
+        TCP_COMMAND_TIMEOUT: '300',
+        SMS_DELIVERY_TIMEOUT_SECONDS: '1'
+    });
+    t.after(() => app.stop());
+
+    const board = await connectBoard(tcpPort);
+    t.after(() => board.close());
+    const { commands } = board;
+
+    const outbound = async () => (await fetch(`${app.baseUrl}/api/sms?direction=out`).then(response => response.json())).data;
+    const record = async tid => (await outbound()).find(sms => sms.tid === tid);
+    const sendsms = content => fetch(`${app.baseUrl}/api/control/sendsms`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ devId: 'dev-tcp', transport: 'tcp', slot: 1, phone: '10086', content })
+    }).then(response => response.json());
+    const nextCommand = async content => waitFor(() => commands.find(frame => frame.cmd === 'sendsms' && frame.p3 === content));
+
+    // 下发即写入待确认记录，401 → 402 → 502 更新同一条记录
+    const response = sendsms('查话费');
+    const command = await nextCommand('查话费');
+    assert.ok(command.tid);
+    assert.equal((await record(command.tid)).delivery_status, 'sending');
+    board.send({ type: 401, code: 0, tid: command.tid });
+    assert.equal((await response).success, true);
+    await waitFor(async () => (await record(command.tid)).delivery_status === 'accepted');
+    board.send({ type: 402, code: 0, tid: command.tid });
+    await waitFor(async () => (await record(command.tid)).delivery_status === 'done');
+    board.send({ type: 502, slot: 1, phNum: '10086', smsBd: '查话费', smsTs: 1765410000, tid: command.tid });
+    const confirmed = await waitFor(async () => {
+        const sms = await record(command.tid);
+        return sms.delivery_status === 'confirmed' && sms;
+    });
+    assert.ok(confirmed.accepted_at && confirmed.done_at && confirmed.confirmed_at);
+    assert.equal(confirmed.sms_time, '2025-12-11T07:40:00+08:00');
+    assert.equal((await outbound()).length, 1);
+
+    // 开发板返回错误
+    const rejected = sendsms('余额');
+    const rejectedCommand = await nextCommand('余额');
+    board.send({ type: 401, code: 2, note: '卡槽无SIM卡', tid: rejectedCommand.tid });
+    assert.equal((await rejected).success, false);
+    const failed = await waitFor(async () => {
+        const sms = await record(rejectedCommand.tid);
+        return sms.delivery_status === 'failed' && sms;
+    });
+    assert.equal(failed.delivery_error, '卡槽无SIM卡');
+
+    // 等待命令应答超时
+    const timedOut = await sendsms('无应答');
+    assert.equal(timedOut.success, false);
+    const timeoutCommand = await nextCommand('无应答');
+    assert.equal((await record(timeoutCommand.tid)).delivery_status, 'failed');
+
+    // 已收到但超时未收到 502 的标记为失败，之后收到 502 仍可确认
+    const late = sendsms('迟到的短信');
+    const lateCommand = await nextCommand('迟到的短信');
+    board.send({ type: 401, code: 0, tid: lateCommand.tid });
+    await late;
+    const expired = await waitFor(async () => {
+        const sms = await record(lateCommand.tid);
+        return sms.delivery_status === 'failed' && sms;
+    });
+    assert.equal(expired.delivery_error, '等待外发结果超时，发送结果未知');
+    const failedIds = (await fetch(`${app.baseUrl}/api/sms?delivery=failed`).then(res => res.json())).data.map(sms => sms.tid).sort();
+    assert.deepEqual(failedIds, [rejectedCommand.tid, timeoutCommand.tid, lateCommand.tid].sort());
+
+    board.send({ type: 502, slot: 1, phNum: '10086', smsBd: '迟到的短信', smsTs: 1765410060, tid: lateCommand.tid });
+    await waitFor(async () => (await record(lateCommand.tid)).delivery_status === 'confirmed');
+
+    // 没有对应下发记录的 502 照常入库为已确认
+    board.send({ type: 502, slot: 2, phNum: '10010', smsBd: '开发板本地发出', smsTs: 1765410120 });
+    const local = await waitFor(async () => (await outbound()).find(sms => sms.content === '开发板本地发出'));
+    assert.equal(local.delivery_status, 'confirmed');
+    assert.equal((await outbound()).length, 5);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('短信已读、星标、归档可批量设置，并用于列表筛选和未读统计', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', API_KEY: 'push-key' });
+    t.after(() => app.stop());
+
+    const api = (method, url, body) => fetch(`${app.baseUrl}${url}`, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body && JSON.stringify(body)
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+    const messages = [
+        { devId: 'dev001', type: 501, slot: 1, phNum: '10086', smsBd: '流量提醒', smsTs: 1765410000 },
+        { devId: 'dev001', type: 501, slot: 1, phNum: '10010', smsBd: '话费账单', smsTs: 1765410060 },
+        { devId: 'dev001', type: 502, slot: 1, phNum: '10086', smsBd: 'CXLL', smsTs: 1765410120 },
+        { devId: 'dev002', type: 501, slot: 2, phNum: '95588', smsBd: '验证码 8831', smsTs: 1765410180 }
+    ];
+    for (const message of messages) {
+        await fetch(`${app.baseUrl}/push`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+            body: JSON.stringify(message)
+        });
+    }
+    for (let attempt = 0; attempt < 50 && (await api('GET', '/api/sms')).body.pagination.total < messages.length; attempt++) await wait(100);
+
+    const list = await api('GET', '/api/sms');
+    const byContent = Object.fromEntries(list.body.data.map(sms => [sms.content, sms]));
+    // 新收到的短信未读，发出的短信视为已读
+    assert.equal(byContent['流量提醒'].is_read, false);
+    assert.equal(byContent.CXLL.is_read, true);
+    assert.equal(byContent['流量提醒'].starred, false);
+    assert.equal(byContent['流量提醒'].archived, false);
+
+    const stats = await api('GET', '/api/stats');
+    assert.equal(stats.body.data.sms.unread, 3);
+    assert.deepEqual(stats.body.data.sms.unreadByDevice, [{ dev_id: 'dev001', unread: 2 }, { dev_id: 'dev002', unread: 1 }]);
+
+    const traffic = byContent['流量提醒'].id;
+    const bill = byContent['话费账单'].id;
+    const code = byContent['验证码 8831'].id;
+    assert.equal((await api('POST', '/api/sms/batch-read', { ids: [traffic, bill] })).body.updated, 2);
+    assert.equal((await api('POST', '/api/sms/batch-read', { ids: [traffic] })).body.updated, 0);
+    assert.equal((await api('POST', '/api/sms/batch-read', { ids: [bill], read: false })).body.updated, 1);
+    assert.equal((await api('POST', '/api/sms/batch-star', { ids: [code] })).body.updated, 1);
+    assert.equal((await api('POST', '/api/sms/batch-archive', { ids: [traffic, code] })).body.updated, 2);
+    assert.equal((await api('POST', '/api/sms/batch-archive', { ids: [] })).status, 400);
+
+    const contents = async query => (await api('GET', `/api/sms?${query}`)).body.data.map(sms => sms.content).sort();
+    assert.deepEqual(await contents('read=0'), ['话费账单', '验证码 8831']);
+    assert.deepEqual(await contents('read=1'), ['CXLL', '流量提醒']);
+    assert.deepEqual(await contents('starred=1'), ['验证码 8831']);
+    assert.deepEqual(await contents('archived=1'), ['流量提醒', '验证码 8831']);
+    assert.deepEqual(await contents('archived=0&read=0'), ['话费账单']);
+    assert.deepEqual(await contents('q=验证码&starred=1'), ['验证码 8831']);
+    assert.equal((await api('GET', '/api/sms')).body.pagination.total, 4);
+
+    // 已读时间和其他时间字段一样输出 ISO-8601，并带原始毫秒值
+    const read = (await api('GET', '/api/sms?read=1&timezone=8')).body.data.find(sms => sms.id === traffic);
+    assert.equal(typeof read.read_at_ms, 'number');
+    assert.match(read.read_at, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\+08:00$/);
+    assert.equal(read.archived_at_ms >= read.read_at_ms, true);
+    assert.match(read.archived_at, /\+08:00$/);
+    assert.equal(read.starred_at_ms, null);
+
+    const after = await api('GET', '/api/stats');
+    assert.deepEqual(after.body.data.sms.unreadByDevice, [{ dev_id: 'dev001', unread: 1 }, { dev_id: 'dev002', unread: 1 }]);
+
+    // 会话消息带同样的状态字段
+    const thread = await api('GET', '/api/sms/threads/dev002/2/95588');
+    assert.equal(thread.body.data[0].starred, true);
+    assert.equal(thread.body.data[0].archived, true);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('短信内容全文搜索支持中文、按相关度排序、高亮摘要并可与其他条件组合', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', API_KEY: 'push-key' });
+    t.after(() => app.stop());
+
+    const messages = [
+        { devId: 'dev001', slot: 1, phNum: '95588', smsBd: '【工商银行】您的验证码为8831，请勿泄露。' },
+        { devId: 'dev001', slot: 2, phNum: '95588', smsBd: '【工商银行】验证码8831，验证码5分钟内有效，验证码请勿告诉他人' },
+        { devId: 'dev002', slot: 1, phNum: '10086', smsBd: '您的验证码为1234' },
+        { devId: 'dev001', slot: 1, phNum: '10010', smsBd: 'Your Banking code is 8831 <b>' },
+        { devId: 'dev001', slot: 1, phNum: '10000', smsBd: '明天开会，银行对账单已寄出' }
+    ];
+    for (const [index, message] of messages.entries()) {
+        await fetch(`${app.baseUrl}/push`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+            body: JSON.stringify({ type: 501, smsTs: 1765410010 + index, ...message })
+        });
+    }
+    const search = params => fetch(`${app.baseUrl}/api/sms?${new URLSearchParams(params)}`).then(response => response.json());
+    for (let attempt = 0; attempt < 50 && (await search({})).pagination.total < messages.length; attempt++) await wait(100);
+
+    const code = await search({ q: '验证码' });
+    assert.equal(code.pagination.total, 3);
+    // 命中次数多的排在前面
+    assert.match(code.data[0].content, /5分钟内有效/);
+    assert.ok(code.data[0].score > code.data[1].score);
+    assert.match(code.data[0].snippet, /<mark>验证码<\/mark>8831/);
+
+    // 多个关键词同时命中，中文与数字混合输入
+    const bank = await search({ q: '工商 8831' });
+    assert.deepEqual(bank.data.map(item => item.slot).sort(), [1, 2]);
+    assert.equal((await search({ q: '银行8831' })).pagination.total, 2);
+    assert.equal((await search({ q: '商银' })).pagination.total, 2);
+    // 单字按前缀匹配，也能命中段落末尾的字
+    assert.equal((await search({ q: '出' })).pagination.total, 1);
+
+    // 中文二元组按相邻位置匹配，不会把分散的字当成命中
+    assert.equal((await search({ q: '验行' })).pagination.total, 0);
+
+    // 英文不区分大小写、支持前缀，摘要中的其他内容已转义
+    const english = await search({ q: 'bank' });
+    assert.equal(english.pagination.total, 1);
+    assert.equal(english.data[0].snippet, 'Your <mark>Bank</mark>ing code is 8831 &lt;b&gt;');
+
+    // 与设备、卡槽、方向、分页条件组合
+    assert.equal((await search({ q: '验证码', devId: 'dev002' })).pagination.total, 1);
+    assert.equal((await search({ q: '验证码', slot: '2' })).data[0].slot, 2);
+    assert.equal((await search({ q: '验证码', direction: 'out' })).pagination.total, 0);
+    const paged = await search({ q: '8831', limit: '1', page: '2' });
+    assert.equal(paged.pagination.total, 3);
+    assert.equal(paged.data.length, 1);
+
+    // 删除后索引同步移除
+    const id = code.data[0].id;
+    await fetch(`${app.baseUrl}/api/sms/batch-delete`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ ids: [id] })
+    });
+    assert.equal((await search({ q: '验证码' })).pagination.total, 2);
+
+    const csv = await fetch(`${app.baseUrl}/api/sms?${new URLSearchParams({ q: '8831', export: 'csv' })}`).then(response => response.text());
+    assert.equal(csv.trim().split('\n').length, 3);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('处理失败的推送先应答成功，退避重试后进入死信并可手动重新处理', async t => {
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        SPOOL_MAX_ATTEMPTS: '2',
+        SPOOL_RETRY_BASE_SECONDS: '0.05'
+    });
+    t.after(() => app.stop());
+
+    const api = (method, path) => fetch(`${app.baseUrl}${path}`, { method }).then(response => response.json());
+    const push = body => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify(body)
+    }).then(response => response.json());
+
+    assert.deepEqual(await push({ devId: 'dev001', type: 501, slot: 1, phNum: '10086', smsBd: '正常短信' }), { code: 0, message: 'OK' });
+    // 数字类型的 devId 会让短信处理抛出异常
+    assert.deepEqual(await push({ devId: 12345, type: 501, slot: 1, phNum: '10086', smsBd: '异常短信' }), { code: 0, message: 'OK' });
+
+    let spool;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        await wait(100);
+        spool = await api('GET', '/api/spool');
+        if (spool.counts.dead === 1) break;
+    }
+    assert.deepEqual(spool.counts, { pending: 0, processing: 0, dead: 1 });
+    const [entry] = spool.data;
+    assert.equal(entry.attempts, 2);
+    assert.ok(entry.last_error);
+    assert.equal(entry.payload.smsBd, '异常短信');
+    assert.equal((await api('GET', '/api/sms')).pagination.total, 1);
+
+    const retried = await api('POST', `/api/spool/${entry.id}/retry`);
+    assert.equal(retried.data.retried, 1);
+    assert.equal((await api('POST', '/api/spool/999/retry')).success, false);
+
+    assert.equal((await api('DELETE', `/api/spool/${entry.id}`)).success, true);
+    assert.equal((await api('GET', '/api/spool')).pagination.total, 0);
+});
+
+test('短信入库失败时不算处理成功，重试沿用第一次记录的原始消息，最终进入死信', async t => {
+    const app = await startApp({
+        AUTH_ENABLED: 'false',
+        API_KEY: 'push-key',
+        SPOOL_MAX_ATTEMPTS: '3',
+        SPOOL_RETRY_BASE_SECONDS: '0.05'
+    });
+    t.after(() => app.stop());
+
+    const api = (method, path) => fetch(`${app.baseUrl}${path}`, { method }).then(response => response.json());
+    const push = body => fetch(`${app.baseUrl}/push`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+        body: JSON.stringify(body)
+    }).then(response => response.json());
+
+    // 没有 slot 的短信违反 sms_records.slot 的 NOT NULL 约束
+    assert.deepEqual(await push({ devId: 'dev001', type: 501, phNum: '10086', smsBd: '缺少卡槽', smsTs: 1765410000 }), { code: 0, message: 'OK' });
+
+    let spool;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        await wait(100);
+        spool = await api('GET', '/api/spool');
+        if (spool.counts.dead === 1) break;
+    }
+    assert.deepEqual(spool.counts, { pending: 0, processing: 0, dead: 1 });
+    const [entry] = spool.data;
+    assert.equal(entry.attempts, 3);
+    assert.match(entry.last_error, /写入数据库失败/);
+    assert.equal((await api('GET', '/api/sms')).pagination.total, 0);
+
+    const messages = (await api('GET', '/api/messages?devId=dev001&limit=100')).data.filter(message => message.type === 501);
+    assert.equal(messages.length, 1);
+    assert.equal(entry.source_message_id, messages[0].id);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('短信按设备、卡槽和号码归并为会话，带最后一条消息、计数和未读数', async t => {
+    const app = await startApp({ AUTH_ENABLED: 'false', API_KEY: 'push-key' });
+    t.after(() => app.stop());
+
+    const api = (method, url) => fetch(`${app.baseUrl}${url}`, { method }).then(async response => ({ status: response.status, body: await response.json() }));
+    const messages = [
+        { type: 501, slot: 1, phNum: '10086', smsBd: '流量提醒', smsTs: 1765410000 },
+        { type: 502, slot: 1, phNum: '10086', smsBd: 'CXLL', smsTs: 1765410060 },
+        { type: 501, slot: 1, phNum: '10086', smsBd: '剩余流量 1GB', smsTs: 1765410120 },
+        { type: 501, slot: 2, phNum: '10086', smsBd: '另一张卡', smsTs: 1765410030 },
+        { type: 501, slot: 1, phNum: '+8613800000000', smsBd: '你好', smsTs: 1765410200 }
+    ];
+    for (const message of messages) {
+        await fetch(`${app.baseUrl}/push`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-api-key': 'push-key' },
+            body: JSON.stringify({ devId: 'dev001', ...message })
+        });
+    }
+    for (let attempt = 0; attempt < 50 && (await api('GET', '/api/sms')).body.pagination.total < messages.length; attempt++) await wait(100);
+
+    const threads = await api('GET', '/api/sms/threads');
+    assert.equal(threads.status, 200);
+    assert.equal(threads.body.pagination.total, 3);
+    // 按最后一条消息时间倒序
+    assert.deepEqual(threads.body.data.map(thread => [thread.slot, thread.phone_num]), [[1, '+8613800000000'], [1, '10086'], [2, '10086']]);
+    const main = threads.body.data[1];
+    assert.equal(main.total, 3);
+    assert.equal(main.inbound, 2);
+    assert.equal(main.outbound, 1);
+    assert.equal(main.unread, 2);
+    assert.equal(main.last_message.content, '剩余流量 1GB');
+    assert.equal(main.last_message.sms_time, '2025-12-11T07:42:00+08:00');
+
+    assert.equal((await api('GET', '/api/sms/threads?slot=2')).body.pagination.total, 1);
+    assert.equal((await api('GET', '/api/sms/threads?phoneNum=138')).body.data[0].phone_num, '+8613800000000');
+
+    // 详情第 1 页为最新的消息，页内按时间正序
+    const path = '/api/sms/threads/dev001/1/10086';
+    const latest = await api('GET', `${path}?limit=2`);
+    assert.deepEqual(latest.body.data.map(message => message.content), ['CXLL', '剩余流量 1GB']);
+    assert.deepEqual(latest.body.pagination, { page: 1, limit: 2, total: 3 });
+    assert.deepEqual((await api('GET', `${path}?limit=2&page=2`)).body.data.map(message => message.content), ['流量提醒']);
+    assert.equal((await api('GET', `/api/sms/threads/dev001/1/${encodeURIComponent('+8613800000000')}`)).body.data[0].content, '你好');
+    assert.equal((await api('GET', '/api/sms/threads/dev001/1/10010')).status, 404);
+
+    assert.equal((await api('POST', `${path}/read`)).body.updated, 2);
+    assert.equal((await api('POST', `${path}/read`)).body.updated, 0);
+    const unread = await api('GET', '/api/sms/threads?unread=1');
+    assert.deepEqual(unread.body.data.map(thread => thread.unread), [1, 1]);
+
+    // 原有的按设备查询短信接口不受影响
+    assert.equal((await api('GET', '/api/sms/dev001')).body.pagination.total, 5);
+});
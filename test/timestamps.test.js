@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const initSqlJs = require('sql.js');
+const { startApp } = require('./helpers');
+const { deviceTimeToEpoch, toIsoString, dayStart } = require('../src/timeUtils');
+
+async function withDatabase(dbPath, callback) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.existsSync(dbPath) ? fs.readFileSync(dbPath) : undefined);
+    const result = callback(db);
+    fs.writeFileSync(dbPath, Buffer.from(db.export()));
+    db.close();
+    return result;
+}
+
+test('设备时间按卡槽时区换算为 UTC，输出带偏移的 ISO-8601', () => {
+    assert.equal(deviceTimeToEpoch(1765410010, 8), Date.UTC(2025, 11, 10, 23, 40, 10));
+    assert.equal(deviceTimeToEpoch(1765410010000, 0), Date.UTC(2025, 11, 11, 7, 40, 10));
+    assert.equal(deviceTimeToEpoch('2025-12-11 07:40:10', 5.5), Date.UTC(2025, 11, 11, 2, 10, 10));
+    assert.equal(toIsoString(Date.UTC(2025, 11, 10, 23, 40, 10), 8), '2025-12-11T07:40:10+08:00');
+    assert.equal(toIsoString(Date.UTC(2025, 11, 10, 23, 40, 10), -3.5), '2025-12-10T20:10:10-03:30');
+    assert.equal(dayStart('2025-12-11', 8), Date.UTC(2025, 11, 10, 16));
+    assert.equal(dayStart('2025-12-11', 0, true), Date.UTC(2025, 11, 12));
+});
+
+test('旧版数据库从 001 开始迁移，设备在线时间的各种旧写法都换算到同一时刻', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-timestamps-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const env = {
+        AUTH_ENABLED: 'false',
+        DATABASE_PATH: path.join(dataDir, 'lvyou.db'),
+        RECORDING_DIR: path.join(dataDir, 'recordings')
+    };
+
+    // 引入迁移之前的 devices 表：last_seen_at 有 toISOString()、时间戳和 formatTime()（UTC+16）几种写法
+    await withDatabase(env.DATABASE_PATH, db => {
+        db.run(`CREATE TABLE devices (
+            id INTEGER PRIMARY KEY AUTOINCREMENT, dev_id TEXT UNIQUE NOT NULL, name TEXT DEFAULT '', hw_ver TEXT DEFAULT '',
+            last_ip TEXT DEFAULT '', last_ssid TEXT DEFAULT '', last_dbm INTEGER DEFAULT 0, status TEXT DEFAULT 'offline',
+            last_seen_at TEXT, created_at TEXT, updated_at TEXT
+        )`);
+        db.run(`INSERT INTO devices (dev_id, last_seen_at) VALUES
+            ('dev-iso', '2025-12-10T23:40:10.000Z'),
+            ('dev-seconds', '1765410010'),
+            ('dev-millis', '1765410010000'),
+            ('dev-format', '2025-12-11 15:40:10')`);
+    });
+
+    await (await startApp(env)).stop();
+
+    await withDatabase(env.DATABASE_PATH, db => {
+        const [devices] = db.exec('SELECT dev_id, last_seen_at_ms FROM devices ORDER BY id');
+        const expected = Date.UTC(2025, 11, 10, 23, 40, 10);
+        assert.deepEqual(devices.values, [['dev-iso', expected], ['dev-seconds', expected], ['dev-millis', expected], ['dev-format', expected]]);
+        assert.equal(db.exec("SELECT name FROM sqlite_master WHERE name = 'migration_010_devices'").length, 0);
+    });
+});
+
+test('旧的文本时间迁移为 UTC 时间戳，接口按 SIM 卡或查看者时区输出', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-web-timestamps-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const env = {
+        AUTH_ENABLED: 'false',
+        DATABASE_PATH: path.join(dataDir, 'lvyou.db'),
+        RECORDING_DIR: path.join(dataDir, 'recordings'),
+        // 测试数据是旧日期，不让保留规则清理消息日志
+        LOG_RETENTION_DAYS: '0'
+    };
+
+    // 建好表结构后写入旧格式的时间，并让 013 迁移重新执行
+    await (await startApp(env)).stop();
+    const localCreated = new Date(2025, 11, 11, 9, 0, 0).getTime();
+    await withDatabase(env.DATABASE_PATH, db => {
+        db.run("INSERT INTO sim_cards (dev_id, slot, timezone) VALUES ('dev001', 2, 0)");
+        db.run(`INSERT INTO sms_records (dev_id, slot, phone_num, content, sms_time, created_at) VALUES
+            ('dev001', 1, '10086', '北京卡', '2025-12-11 07:40:10', '2025-12-11 09:00:00'),
+            ('dev001', 2, '10086', '伦敦卡', '2025-12-11 15:40:10', '2025-12-11 09:00:00')`);
+        db.run("INSERT INTO call_records (dev_id, slot, phone_num, msg_type, call_type, start_time) VALUES ('dev001', 2, '10010', 601, '来电', '2025-12-11 08:00:00')");
+        db.run("INSERT INTO messages (dev_id, type, type_name, raw_data, created_at) VALUES ('dev001', 998, 'PING', '{}', '2025-12-11 07:40:10')");
+        db.run(`INSERT INTO devices (dev_id, status, last_seen_at) VALUES
+            ('dev001', 'offline', '2025-12-11 15:40:10'),
+            ('dev002', 'offline', '2025-12-10T23:40:10.000Z')`);
+        db.run('DELETE FROM schema_migrations WHERE version = 13');
+    });
+
+    const app = await startApp(env);
+    t.after(() => app.stop());
+    const api = url => fetch(`${app.baseUrl}${url}`).then(response => response.json());
+
+    await withDatabase(env.DATABASE_PATH, db => {
+        const [sms] = db.exec('SELECT sms_time_ms, created_at_ms, timezone FROM sms_records ORDER BY id');
+        assert.deepEqual(sms.values, [
+            [Date.UTC(2025, 11, 10, 23, 40, 10), localCreated, 8],
+            [Date.UTC(2025, 11, 11, 7, 40, 10), localCreated, 0]
+        ]);
+        assert.equal(db.exec('SELECT created_at_ms FROM messages')[0].values[0][0], Date.UTC(2025, 11, 10, 23, 40, 10));
+        // formatTime() 写入的 UTC+16 与 toISOString() 写入的 UTC 指向同一时刻
+        assert.deepEqual(db.exec('SELECT last_seen_at_ms FROM devices ORDER BY dev_id')[0].values, [[Date.UTC(2025, 11, 10, 23, 40, 10)], [Date.UTC(2025, 11, 10, 23, 40, 10)]]);
+    });
+
+    const sms = await api('/api/sms');
+    const bySlot = Object.fromEntries(sms.data.map(item => [item.slot, item]));
+    assert.equal(bySlot[1].sms_time, '2025-12-11T07:40:10+08:00');
+    assert.equal(bySlot[2].sms_time, '2025-12-11T07:40:10+00:00');
+
+    const viewer = await api('/api/sms?timezone=-5');
+    assert.deepEqual(viewer.data.map(item => item.sms_time).sort(), ['2025-12-10T18:40:10-05:00', '2025-12-11T02:40:10-05:00']);
+
+    // 日期筛选按 timezone 参数划分，默认北京时间
+    assert.equal((await api('/api/sms?dateStart=2025-12-11&dateEnd=2025-12-11')).pagination.total, 2);
+    assert.equal((await api('/api/sms?dateStart=2025-12-11&dateEnd=2025-12-11&timezone=0')).pagination.total, 1);
+
+    assert.equal((await api('/api/calls')).data[0].start_time, '2025-12-11T00:00:00+00:00');
+    assert.equal((await api('/api/messages')).data[0].created_at, '2025-12-11T07:40:10+08:00');
+    const devices = await api('/api/devices');
+    assert.deepEqual(devices.data.map(device => device.last_seen_at), ['2025-12-11T07:40:10+08:00', '2025-12-11T07:40:10+08:00']);
+
+    const csv = await fetch(`${app.baseUrl}/api/sms?export=csv&timezone=8`).then(response => response.text());
+    assert.match(csv, /伦敦卡",2025-12-11 15:40:10/);
+});